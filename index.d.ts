@@ -294,6 +294,37 @@ declare module "envjsc" {
     exit(code?: number): never;
     pid(): number;
     title(): string;
+
+    /**
+     * Loads variables from .env files into process.env. Later files win over earlier ones, and
+     * variables already set in the environment are kept unless `override` is set.
+     * @param files Files to read. Defaults to .env, .env.local and .env.<NODE_ENV>; missing files are skipped.
+     * @param options Loading options.
+     * @returns The files that were read and the variables they defined.
+     * @throws If a file cannot be parsed.
+     * @example
+     * process.loadEnv();
+     * process.loadEnv([".env", ".env.test"], { override: true });
+     */
+    loadEnv(
+      files?: string | string[],
+      options?: {
+        /** Replace variables that are already set. Defaults to false. */
+        override?: boolean;
+        /** Expand ${VAR} references. Defaults to true. */
+        expand?: boolean;
+      }
+    ): { files: string[]; parsed: Record<string, string> };
+
+    /**
+     * Checks that environment variables are set and non-empty.
+     * @param names The required variable names.
+     * @returns The variables mapped to their values.
+     * @throws Listing every missing variable; the names are also on `err.missing`.
+     * @example
+     * const { DATABASE_URL } = process.requireEnv(["DATABASE_URL", "API_KEY"]);
+     */
+    requireEnv(names: string | string[]): Record<string, string>;
   }
 
   /**
@@ -14,6 +14,7 @@ import zlib from "zlib";
 import { parse as urlParse, format as urlFormat, URL as NodeURL } from "url"; // Renamed to avoid conflict if example uses global URL
 import querystring from "querystring";
 import events from "events";
+import { AsyncLocalStorage } from "async_hooks";
 
 // Promisify core Node.js async functions
 const readFileAsync = util.promisify(fs.readFile);
@@ -42,35 +43,707 @@ const originalModules = {};
 const mockedFunctions = {};
 
 // Internal state for store
-const storeFilePath = path.join(process.cwd(), '.envjs-store.json');
-let storeData = {};
-
-// Load store data on initialization
-try {
-  if (fs.existsSync(storeFilePath)) {
-    const rawData = fs.readFileSync(storeFilePath, 'utf8');
-    storeData = JSON.parse(rawData);
-    // console.log("envjs store loaded successfully."); // Removed default success log
-  } else {
-    // Initialize with empty object if file doesn't exist
-    fs.writeFileSync(storeFilePath, JSON.stringify({}), 'utf8');
-    // console.log("envjs store file created."); // Removed default success log
+const DEFAULT_STORE_FILE_NAME = '.envjs-store.json';
+// Cross-process store lock: how long to wait for it, how often to retry, and when a held lock counts as abandoned
+const STORE_LOCK_TIMEOUT = 5000;
+const STORE_LOCK_RETRY_INTERVAL = 10;
+const STORE_LOCK_STALE_AFTER = 10000;
+// Encrypted store values: where the key comes from by default, and the key under which store.secret keeps its entries
+const STORE_KEY_ENV_VAR = 'ENVJS_STORE_KEY';
+const STORE_SECRETS_KEY = '__secrets__';
+const STORE_CIPHER = 'aes-256-gcm';
+// Expiry times of keys set with a ttl, by key path
+const STORE_EXPIRES_KEY = '__expires__';
+
+/**
+ * One JSON store file. Its data is read on first access and the file is only created on the first save,
+ * so importing envjsc never touches the disk. Emits 'reload' whenever its data is replaced wholesale
+ * (restore, or changes another process made to the file).
+ *
+ * Saves write a temp file next to the store and rename it over the old one, so a crash leaves either the
+ * old or the new contents, never a torn file. With `debounce` (ms) saves are batched into one write.
+ *
+ * Several processes can share one file: reads and writes happen under an advisory lock file, and each save
+ * names the key paths it changed. If another process wrote the file since this one last read it, the file
+ * is re-read first and only those key paths are applied on top, instead of overwriting everything.
+ */
+class StoreFile extends events.EventEmitter {
+  constructor(filePath, {
+    autoCreate = true, readOnly = false, debounce = 0, fsync = false, lock = true, lockTimeout = STORE_LOCK_TIMEOUT,
+    encryptionKey, keyFile, keyEnv = STORE_KEY_ENV_VAR
+  } = {}) {
+    super();
+    if (typeof debounce !== 'number' || !Number.isFinite(debounce) || debounce < 0) {
+      throw new Error('Store debounce must be a non-negative number of milliseconds.');
+    }
+    this.setMaxListeners(0); // One listener per envjs() instance using this file
+    this.path = filePath;
+    this.autoCreate = autoCreate;
+    this.readOnly = readOnly;
+    this.debounce = debounce;
+    this.fsync = fsync;
+    this.lock = lock;
+    this.lockTimeout = lockTimeout;
+    this.keyFile = keyFile;
+    this.keyEnv = keyEnv;
+    this._encryptionKey = encryptionKey === undefined ? null : parseStoreKey(encryptionKey, 'encryptionKey');
+    this._data = null;
+    this._signature = null; // What the file looked like when this process last read or wrote it
+    this._readError = null; // Why an existing file could not be read; saving is refused until it can be
+    this._lockDepth = 0; // Nested _withLock() calls (store.update) reuse the lock already held
+    this._pendingPaths = new Set(); // Key paths changed since the last write, joined with '\0'; '' means everything
+    this._dirty = false;
+    this._flushTimer = null;
+    this._changeListeners = []; // { keys, callback } registered through store.onChange()
+    this._expiryTimer = null;
+    this.on('reload', (previous) => {
+      notifyStoreReload(this, previous);
+      scheduleStoreExpiry(this);
+    });
+  }
+
+  get data() {
+    if (this._data === null) this.load();
+    return this._data;
+  }
+
+  load() {
+    this._withLock(() => this._read(), { reading: true });
+    scheduleStoreExpiry(this); // Armed only once there is data to expire
+    return this._data;
+  }
+
+  /**
+   * Picks up changes another process wrote to the file. Unsaved changes made here win for the key paths they touch.
+   * @returns {boolean} Whether the data changed (a 'reload' event is emitted too).
+   */
+  refresh() {
+    if (this._data === null) {
+      this.load();
+      return false;
+    }
+    if (fileSignature(this.path) === this._signature) return false; // Cheap check before taking the lock
+    const previous = this._withLock(() => this._mergeFromDisk(), { reading: true });
+    if (previous) this.emit('reload', previous);
+    return previous !== null;
+  }
+
+  _read() {
+    let raw;
+    this._readError = null;
+    try {
+      this._signature = fileSignature(this.path);
+      raw = this._signature === null ? null : fs.readFileSync(this.path, 'utf8');
+    } catch (err) {
+      // The file is there but unreadable (permissions, a directory): start empty, but never save over it
+      console.error("Error loading envjs store:", err.message); // Keep error log
+      this._data = {};
+      this._readError = err;
+      return;
+    }
+    try {
+      this._data = raw === null ? {} : JSON.parse(raw);
+    } catch (err) {
+      // Keep the unreadable file for inspection rather than letting the next save overwrite it
+      const backupPath = `${this.path}.corrupt-${Date.now()}`;
+      try {
+        fs.copyFileSync(this.path, backupPath);
+        console.error(`Error loading envjs store: ${err.message}. The unreadable file was copied to '${backupPath}'; starting empty.`); // Keep error log
+      } catch (copyErr) {
+        console.error(`Error loading envjs store: ${err.message}. Could not back up the unreadable file: ${copyErr.message}`); // Keep error log
+      }
+      this._data = {};
+    }
+  }
+
+  // Must run under the lock. When the in-memory data is replaced by the merged file contents, returns a
+  // shallow copy of what it was before; otherwise null.
+  _mergeFromDisk() {
+    if (this._data === null) {
+      this._read();
+      return null;
+    }
+    const signature = fileSignature(this.path);
+    if (signature === null || signature === this._signature) return null;
+    if (this._pendingPaths.has('')) return null; // This process is about to overwrite the whole store anyway
+    let disk;
+    try {
+      disk = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (err) {
+      console.warn(`Store: Ignoring unreadable external change to '${this.path}':`, err.message); // Keep warning
+      return null;
+    }
+    if (disk === null || typeof disk !== 'object' || Array.isArray(disk)) return null;
+    for (const joined of this._pendingPaths) copyKeyPath(this._data, disk, joined.split('\0'));
+    const previous = { ...this._data };
+    for (const key of Object.keys(this._data)) delete this._data[key];
+    Object.assign(this._data, disk);
+    this._signature = signature;
+    return previous;
+  }
+
+  /**
+   * The key for encrypted values: the encryptionKey option, else the key file, else the key environment variable.
+   * @returns {Buffer} 32 bytes.
+   */
+  encryptionKey() {
+    if (this._encryptionKey) return this._encryptionKey;
+    if (this.keyFile) {
+      let raw;
+      try {
+        raw = fs.readFileSync(path.resolve(this.keyFile), 'utf8');
+      } catch (err) {
+        throw new Error(`Store: Could not read key file '${this.keyFile}': ${err.message}`);
+      }
+      this._encryptionKey = parseStoreKey(raw.trim(), `key file '${this.keyFile}'`);
+    } else if (process.env[this.keyEnv]) {
+      this._encryptionKey = parseStoreKey(process.env[this.keyEnv], `$${this.keyEnv}`);
+    } else {
+      throw new Error(`Store: No encryption key for '${this.path}'. Set $${this.keyEnv}, or pass encryptionKey or keyFile.`);
+    }
+    return this._encryptionKey;
+  }
+
+  /**
+   * Re-encrypts every encrypted value with a new key and saves. All values are decrypted before any is
+   * changed, so a value the current key cannot open leaves the store untouched.
+   * @param {string|Buffer} newKey - The new key.
+   * @returns {number} How many values were re-encrypted.
+   */
+  rekey(newKey) {
+    this.assertWritable();
+    const nextKey = parseStoreKey(newKey, 'the new key');
+    const found = [];
+    collectEncryptedValues(this.data, [], found);
+    const plainValues = found.map(({ envelope, keys }) => decryptStoreValue(envelope, this.encryptionKey(), keys.join('.')));
+    found.forEach(({ parent, key }, i) => {
+      parent[key] = encryptStoreValue(plainValues[i], nextKey);
+    });
+    this._encryptionKey = nextKey;
+    if (found.length > 0) this.save();
+    return found.length;
+  }
+
+  assertWritable() {
+    if (this.readOnly) throw new Error(`Store '${this.path}' is read-only.`);
+    if (this._data === null) this.load();
+    if (this._readError) {
+      throw new Error(`Store '${this.path}' could not be read (${this._readError.message}), so it will not be overwritten.`);
+    }
+    if (!this.autoCreate && !fs.existsSync(this.path)) {
+      throw new Error(`Store file '${this.path}' does not exist and autoCreate is disabled.`);
+    }
+  }
+
+  /**
+   * Writes now, or within `debounce` ms when debounced.
+   * @param {...string[]} keyPaths - The key paths that changed, e.g. ['users', 'ada']. None means the whole store.
+   * @returns {boolean} False if an immediate write failed (the changes stay pending); true otherwise.
+   */
+  save(...keyPaths) {
+    this.assertWritable();
+    if (keyPaths.length === 0) this._pendingPaths.add('');
+    for (const keys of keyPaths) this._pendingPaths.add(keys.join('\0'));
+    if (this.debounce === 0) {
+      return this._write();
+    }
+    this._dirty = true;
+    flushStoreFilesOnProcessEnd();
+    if (!this._flushTimer) {
+      this._flushTimer = setTimeout(() => this.flush(), this.debounce);
+      this._flushTimer.unref(); // Pending writes are flushed on exit or SIGINT/SIGTERM instead
+    }
+    return true;
+  }
+
+  // Writes any debounced changes immediately
+  flush() {
+    if (this._flushTimer) {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = null;
+    }
+    if (this._dirty) this._write();
+  }
+
+  // Returns whether the write succeeded; a failure is logged and leaves the changes pending
+  _write() {
+    this._dirty = false;
+    let written = false;
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+    let previous = null;
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      this._withLock(() => {
+        previous = this._mergeFromDisk();
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+          fs.writeSync(fd, JSON.stringify(this.data, null, 2), null, 'utf8');
+          if (this.fsync) fs.fsyncSync(fd);
+        } finally {
+          fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, this.path);
+        if (this.fsync) fsyncDirectory(path.dirname(this.path));
+        this._signature = fileSignature(this.path);
+        this._pendingPaths.clear();
+      });
+      written = true;
+      // console.log("envjs store saved."); // Removed default success log
+    } catch (err) {
+      console.error("Error saving envjs store:", err.message); // Keep error log
+      this._dirty = true; // Keep the changes pending so the next save (or the process ending) retries them
+      flushStoreFilesOnProcessEnd();
+      try {
+        fs.unlinkSync(tempPath);
+      } catch (e) {
+        // The temp file was never created
+      }
+    }
+    if (previous) this.emit('reload', previous);
+    return written;
+  }
+
+  /**
+   * Runs fn while holding the store's lock file. With `reading`, a lock file that cannot be created
+   * (a read-only file system or directory) means nobody can write here either, so fn runs unlocked.
+   */
+  _withLock(fn, { reading = false } = {}) {
+    // A read-only store may sit on a read-only file system, where no lock file can be made.
+    // Nothing needs guarding until the directory exists; the first save creates it before locking.
+    if (!this.lock || this.readOnly || this._lockDepth > 0 || !fs.existsSync(path.dirname(this.path))) return fn();
+    const lockPath = `${this.path}.lock`;
+    try {
+      acquireLockFile(lockPath, this.lockTimeout);
+    } catch (err) {
+      if (reading && ['EROFS', 'EACCES', 'EPERM'].includes(err.code)) return fn();
+      throw err;
+    }
+    this._lockDepth = 1;
+    try {
+      return fn();
+    } finally {
+      this._lockDepth = 0;
+      releaseLockFile(lockPath);
+    }
+  }
+}
+
+// Keys are 32 bytes, given as a Buffer, 64 hex characters or base64
+function parseStoreKey(key, source) {
+  const bytes = Buffer.isBuffer(key) ? key
+    : typeof key !== 'string' ? null
+      : /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+  if (!bytes || bytes.length !== 32) {
+    throw new Error(`Store: The encryption key from ${source} must be 32 bytes, given as 64 hex characters or base64.`);
+  }
+  return bytes;
+}
+
+// Short fingerprint of a key, recorded with each value so a wrong key is reported as such
+function storeKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function isEncryptedValue(value) {
+  return value !== null && typeof value === 'object' && value.__encrypted__ === STORE_CIPHER;
+}
+
+function encryptStoreValue(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(STORE_CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    __encrypted__: STORE_CIPHER,
+    kid: storeKeyId(key),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptStoreValue(envelope, key, keyPath) {
+  if (envelope.kid !== storeKeyId(key)) {
+    throw new Error(`Store: '${keyPath}' was encrypted with a different key (id ${envelope.kid}).`);
+  }
+  try {
+    const decipher = crypto.createDecipheriv(STORE_CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (err) {
+    throw new Error(`Store: Could not decrypt '${keyPath}'; the data has been altered.`);
+  }
+}
+
+function collectEncryptedValues(value, keys, found) {
+  if (value === null || typeof value !== 'object') return;
+  for (const key of Object.keys(value)) {
+    if (isEncryptedValue(value[key])) found.push({ parent: value, key, keys: keys.concat(key), envelope: value[key] });
+    else collectEncryptedValues(value[key], keys.concat(key), found);
+  }
+}
+
+// Returns the value with its encrypted parts decrypted; plain values are returned as they are, without copying
+function revealStoreValue(value, file, keyPath) {
+  if (isEncryptedValue(value)) return decryptStoreValue(value, file.encryptionKey(), keyPath);
+  const found = [];
+  collectEncryptedValues(value, [], found);
+  if (found.length === 0) return value;
+  const copy = JSON.parse(JSON.stringify(value));
+  for (const { keys } of found) {
+    let parent = copy;
+    for (const key of keys.slice(0, -1)) parent = parent[key];
+    const lastKey = keys[keys.length - 1];
+    parent[lastKey] = decryptStoreValue(parent[lastKey], file.encryptionKey(), [keyPath, ...keys].join('.'));
+  }
+  return copy;
+}
+
+// Identifies a version of a file without reading it; null when the file does not exist
+function fileSignature(filePath) {
+  try {
+    const stats = fs.statSync(filePath);
+    return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Copies the value at keys from one object into another, or deletes it there when the source has none
+function copyKeyPath(from, to, keys) {
+  let source = from;
+  let target = to;
+  for (let i = 0; i < keys.length - 1; i++) {
+    source = source !== null && typeof source === 'object' ? source[keys[i]] : undefined;
+    if (source === undefined) {
+      if (target !== null && typeof target === 'object' && target[keys[i]] !== null && typeof target[keys[i]] === 'object') {
+        deleteKeyPath(target[keys[i]], keys.slice(i + 1));
+      }
+      return;
+    }
+    if (target[keys[i]] === null || typeof target[keys[i]] !== 'object') target[keys[i]] = Array.isArray(source) ? [] : {};
+    target = target[keys[i]];
+  }
+  const lastKey = keys[keys.length - 1];
+  if (source !== null && typeof source === 'object' && lastKey in source) target[lastKey] = source[lastKey];
+  else delete target[lastKey];
+}
+
+function deleteKeyPath(target, keys) {
+  for (let i = 0; i < keys.length - 1; i++) {
+    target = target[keys[i]];
+    if (target === null || typeof target !== 'object') return;
+  }
+  delete target[keys[keys.length - 1]];
+}
+
+// Blocks the thread without spinning; used while waiting for another process's store lock.
+// Store writes are synchronous, so a contended lock stalls this process's event loop for the wait.
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// A lock is stale when its owner is gone or it has been held far longer than any single store write takes
+function isStaleLock(lockPath) {
+  try {
+    const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    if (Date.now() - owner.at > STORE_LOCK_STALE_AFTER) return true;
+    if (owner.pid === process.pid) return false;
+    process.kill(owner.pid, 0); // Throws ESRCH when no such process exists
+    return false;
+  } catch (err) {
+    if (err.code === 'ESRCH') return true;
+    if (err.code === 'ENOENT') return false; // Released in the meantime
+    // The owner may not have written its details yet; fall back to the file's age
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > STORE_LOCK_STALE_AFTER;
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+function acquireLockFile(lockPath, timeout) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, at: Date.now() }));
+      fs.closeSync(fd);
+      return;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    if (isStaleLock(lockPath)) {
+      console.warn(`Store: Removing stale lock '${lockPath}'.`); // Keep warning
+      try {
+        fs.unlinkSync(lockPath);
+      } catch (e) {
+        // Another process removed it first
+      }
+      continue;
+    }
+    if (Date.now() >= deadline) throw new Error(`Store: Timed out after ${timeout}ms waiting for lock '${lockPath}'.`);
+    sleepSync(STORE_LOCK_RETRY_INTERVAL);
   }
-} catch (err) {
-  console.error("Error loading envjs store:", err.message); // Keep error log
-  storeData = {}; // Reset to empty on error
 }
 
-// Helper to save store data
-function saveStore() {
+function releaseLockFile(lockPath) {
   try {
-    fs.writeFileSync(storeFilePath, JSON.stringify(storeData, null, 2), 'utf8');
-    // console.log("envjs store saved."); // Removed default success log
+    fs.unlinkSync(lockPath);
   } catch (err) {
-    console.error("Error saving envjs store:", err.message); // Keep error log
+    if (err.code !== 'ENOENT') console.warn(`Store: Could not release lock '${lockPath}':`, err.message); // Keep warning
+  }
+}
+
+// Makes a rename durable; not every platform can open a directory for fsync, so failures are ignored
+function fsyncDirectory(dirPath) {
+  let fd;
+  try {
+    fd = fs.openSync(dirPath, 'r');
+    fs.fsyncSync(fd);
+  } catch (e) {
+    // Best effort
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+// Store files by resolved path, so every envjs() instance and store.open() call on one file shares its data
+const storeFiles = new Map();
+
+function openStoreFile(filePath, options = {}) {
+  const existing = storeFiles.get(filePath);
+  if (existing) {
+    for (const option of ['autoCreate', 'readOnly', 'debounce', 'fsync', 'lock', 'lockTimeout', 'keyFile', 'keyEnv']) {
+      if (options[option] !== undefined && options[option] !== existing[option]) {
+        throw new Error(`Store '${filePath}' is already open with ${option}: ${existing[option]}.`);
+      }
+    }
+    if (options.encryptionKey !== undefined) {
+      const key = parseStoreKey(options.encryptionKey, 'encryptionKey');
+      if (existing._encryptionKey && !existing._encryptionKey.equals(key)) {
+        throw new Error(`Store '${filePath}' is already open with a different encryptionKey.`);
+      }
+      existing._encryptionKey = key;
+    }
+    return existing;
+  }
+  const file = new StoreFile(filePath, options);
+  storeFiles.set(filePath, file);
+  return file;
+}
+
+// Debounced writes still pending when the process ends are written synchronously: on a normal exit,
+// when the event loop runs dry, and on SIGINT/SIGTERM (which skip 'exit' unless something handles them)
+function flushStoreFiles() {
+  for (const file of storeFiles.values()) {
+    if (file._dirty) file.flush();
   }
 }
 
+// Registered the first time a debounced store has pending writes, so importing envjs leaves process events alone
+let flushOnProcessEnd = false;
+function flushStoreFilesOnProcessEnd() {
+  if (flushOnProcessEnd) return;
+  flushOnProcessEnd = true;
+  process.on('exit', flushStoreFiles);
+  process.on('beforeExit', flushStoreFiles);
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      flushStoreFiles();
+      // With no other handler, re-raise the signal so the process still ends the way it would have
+      if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+    });
+  }
+}
+
+// A bare name ("cache") maps to .envjs-store.cache.json in baseDir; anything else is a file path
+function resolveStorePath(nameOrPath, baseDir = process.cwd()) {
+  if (typeof nameOrPath !== 'string' || !nameOrPath.trim()) throw new Error('Store name or path must be a non-empty string.');
+  if (/^[\w-]+$/.test(nameOrPath)) return path.join(baseDir, `.envjs-store.${nameOrPath}.json`);
+  return path.resolve(baseDir, nameOrPath);
+}
+
+// Key under which the scheduler's persistent job table is kept in the store
+const SCHEDULER_STORAGE_KEY = '__schedulerJobs__';
+const SCHEDULER_MISFIRE_POLICIES = ['once', 'all', 'skip'];
+const SCHEDULER_OVERLAP_POLICIES = ['allow', 'skip', 'queue'];
+// Upper bound on catch-up runs for the "all" misfire policy
+const SCHEDULER_MAX_CATCH_UP = 1000;
+
+// Parses a duration string ("500ms", "5s", "1m", "1h", "1d") into milliseconds; NaN if invalid
+function parseDuration(durationString) {
+    const value = parseInt(durationString, 10);
+    if (isNaN(value)) return NaN;
+
+    const unit = durationString.replace(value, '').toLowerCase();
+    switch (unit) {
+        case 'ms': return value;
+        case 's': return value * 1000;
+        case 'm': return value * 1000 * 60;
+        case 'h': return value * 1000 * 60 * 60;
+        case 'd': return value * 1000 * 60 * 60 * 24;
+        default: return NaN; // Unknown unit
+    }
+}
+
+/**
+ * Parses the contents of a .env file: KEY=value lines, with optional "export " prefixes, # comments,
+ * and single- or double-quoted values, which may span several lines (double quotes understand \n, \t,
+ * \" and \\). With `expand`, ${VAR}, ${VAR:-fallback} and $VAR in unquoted and double-quoted values are
+ * replaced (\$ keeps a literal dollar sign); single-quoted values are always taken literally.
+ * @param {string} text - The file contents.
+ * @param {object} [options]
+ * @param {boolean} [options.expand=false] - Expand variable references.
+ * @param {function(string, object): (string|undefined)} [options.lookup] - Resolves a referenced variable, given
+ *   the values parsed so far. Defaults to those values, then process.env.
+ * @returns {object} Variable names mapped to their string values.
+ * @throws {Error} On a line that is not a KEY=value assignment or an unterminated quote, naming the line.
+ */
+function parseDotEnv(text, options = {}) {
+  const {
+    expand = false,
+    lookup = (name, parsed) => (parsed[name] !== undefined ? parsed[name] : process.env[name])
+  } = options;
+  const values = {};
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/.exec(trimmed);
+    if (!match) throw new Error(`line ${i + 1}: expected KEY=value`);
+    const startLine = i + 1;
+    let raw = match[2];
+    const quote = raw[0];
+    if (quote === '"' || quote === "'") {
+      // A quoted value runs until its closing quote, possibly on a later line
+      while (closingQuoteIndex(raw, quote) === -1 && i + 1 < lines.length) raw += '\n' + lines[++i];
+    }
+    values[match[1]] = parseDotEnvValue(raw, startLine, expand ? name => lookup(name, values) : null);
+  }
+  return values;
+}
+
+function parseDotEnvValue(raw, lineNumber, resolve) {
+  const quote = raw[0];
+  if (quote === '"' || quote === "'") {
+    const end = closingQuoteIndex(raw, quote);
+    if (end === -1) throw new Error(`line ${lineNumber}: unterminated ${quote === '"' ? 'double' : 'single'}-quoted value`);
+    const inner = raw.slice(1, end);
+    if (quote === "'") return inner;
+    return resolve ? expandDotEnvReferences(inner, resolve, true) : unescapeDoubleQuoted(inner);
+  }
+  const value = raw.replace(/\s+#.*$/, '').trim(); // Unquoted values end at an inline comment
+  return resolve ? expandDotEnvReferences(value, resolve, false) : value;
+}
+
+// An escape, or a $NAME / ${NAME} / ${NAME:-fallback} / ${NAME-fallback} reference
+const DOTENV_DOUBLE_QUOTED_PATTERN = /\\[nrt"\\$]|\$\{([A-Za-z_][A-Za-z0-9_]*)(?:(:?-)([^}]*))?\}|\$([A-Za-z_][A-Za-z0-9_]*)/g;
+const DOTENV_UNQUOTED_PATTERN = /\\\$|\$\{([A-Za-z_][A-Za-z0-9_]*)(?:(:?-)([^}]*))?\}|\$([A-Za-z_][A-Za-z0-9_]*)/g;
+
+// Expands references and undoes escapes in one pass, so a substituted value's backslashes are kept as they are.
+// Double-quoted values take \n, \r, \t, \", \\ and \$; unquoted ones only \$.
+function expandDotEnvReferences(value, resolve, doubleQuoted) {
+  const unescape = text => (doubleQuoted ? unescapeDoubleQuoted(text) : text.replace(/\\\$/g, '$'));
+  return value.replace(doubleQuoted ? DOTENV_DOUBLE_QUOTED_PATTERN : DOTENV_UNQUOTED_PATTERN,
+    (whole, bracedName, operator, fallback, bareName) => {
+      if (whole[0] === '\\') return unescape(whole);
+      const resolved = resolve(bracedName || bareName);
+      if (operator === ':-' && (resolved === undefined || resolved === '')) return unescape(fallback);
+      if (operator === '-' && resolved === undefined) return unescape(fallback);
+      return resolved === undefined ? '' : resolved;
+    });
+}
+
+function closingQuoteIndex(text, quote) {
+  return quote === '"' ? findClosingQuote(text, 1) : text.indexOf("'", 1);
+}
+
+function findClosingQuote(text, from) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === '"') return i;
+  }
+  return -1;
+}
+
+function unescapeDoubleQuoted(text) {
+  return text.replace(/\\([nrt"\\$])/g, (_, char) => ({ n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\', $: '$' })[char]);
+}
+
+/**
+ * Parses the YAML subset used for config files: nested maps by indentation, "key: value" pairs, lists of
+ * scalars ("- item" lines or [a, b]), quoted strings, numbers, true/false, null/~ and # comments.
+ * Anchors, multi-line strings and lists of maps are not supported.
+ * @param {string} text - The file contents.
+ * @returns {object} The parsed document.
+ * @throws {Error} On a line outside that subset, naming the line.
+ */
+function parseYamlLite(text) {
+  const root = {};
+  const stack = [{ indent: -1, value: root }];
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = stripYamlComment(rawLine);
+    if (!line.trim() || line.trim() === '---') return;
+    if (/^ *\t/.test(line)) throw new Error(`line ${i + 1}: indent with spaces, not tabs`);
+    const indent = line.length - line.trimStart().length;
+    const content = line.trim();
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) stack.pop();
+    const frame = stack[stack.length - 1];
+    if (frame.pending) {
+      // The first line under "key:" decides whether it holds a list or a map
+      frame.value = content === '-' || content.startsWith('- ') ? [] : {};
+      frame.parent[frame.key] = frame.value;
+      frame.pending = false;
+    }
+    if (content === '-' || content.startsWith('- ')) {
+      if (!Array.isArray(frame.value)) throw new Error(`line ${i + 1}: list item outside a list`);
+      frame.value.push(parseYamlScalar(content.slice(1).trim()));
+      return;
+    }
+    const match = /^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/.exec(content);
+    if (!match || Array.isArray(frame.value)) throw new Error(`line ${i + 1}: expected "key: value"`);
+    const key = /^["']/.test(match[1]) ? match[1].slice(1, -1) : match[1];
+    if (match[2] === undefined || match[2] === '') {
+      frame.value[key] = null;
+      stack.push({ indent, parent: frame.value, key, pending: true, value: null });
+    } else {
+      frame.value[key] = parseYamlScalar(match[2]);
+    }
+  });
+  return root;
+}
+
+function stripYamlComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function parseYamlScalar(text) {
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) return Number(text);
+  if (text.startsWith('"') && text.endsWith('"') && text.length > 1) return unescapeDoubleQuoted(text.slice(1, -1));
+  if (text.startsWith("'") && text.endsWith("'") && text.length > 1) return text.slice(1, -1).replace(/''/g, "'");
+  if (text.startsWith('[') && text.endsWith(']')) {
+    const inner = text.slice(1, -1).trim();
+    return inner === '' ? [] : inner.split(',').map(item => parseYamlScalar(item.trim()));
+  }
+  return text;
+}
+
 // Helper function to parse template literals for shell commands
 function parseCommand(template, ...args) {
     let command = template[0];
@@ -82,151 +755,908 @@ function parseCommand(template, ...args) {
     return command.trim();
 }
 
-/**
- * @module envjs
- * @description Provides a simplified interface to various Node.js core modules with added utilities.
- */
-export default function envjs() {
-  const modules = {
-    /**
-     * @memberof envjs
-     * @namespace file
-     * @description File system operations (synchronous and asynchronous).
-     */
-    file: {
-      /**
-       * Reads a file synchronously.
-       * @param {string} filename - The path to the file.
-       * @param {string} [encoding="utf8"] - The file encoding.
-       * @returns {string} The file content.
-       * @throws {Error} If the file cannot be read.
-       */
-      readFileSync(filename, encoding = "utf8") {
-        // Check for mock first
-        if (mockedFunctions['file.readFileSync']) {
-            console.log(`Using mock for file.readFileSync('${filename}')`);
-            return mockedFunctions['file.readFileSync'](filename, encoding);
+// --- Cron engine helpers ---
+// Field definitions in the order they appear in a six-field expression (seconds first).
+const CRON_FIELDS = [
+    { name: 'second', min: 0, max: 59 },
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const CRON_MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// setTimeout overflows above 2^31 - 1 ms (~24.8 days), so longer waits are chained.
+const MAX_TIMER_DELAY = 2147483647;
+
+// Parses a single cron field value (e.g., "MON-FRI", "*/15", "1,15,30") into a Set of allowed numbers.
+function parseCronField(value, field) {
+    const allowed = new Set();
+    const toNumber = (token) => {
+        const upper = token.toUpperCase();
+        if (field.names && field.names.includes(upper)) {
+            return field.names.indexOf(upper) + (field.name === 'month' ? 1 : 0);
         }
-        // No try/catch here, let it throw naturally so the caller can handle it.
-        const content = fs.readFileSync(path.resolve(filename), encoding);
-        return content;
-      },
-      /**
-       * Reads a file asynchronously.
-       * @param {string} filename - The path to the file.
-       * @param {string} [encoding="utf8"] - The file encoding.
-       * @returns {Promise<string>} A promise that resolves with the file content.
-       */
-      readFile(filename, encoding = "utf8") {
-         // Check for mock first
-        if (mockedFunctions['file.readFile']) {
-            console.log(`Using mock for file.readFile('${filename}')`);
-            return Promise.resolve(mockedFunctions['file.readFile'](filename, encoding));
+        if (!/^\d+$/.test(token)) {
+            throw new Error(`Invalid ${field.name} value "${token}".`);
         }
-        return readFileAsync(path.resolve(filename), encoding);
-      },
-      /**
-       * Writes data to a file synchronously.
-       * @param {string} filename - The path to the file.
-       * @param {string|Buffer} data - The data to write.
-       * @param {string} [encoding="utf8"] - The file encoding.
-       * @throws {Error} If the file cannot be written.
-       */
-      writeFileSync(filename, data, encoding = "utf8") {
-         // Check for mock first
-        if (mockedFunctions['file.writeFileSync']) {
-            console.log(`Using mock for file.writeFileSync('${filename}')`);
-            return mockedFunctions['file.writeFileSync'](filename, data, encoding);
+        const num = parseInt(token, 10);
+        if (num < field.min || num > field.max) {
+            throw new Error(`${field.name} value ${num} is out of range (${field.min}-${field.max}).`);
         }
-        // No try/catch here, let it throw naturally.
-        fs.writeFileSync(path.resolve(filename), data, encoding);
-      },
-      /**
-       * Writes data to a file asynchronously.
-       * @param {string} filename - The path to the file.
-       * @param {string|Buffer} data - The data to write.
-       * @param {string} [encoding="utf8"] - The file encoding.
-       * @returns {Promise<void>} A promise that resolves when the file is written.
-       */
-      writeFile(filename, data, encoding = "utf8") {
-         // Check for mock first
-        if (mockedFunctions['file.writeFile']) {
-            console.log(`Using mock for file.writeFile('${filename}')`);
-            return Promise.resolve(mockedFunctions['file.writeFile'](filename, data, encoding));
+        return num;
+    };
+
+    for (const part of value.split(',')) {
+        const [rangePart, stepPart, extra] = part.split('/');
+        if (extra !== undefined || rangePart === '') {
+            throw new Error(`Invalid ${field.name} field "${value}".`);
         }
-        return writeFileAsync(path.resolve(filename), data, encoding);
-      },
-      /**
-       * Checks if a file exists synchronously.
-       * @param {string} filename - The path to the file.
-       * @returns {boolean} True if the file exists, false otherwise.
-       */
-      existsSync(filename) {
-         // Check for mock first
-        if (mockedFunctions['file.existsSync']) {
-            console.log(`Using mock for file.existsSync('${filename}')`);
-            return mockedFunctions['file.existsSync'](filename);
+        let step = 1;
+        if (stepPart !== undefined) {
+            if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) === 0) {
+                throw new Error(`Invalid step "${stepPart}" in ${field.name} field.`);
+            }
+            step = parseInt(stepPart, 10);
         }
-        return fs.existsSync(path.resolve(filename));
-      },
-       /**
-       * Checks if a file exists asynchronously.
-       * Note: Using `fs.access` is generally preferred over `fs.exists` as it avoids race conditions.
-       * This function resolves with true if the file exists and is accessible, false otherwise.
-       * @param {string} filename - The path to the file.
-       * @param {number} [mode=fs.constants.F_OK] - The mode to check (e.g., fs.constants.R_OK for readable).
-       * @returns {Promise<boolean>} A promise that resolves with true if the file exists and is accessible, false otherwise.
-       */
-      exists(filename, mode = fs.constants.F_OK) {
-         // Check for mock first
-        if (mockedFunctions['file.exists']) {
-            console.log(`Using mock for file.exists('${filename}')`);
-            return Promise.resolve(mockedFunctions['file.exists'](filename, mode));
+
+        let start;
+        let end;
+        if (rangePart === '*' || rangePart === '?') {
+            start = field.min;
+            end = field.max;
+        } else if (rangePart.includes('-')) {
+            const [from, to] = rangePart.split('-');
+            start = toNumber(from);
+            end = toNumber(to);
+            if (end < start) {
+                throw new Error(`Invalid range "${rangePart}" in ${field.name} field.`);
+            }
+        } else {
+            start = toNumber(rangePart);
+            // "5/10" means "every 10 starting at 5"
+            end = stepPart !== undefined ? field.max : start;
         }
-        return new Promise((resolve) => {
-            fs.access(path.resolve(filename), mode, (err) => {
-                resolve(!err);
+
+        for (let i = start; i <= end; i += step) {
+            // Day-of-week 7 is an alias for Sunday (0)
+            allowed.add(field.name === 'dayOfWeek' && i === 7 ? 0 : i);
+        }
+    }
+    return allowed;
+}
+
+/**
+ * Parses a cron expression into a schedule object.
+ * Supports five fields (minute hour day-of-month month day-of-week), an optional leading seconds field,
+ * ranges, steps, lists, month/day names and the @yearly/@monthly/@weekly/@daily/@hourly macros.
+ * @param {string} expression - The cron expression.
+ * @returns {object} The parsed schedule.
+ * @throws {Error} If the expression is invalid.
+ */
+function parseCronExpression(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Cron expression must be a non-empty string.');
+    }
+    let source = expression.trim();
+    if (source.startsWith('@')) {
+        const macro = CRON_MACROS[source.toLowerCase()];
+        if (!macro) throw new Error(`Unknown cron macro "${source}".`);
+        source = macro;
+    }
+
+    const parts = source.split(/\s+/);
+    if (parts.length < 5 || parts.length > 6) {
+        throw new Error(`Invalid cron expression: ${expression}. Must have 5 or 6 space-separated parts.`);
+    }
+    if (parts.length === 5) parts.unshift('0'); // No seconds field: fire at second 0
+
+    const schedule = {};
+    CRON_FIELDS.forEach((field, index) => {
+        schedule[field.name] = parseCronField(parts[index], field);
+    });
+    // Classic cron semantics: when both day fields are restricted, a day matches if EITHER matches.
+    schedule.dayOfMonthRestricted = !/^[*?]$/.test(parts[3]);
+    schedule.dayOfWeekRestricted = !/^[*?]$/.test(parts[5]);
+    return schedule;
+}
+
+// Wall-clock adapter for the process's local time zone.
+// Wall-clock times are carried as UTC milliseconds so date arithmetic never crosses a DST shift.
+const localZone = {
+    wallOf(ms) {
+        const d = new Date(ms);
+        return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds());
+    },
+    toInstant(wallMs) {
+        const w = new Date(wallMs);
+        return new Date(w.getUTCFullYear(), w.getUTCMonth(), w.getUTCDate(), w.getUTCHours(), w.getUTCMinutes(), w.getUTCSeconds()).getTime();
+    }
+};
+
+const timeZoneCache = new Map();
+
+/**
+ * Returns a wall-clock adapter for an IANA time zone (e.g., "Europe/Berlin"), or the local zone if none is given.
+ * Non-existent wall times (DST gaps) resolve to the same instant JS Dates would pick, i.e. shifted forward by the
+ * gap length; ambiguous wall times (DST overlaps) resolve to their first occurrence.
+ * @param {string} [timezone] - The IANA time zone name.
+ * @returns {{ wallOf: function(number): number, toInstant: function(number): number }} The zone adapter.
+ * @throws {RangeError} If the time zone is not supported by Intl.
+ */
+function getTimeZone(timezone) {
+    if (!timezone) return localZone;
+    if (timeZoneCache.has(timezone)) return timeZoneCache.get(timezone);
+
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+    const wallOf = (ms) => {
+        const fields = {};
+        for (const { type, value } of formatter.formatToParts(new Date(ms))) {
+            fields[type] = parseInt(value, 10);
+        }
+        return Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour % 24, fields.minute, fields.second);
+    };
+    const offsetAt = (ms) => wallOf(ms) - (ms - (((ms % 1000) + 1000) % 1000));
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const zone = {
+        wallOf,
+        toInstant(wallMs) {
+            // Offsets a day either side bracket any transition near this wall time
+            const offsetBefore = offsetAt(wallMs - DAY_MS);
+            const offsetAfter = offsetAt(wallMs + DAY_MS);
+            const candidates = [wallMs - offsetBefore, wallMs - offsetAfter].filter(t => wallOf(t) === wallMs);
+            if (candidates.length > 0) return Math.min(...candidates);
+            return wallMs - offsetBefore; // Inside a DST gap
+        }
+    };
+    timeZoneCache.set(timezone, zone);
+    return zone;
+}
+
+function cronDayMatches(schedule, w) {
+    const domMatch = schedule.dayOfMonth.has(w.getUTCDate());
+    const dowMatch = schedule.dayOfWeek.has(w.getUTCDay());
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) return domMatch || dowMatch;
+    return domMatch && dowMatch;
+}
+
+/**
+ * Computes the first time strictly after `fromMs` at which a parsed cron schedule fires.
+ * @param {object} schedule - A schedule returned by parseCronExpression.
+ * @param {number} fromMs - The reference time in epoch milliseconds.
+ * @param {object} [zone=localZone] - The wall-clock adapter to evaluate the schedule in.
+ * @returns {number|null} The next fire time in epoch milliseconds, or null if the schedule never fires.
+ */
+function cronNextRun(schedule, fromMs, zone = localZone) {
+    const w = new Date(zone.wallOf(fromMs));
+    w.setUTCSeconds(w.getUTCSeconds() + 1, 0);
+    const lastYear = w.getUTCFullYear() + 10; // Covers Feb 29 schedules across non-leap centuries
+
+    while (w.getUTCFullYear() <= lastYear) {
+        if (!schedule.month.has(w.getUTCMonth() + 1)) {
+            w.setUTCMonth(w.getUTCMonth() + 1, 1);
+            w.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cronDayMatches(schedule, w)) {
+            w.setUTCDate(w.getUTCDate() + 1);
+            w.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.hour.has(w.getUTCHours())) {
+            w.setUTCHours(w.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.minute.has(w.getUTCMinutes())) {
+            w.setUTCMinutes(w.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+        if (!schedule.second.has(w.getUTCSeconds())) {
+            w.setUTCSeconds(w.getUTCSeconds() + 1, 0);
+            continue;
+        }
+        const instant = zone.toInstant(w.getTime());
+        if (instant > fromMs) return instant;
+        w.setUTCSeconds(w.getUTCSeconds() + 1, 0);
+    }
+    return null;
+}
+
+/**
+ * Splits a store key path into keys: "a.b[2].c" -> ['a', 'b', 2, 'c']. Bracketed indexes become numbers.
+ * @param {string} keyPath - The key path.
+ * @returns {Array<string|number>} The keys.
+ */
+function parseKeyPath(keyPath) {
+  if (typeof keyPath !== 'string' || keyPath === '') throw new Error('Store key path must be a non-empty string.');
+  const keys = [];
+  for (const segment of keyPath.split('.')) {
+    const match = /^([^[\]]*)((?:\[\d+\])*)$/.exec(segment);
+    if (!match || (match[1] === '' && match[2] === '')) throw new Error(`Store: Invalid key path '${keyPath}'.`);
+    if (match[1] !== '') keys.push(match[1]);
+    for (const index of match[2].matchAll(/\[(\d+)\]/g)) keys.push(Number(index[1]));
+  }
+  return keys;
+}
+
+function formatKeyPath(keys) {
+  return keys.map((key, i) => (typeof key === 'number' ? `[${key}]` : (i === 0 ? key : `.${key}`))).join('');
+}
+
+function lookupKeyPath(root, keys) {
+  let current = root;
+  for (const key of keys) {
+    if (current === null || typeof current !== 'object' || !(key in current)) return { found: false, value: undefined };
+    current = current[key];
+  }
+  return { found: true, value: current };
+}
+
+// True when one key path is the other or lies under it
+function keyPathsOverlap(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (String(a[i]) !== String(b[i])) return false;
+  }
+  return true;
+}
+
+function cloneStoreValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * The smallest subtree of root that a change at keys can reach: it stops at the first key that is missing
+ * (or sits under a value that is not an object), and takes in a whole array when keys lead into one, since
+ * elements can be added or spliced out.
+ */
+function storeChangeScope(root, keys) {
+  let current = root;
+  for (let i = 0; i < keys.length; i++) {
+    if (Array.isArray(current)) return keys.slice(0, i);
+    if (current === null || typeof current !== 'object') return keys.slice(0, i);
+    if (!(keys[i] in current)) return keys.slice(0, i + 1);
+    current = current[keys[i]];
+  }
+  return keys;
+}
+
+/**
+ * Runs a change to a store file's data, saves the key paths it reports and calls the onChange listeners
+ * whose value actually changed. `mutate` returns the key paths to save, or null when it changed nothing.
+ * Only the subtree the change can reach is copied up front, so a listener on a parent (or on the whole store)
+ * costs a copy of what changed rather than of everything under it; its full old value is rebuilt only when
+ * it is called. Throws if the write failed; the change stays in memory, pending for the next save.
+ */
+function commitStoreChange(file, keys, type, mutate) {
+  const scope = storeChangeScope(file.data, keys);
+  const listeners = file._changeListeners.filter(listener => keyPathsOverlap(listener.keys, scope));
+  // The key paths to compare for each listener; the whole store also holds the expiry entries
+  const watched = listeners.map(listener => {
+    if (listener.keys.length >= scope.length) return [listener.keys];
+    return listener.keys.length === 0 ? [scope, [STORE_EXPIRES_KEY]] : [scope];
+  });
+  const snapshots = new Map();
+  for (const keyPath of watched.flat()) {
+    const id = formatKeyPath(keyPath);
+    if (!snapshots.has(id)) snapshots.set(id, cloneStoreValue(lookupKeyPath(file.data, keyPath).value));
+  }
+  const savePaths = mutate();
+  if (!savePaths) return false;
+  const saved = file.readOnly || file.save(...savePaths);
+  const change = { keyPath: formatKeyPath(keys), type };
+  listeners.forEach((listener, i) => {
+    const changed = watched[i].some(keyPath => {
+      const after = lookupKeyPath(file.data, keyPath).value;
+      return JSON.stringify(after) !== JSON.stringify(snapshots.get(formatKeyPath(keyPath)));
+    });
+    if (!changed) return;
+    const [first] = watched[i];
+    if (first === listener.keys) {
+      callStoreListener(listener, lookupKeyPath(file.data, listener.keys).value, cloneStoreValue(snapshots.get(formatKeyPath(first))), change);
+      return;
+    }
+    // Put the old subtrees back into a copy of the new value
+    const before = cloneStoreValue(lookupKeyPath(file.data, listener.keys).value);
+    for (const keyPath of watched[i]) {
+      const relativeKeys = keyPath.slice(listener.keys.length);
+      const parent = lookupKeyPath(before, relativeKeys.slice(0, -1)).value;
+      const lastKey = relativeKeys[relativeKeys.length - 1];
+      const previous = cloneStoreValue(snapshots.get(formatKeyPath(keyPath)));
+      if (previous === undefined) delete parent[lastKey];
+      else parent[lastKey] = previous;
+    }
+    callStoreListener(listener, lookupKeyPath(file.data, listener.keys).value, before, change);
+  });
+  if (!saved) throw new Error(`Store: Could not write '${file.path}'. The change stays in memory and is retried with the next save.`);
+  return true;
+}
+
+function notifyStoreListeners(file, listeners, before, change) {
+  listeners.forEach((listener, i) => {
+    const after = lookupKeyPath(file.data, listener.keys).value;
+    if (JSON.stringify(after) === JSON.stringify(before[i])) return;
+    callStoreListener(listener, after, before[i], change);
+  });
+}
+
+function callStoreListener(listener, after, before, change) {
+  try {
+    listener.callback(cloneStoreValue(after), before, change);
+  } catch (err) {
+    console.error(`Store: onChange listener for '${formatKeyPath(listener.keys) || '*'}' failed:`, err.message); // Keep error log
+  }
+}
+
+// After the data was replaced wholesale (restore, another process's write), tells listeners what changed
+function notifyStoreReload(file, previous) {
+  const listeners = file._changeListeners.slice();
+  const before = listeners.map(listener => cloneStoreValue(lookupKeyPath(previous, listener.keys).value));
+  notifyStoreListeners(file, listeners, before, { keyPath: '', type: 'reload' });
+}
+
+// Drops expiry entries for a key path and everything under it; returns whether any were dropped
+function clearStoreExpiry(file, keys) {
+  const expires = file.data[STORE_EXPIRES_KEY];
+  if (!expires) return false;
+  let cleared = false;
+  for (const keyPath of Object.keys(expires)) {
+    const expiringKeys = parseKeyPath(keyPath);
+    if (expiringKeys.length >= keys.length && keyPathsOverlap(expiringKeys, keys)) {
+      delete expires[keyPath];
+      cleared = true;
+    }
+  }
+  if (Object.keys(expires).length === 0) delete file.data[STORE_EXPIRES_KEY];
+  return cleared;
+}
+
+/**
+ * Removes every key whose ttl has passed. Runs from the expiry timer and lazily before reads, so a value
+ * is never returned past its expiry even if the timer has not fired yet.
+ */
+function evictExpiredStoreKeys(file) {
+  const now = Date.now();
+  const failed = new Set();
+  // One key at a time: removing an array element renumbers the expiry entries of the elements after it
+  for (;;) {
+    const expires = file.data[STORE_EXPIRES_KEY];
+    const expired = expires && Object.keys(expires).find(keyPath => expires[keyPath] <= now && !failed.has(keyPath));
+    if (!expired) return;
+    const keys = parseKeyPath(expired);
+    try {
+      commitStoreChange(file, keys, 'expire', () => {
+        const savePaths = removeStoreValue(file, keys);
+        if (!savePaths) clearStoreExpiry(file, keys); // The value was already gone
+        return savePaths || [[STORE_EXPIRES_KEY]];
+      });
+    } catch (err) {
+      failed.add(expired);
+      console.error(`Store: Could not remove expired key '${expired}':`, err.message); // Keep error log
+    }
+  }
+}
+
+function scheduleStoreExpiry(file) {
+  if (file._expiryTimer) clearTimeout(file._expiryTimer);
+  file._expiryTimer = null;
+  if (file._data === null) return; // Not loaded yet; load() arms the timer
+  const expires = file.data[STORE_EXPIRES_KEY];
+  if (!expires || Object.keys(expires).length === 0) return;
+  const next = Math.min(...Object.values(expires));
+  const delay = Math.min(Math.max(next - Date.now(), 0), 2 ** 31 - 1); // setTimeout's upper bound
+  file._expiryTimer = setTimeout(() => {
+    evictExpiredStoreKeys(file);
+    scheduleStoreExpiry(file);
+  }, delay);
+  file._expiryTimer.unref(); // Expiry never keeps the process alive
+}
+
+// Removes the value at keys; array elements are spliced out. Returns whether there was one.
+function removeAtKeyPath(root, keys) {
+  const { found, value: parent } = lookupKeyPath(root, keys.slice(0, -1));
+  const lastKey = keys[keys.length - 1];
+  if (!found || parent === null || typeof parent !== 'object' || !(lastKey in parent)) return false;
+  if (Array.isArray(parent) && typeof lastKey === 'number') parent.splice(lastKey, 1);
+  else delete parent[lastKey];
+  return true;
+}
+
+/**
+ * Removes the value at keys and its expiry entries. Removing an array element moves the expiry entries of
+ * the elements after it down one index, so each still belongs to the same value. Returns the key paths to
+ * save (the whole array when it was spliced), or null when there was nothing at keys.
+ */
+function removeStoreValue(file, keys) {
+  const parentKeys = keys.slice(0, -1);
+  const lastKey = keys[keys.length - 1];
+  const spliced = typeof lastKey === 'number' && Array.isArray(lookupKeyPath(file.data, parentKeys).value);
+  if (!removeAtKeyPath(file.data, keys)) return null;
+  let expiryChanged = clearStoreExpiry(file, keys);
+  const expires = file.data[STORE_EXPIRES_KEY];
+  if (spliced && expires) {
+    const moved = [];
+    for (const keyPath of Object.keys(expires)) {
+      const expiringKeys = parseKeyPath(keyPath);
+      const index = expiringKeys[parentKeys.length];
+      if (typeof index !== 'number' || index <= lastKey || !parentKeys.every((key, i) => expiringKeys[i] === key)) continue;
+      expiringKeys[parentKeys.length] = index - 1;
+      moved.push([formatKeyPath(expiringKeys), expires[keyPath]]);
+      delete expires[keyPath];
+    }
+    for (const [keyPath, expiresAt] of moved) expires[keyPath] = expiresAt;
+    if (moved.length > 0) expiryChanged = true;
+  }
+  const savePaths = [spliced ? parentKeys : keys];
+  if (expiryChanged) savePaths.push([STORE_EXPIRES_KEY]);
+  return savePaths;
+}
+
+function ttlToMs(ttl) {
+  const ms = typeof ttl === 'string' ? parseDuration(ttl) : ttl;
+  if (typeof ms !== 'number' || !Number.isFinite(ms) || ms <= 0) {
+    throw new Error(`Store: Invalid ttl '${ttl}'. Use milliseconds or a duration such as "30s", "10m" or "1d".`);
+  }
+  return ms;
+}
+
+// Writes a value at keys, creating objects (or arrays, before a numeric index) on the way
+function writeStoreValue(file, keys, value, { encrypt = false, ttl, keepExpiry = false } = {}) {
+  if (encrypt) value = encryptStoreValue(value, file.encryptionKey());
+  const expiresAt = ttl === undefined ? null : Date.now() + ttlToMs(ttl);
+  const keyPath = formatKeyPath(keys);
+  let changed = false;
+  const commit = () => commitStoreChange(file, keys, 'set', () => {
+    changed = true;
+    let current = file.data;
+    for (let i = 0; i < keys.length - 1; i++) {
+      const key = keys[i];
+      if (current === null || typeof current !== 'object') {
+        console.error(`Cannot set value: Intermediate path '${formatKeyPath(keys.slice(0, i + 1))}' is not an object.`); // Keep error log
+        return null; // Cannot set if path is not an object
+      }
+      if (!(key in current) || typeof current[key] !== 'object' || current[key] === null) {
+        // Create a container if it doesn't exist or is not an object
+        current[key] = typeof keys[i + 1] === 'number' ? [] : {};
+      }
+      current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+    const savePaths = [keys];
+    if (!keepExpiry && clearStoreExpiry(file, keys)) savePaths.push([STORE_EXPIRES_KEY]);
+    if (expiresAt !== null) {
+      if (!file.data[STORE_EXPIRES_KEY]) file.data[STORE_EXPIRES_KEY] = {};
+      file.data[STORE_EXPIRES_KEY][keyPath] = expiresAt;
+      if (savePaths.length === 1) savePaths.push([STORE_EXPIRES_KEY]);
+    }
+    return savePaths;
+  });
+  try {
+    changed = commit();
+  } finally {
+    if (changed && expiresAt !== null) scheduleStoreExpiry(file); // Also when the write failed: the value is set in memory
+  }
+  return changed;
+}
+
+/**
+ * Builds the store API (get/set/update/increment/delete/onChange/all/secret/rekey/backup/restore/open) over one store file.
+ * @param {StoreFile} file - The file the returned store reads and writes.
+ * @returns {object} The store.
+ */
+function createStoreApi(file) {
+  scheduleStoreExpiry(file);
+  const store = {
+    /** Absolute path of the store's file (which may not exist until the first write). */
+    path: file.path,
+    /** Whether writes are rejected. */
+    readOnly: file.readOnly,
+    /**
+     * Gets a value from the store using dot notation, with [n] for array indexes. Encrypted values are decrypted.
+     * @param {string} keyPath - The key path (e.g., "users[0].name").
+     * @param {any} [defaultValue] - The value to return if the key path is not found or has expired.
+     * @returns {any} The value at the key path or the default value.
+     */
+    get(keyPath, defaultValue) {
+        const keys = parseKeyPath(keyPath);
+        if (file.data[STORE_EXPIRES_KEY]) evictExpiredStoreKeys(file);
+        let { found, value } = lookupKeyPath(file.data, keys);
+        // Stores written before bracket paths were supported hold keys such as "list[0]" literally
+        if (!found && keyPath.includes('[')) ({ found, value } = lookupKeyPath(file.data, keyPath.split('.')));
+        return found ? revealStoreValue(value, file, keyPath) : defaultValue;
+    },
+    /**
+     * Sets a value in the store using dot notation, with [n] for array indexes. Creates nested objects
+     * (or arrays, before an index) if they don't exist.
+     * @param {string} keyPath - The key path (e.g., "users[0].name").
+     * @param {any} value - The value to set.
+     * @param {object} [options] - Options.
+     * @param {boolean} [options.encrypt=false] - Store the value encrypted with AES-256-GCM.
+     * @param {string|number} [options.ttl] - Remove the key after this long (ms, or a duration like "10m").
+     *   Setting a key again without a ttl makes it permanent.
+     */
+    set(keyPath, value, options = {}) {
+        file.assertWritable();
+        writeStoreValue(file, parseKeyPath(keyPath), value, options);
+    },
+    /**
+     * Atomically replaces a value with what `updater` returns for the current one. Changes other processes
+     * wrote to the file are read in first, under the store lock, so concurrent updates are not lost.
+     * @param {string} keyPath - The key path.
+     * @param {function(any): any} updater - Receives a copy of the current value (undefined if unset).
+     * @param {object} [options] - As for set(). An encrypted value stays encrypted and an existing ttl is
+     *   kept unless a new one is given.
+     * @returns {any} The new value.
+     */
+    update(keyPath, updater, options = {}) {
+        if (typeof updater !== 'function') throw new Error('Store update requires an updater function.');
+        file.assertWritable();
+        const keys = parseKeyPath(keyPath);
+        return file._withLock(() => {
+            file.refresh();
+            const current = lookupKeyPath(file.data, keys);
+            const next = updater(current.found ? cloneStoreValue(revealStoreValue(current.value, file, keyPath)) : undefined);
+            writeStoreValue(file, keys, next, {
+                encrypt: options.encrypt !== undefined ? options.encrypt : isEncryptedValue(current.value),
+                ttl: options.ttl,
+                keepExpiry: options.ttl === undefined,
             });
+            file.flush(); // A debounced store still writes inside the lock
+            return next;
         });
-      },
+    },
+    /**
+     * Atomically adds to a number (see update()). A missing key counts as 0.
+     * @param {string} keyPath - The key path.
+     * @param {number} [by=1] - The amount to add; may be negative.
+     * @param {object} [options] - As for update().
+     * @returns {number} The new value.
+     */
+    increment(keyPath, by = 1, options = {}) {
+        if (typeof by !== 'number' || !Number.isFinite(by)) throw new Error('Store increment amount must be a finite number.');
+        return store.update(keyPath, (current) => {
+            if (current === undefined) return by;
+            if (typeof current !== 'number') throw new Error(`Store: Cannot increment '${keyPath}'; it holds a non-number.`);
+            return current + by;
+        }, options);
+    },
+    /**
+     * Deletes a value from the store using dot notation. Deleting an array element removes it from the array.
+     * @param {string} keyPath - The key path (e.g., "users[0]").
+     */
+    delete(keyPath) {
+        file.assertWritable();
+        const keys = parseKeyPath(keyPath);
+        const deleted = commitStoreChange(file, keys, 'delete', () => removeStoreValue(file, keys));
+        if (!deleted) console.warn(`Delete failed: Path '${keyPath}' not found.`); // Keep warning log
+    },
+    /**
+     * Calls `callback(newValue, oldValue, change)` whenever the value at a key path changes: when the key itself,
+     * anything under it, or a parent it lives in is set, deleted or expires, or when the data is reloaded from
+     * the file. `change` is { keyPath, type: 'set' | 'delete' | 'expire' | 'reload' }.
+     * @param {string} [keyPath] - The key path to watch; omit it to watch the whole store.
+     * @param {function(any, any, object): void} callback - The listener.
+     * @returns {function(): void} Call it to stop listening.
+     */
+    onChange(keyPath, callback) {
+        if (typeof keyPath === 'function') {
+            callback = keyPath;
+            keyPath = null;
+        }
+        if (typeof callback !== 'function') throw new Error('Store onChange requires a callback function.');
+        const listener = { keys: keyPath === null ? [] : parseKeyPath(keyPath), callback };
+        file._changeListeners.push(listener);
+        return () => {
+            const index = file._changeListeners.indexOf(listener);
+            if (index !== -1) file._changeListeners.splice(index, 1);
+        };
+    },
+    /**
+     * Gets the entire store data. Encrypted values are left encrypted; ttl bookkeeping is left out.
+     * @returns {object} The entire store object.
+     */
+    all() {
+        if (file.data[STORE_EXPIRES_KEY]) evictExpiredStoreKeys(file);
+        // Return a deep copy to prevent external modification
+        const data = JSON.parse(JSON.stringify(file.data));
+        delete data[STORE_EXPIRES_KEY];
+        return data;
+    },
+    /**
+     * Writes a gzipped snapshot of the whole store (including store-backed db collections) to a file.
+     * @param {string} filePath - Where to write the backup, e.g. "backups/store-2024-01-01.json.gz".
+     * @returns {Promise<{path: string, bytes: number}>} The resolved path and compressed size.
+     */
+    async backup(filePath) {
+        if (typeof filePath !== 'string' || !filePath.trim()) throw new Error('Store backup requires a file path.');
+        const resolvedPath = path.resolve(filePath);
+        const compressed = await gzipAsync(JSON.stringify(file.data));
+        await mkdirAsync(path.dirname(resolvedPath), { recursive: true });
+        await writeFileAsync(resolvedPath, compressed);
+        return { path: resolvedPath, bytes: compressed.length };
+    },
+    /**
+     * Replaces the whole store with a snapshot written by backup() and saves it.
+     * @param {string} filePath - The gzipped backup to restore.
+     * @returns {Promise<{path: string, keys: string[]}>} The resolved path and the restored top-level keys.
+     */
+    async restore(filePath) {
+        if (typeof filePath !== 'string' || !filePath.trim()) throw new Error('Store restore requires a file path.');
+        file.assertWritable();
+        const resolvedPath = path.resolve(filePath);
+        const raw = await gunzipAsync(await readFileAsync(resolvedPath));
+        const snapshot = JSON.parse(raw.toString('utf8'));
+        if (snapshot === null || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+            throw new Error(`Store backup '${resolvedPath}' does not contain a store object.`);
+        }
+        const previous = { ...file.data };
+        for (const key of Object.keys(file.data)) delete file.data[key];
+        Object.assign(file.data, snapshot);
+        file.save();
+        file.emit('reload', previous);
+        return { path: resolvedPath, keys: Object.keys(snapshot) };
+    },
+    /**
+     * Encrypted entries, kept under "__secrets__" in the store. Names may use dot notation.
+     */
+    secret: {
+        /**
+         * Stores a value encrypted.
+         * @param {string} name - The secret's name, e.g. "github.token".
+         * @param {any} value - Any JSON value.
+         */
+        set(name, value) {
+            store.set(`${STORE_SECRETS_KEY}.${name}`, value, { encrypt: true });
+        },
+        /**
+         * Reads and decrypts a secret.
+         * @param {string} name - The secret's name.
+         * @param {any} [defaultValue] - Returned when there is no such secret.
+         * @returns {any} The decrypted value.
+         */
+        get(name, defaultValue) {
+            return store.get(`${STORE_SECRETS_KEY}.${name}`, defaultValue);
+        },
+        /**
+         * Deletes a secret.
+         * @param {string} name - The secret's name.
+         */
+        delete(name) {
+            store.delete(`${STORE_SECRETS_KEY}.${name}`);
+        },
+        /**
+         * Lists the secrets' names (never their values).
+         * @returns {string[]} Names in dot notation.
+         */
+        list() {
+            const found = [];
+            collectEncryptedValues(file.data[STORE_SECRETS_KEY], [], found);
+            return found.map(({ keys }) => keys.join('.'));
+        }
+    },
+    /**
+     * Re-encrypts every encrypted value in the store with a new key. Store the new key (environment variable
+     * or key file) before the process restarts; values can no longer be read with the old one.
+     * @param {string|Buffer} newKey - 32 bytes, as a Buffer, 64 hex characters or base64.
+     * @returns {number} How many values were re-encrypted.
+     */
+    rekey(newKey) {
+        return file.rekey(newKey);
+    },
+    /**
+     * Writes changes still waiting on the debounce timer. A no-op when nothing is pending.
+     */
+    flush() {
+        file.flush();
+    },
+    /**
+     * Re-reads the file and merges in changes other processes wrote to it; this store's unsaved changes win.
+     * @returns {boolean} Whether anything changed.
+     */
+    reload() {
+        return file.refresh();
+    },
+    /**
+     * Opens another, independent store. Its file is only created on its first write.
+     * @param {string} nameOrPath - A name such as "cache" (stored as .envjs-store.cache.json next to this store's file)
+     *   or a path to a .json file.
+     * @param {object} [options] - { autoCreate, readOnly, debounce, fsync, lock, lockTimeout, encryptionKey, keyFile, keyEnv },
+     *   as for envjs({ store }).
+     * @returns {object} A store with the same methods as this one. Opening the same file again shares its data.
+     */
+    open(nameOrPath, options = {}) {
+        return createStoreApi(openStoreFile(resolveStorePath(nameOrPath, path.dirname(file.path)), options));
+    }
+  };
+  return store;
+}
+
+/**
+ * @module envjs
+ * @description Provides a simplified interface to various Node.js core modules with added utilities.
+ * @param {object} [options={}] - Options.
+ * @param {object} [options.store] - Where the store (and the store-backed db and scheduler jobs) keep their data.
+ * @param {string} [options.store.path] - Store file path. Defaults to .envjs-store.json in the current working directory.
+ * @param {boolean} [options.store.autoCreate=true] - Create the file (and its directory) on the first write if it is missing.
+ * @param {boolean} [options.store.readOnly=false] - Reject every write; the file is only ever read.
+ * @param {number} [options.store.debounce=0] - Batch saves made within this many ms into one write (see store.flush()).
+ * @param {boolean} [options.store.fsync=false] - fsync each write before it replaces the old file.
+ * @param {boolean} [options.store.lock=true] - Take an advisory lock file (<path>.lock) around reads and writes.
+ * @param {number} [options.store.lockTimeout=5000] - How long to wait for another process's lock, in ms.
+ * @param {boolean} [options.store.watch=false] - Merge in changes other processes write to the file as they happen.
+ * @param {string|Buffer} [options.store.encryptionKey] - Key for encrypted values (32 bytes; hex or base64 if a string).
+ * @param {string} [options.store.keyFile] - File holding the key, used when encryptionKey is not given.
+ * @param {string} [options.store.keyEnv="ENVJS_STORE_KEY"] - Environment variable holding the key, used as a last resort.
+ */
+export default function envjs(options = {}) {
+  const storeOptions = options.store || {};
+  const primaryStore = openStoreFile(path.resolve(storeOptions.path || DEFAULT_STORE_FILE_NAME), {
+    autoCreate: storeOptions.autoCreate,
+    readOnly: storeOptions.readOnly,
+    debounce: storeOptions.debounce,
+    fsync: storeOptions.fsync,
+    lock: storeOptions.lock,
+    lockTimeout: storeOptions.lockTimeout,
+    encryptionKey: storeOptions.encryptionKey,
+    keyFile: storeOptions.keyFile,
+    keyEnv: storeOptions.keyEnv,
+  });
+  const modules = {
+    /**
+     * @memberof envjs
+     * @namespace file
+     * @description File system operations (synchronous and asynchronous).
+     */
+    file: {
       /**
-       * Reads the content of a directory synchronously.
-       * @param {string} dirPath - The path to the directory.
-       * @param {object} [options={ encoding: "utf8", withFileTypes: false }] - Options for reading the directory.
-       * @returns {string[]|fs.Dirent[]} An array of filenames or Dirent objects.
-       * @throws {Error} If the directory cannot be read.
+       * Reads a file synchronously.
+       * @param {string} filename - The path to the file.
+       * @param {string} [encoding="utf8"] - The file encoding.
+       * @returns {string} The file content.
+       * @throws {Error} If the file cannot be read.
        */
-      readDirSync(dirPath, options = { encoding: "utf8", withFileTypes: false }) {
-         // Check for mock first
-        if (mockedFunctions['file.readDirSync']) {
-            console.log(`Using mock for file.readDirSync('${dirPath}')`);
-            return mockedFunctions['file.readDirSync'](dirPath, options);
+      readFileSync(filename, encoding = "utf8") {
+        // Check for mock first
+        if (mockedFunctions['file.readFileSync']) {
+            console.log(`Using mock for file.readFileSync('${filename}')`);
+            return mockedFunctions['file.readFileSync'](filename, encoding);
         }
-        // No try/catch here, let it throw naturally.
-        const files = fs.readdirSync(path.resolve(dirPath), options);
-        return files;
+        // No try/catch here, let it throw naturally so the caller can handle it.
+        const content = fs.readFileSync(path.resolve(filename), encoding);
+        return content;
       },
       /**
-       * Reads the content of a directory asynchronously.
-       * @param {string} dirPath - The path to the directory.
-       * @param {object} [options={ encoding: "utf8", withFileTypes: false }] - Options for reading the directory.
-       * @returns {Promise<string[]|fs.Dirent[]>} A promise that resolves with an array of filenames or Dirent objects.
+       * Reads a file asynchronously.
+       * @param {string} filename - The path to the file.
+       * @param {string} [encoding="utf8"] - The file encoding.
+       * @returns {Promise<string>} A promise that resolves with the file content.
        */
-      readDir(dirPath, options = { encoding: "utf8", withFileTypes: false }) {
+      readFile(filename, encoding = "utf8") {
          // Check for mock first
-        if (mockedFunctions['file.readDir']) {
-            console.log(`Using mock for file.readDir('${dirPath}')`);
-            return Promise.resolve(mockedFunctions['file.readDir'](dirPath, options));
+        if (mockedFunctions['file.readFile']) {
+            console.log(`Using mock for file.readFile('${filename}')`);
+            return Promise.resolve(mockedFunctions['file.readFile'](filename, encoding));
         }
-        return readdirAsync(path.resolve(dirPath), options);
+        return readFileAsync(path.resolve(filename), encoding);
       },
       /**
-       * Creates a directory synchronously.
-       * @param {string} dirPath - The path to the directory to create.
-       * @param {object} [options={ recursive: false }] - Options for creating the directory.
-       * @returns {string|undefined} The first directory path created if recursive, undefined otherwise.
-       * @throws {Error} If the directory cannot be created.
-       */
+       * Writes data to a file synchronously.
+       * @param {string} filename - The path to the file.
+       * @param {string|Buffer} data - The data to write.
+       * @param {string} [encoding="utf8"] - The file encoding.
+       * @throws {Error} If the file cannot be written.
+       */
+      writeFileSync(filename, data, encoding = "utf8") {
+         // Check for mock first
+        if (mockedFunctions['file.writeFileSync']) {
+            console.log(`Using mock for file.writeFileSync('${filename}')`);
+            return mockedFunctions['file.writeFileSync'](filename, data, encoding);
+        }
+        // No try/catch here, let it throw naturally.
+        fs.writeFileSync(path.resolve(filename), data, encoding);
+      },
+      /**
+       * Writes data to a file asynchronously.
+       * @param {string} filename - The path to the file.
+       * @param {string|Buffer} data - The data to write.
+       * @param {string} [encoding="utf8"] - The file encoding.
+       * @returns {Promise<void>} A promise that resolves when the file is written.
+       */
+      writeFile(filename, data, encoding = "utf8") {
+         // Check for mock first
+        if (mockedFunctions['file.writeFile']) {
+            console.log(`Using mock for file.writeFile('${filename}')`);
+            return Promise.resolve(mockedFunctions['file.writeFile'](filename, data, encoding));
+        }
+        return writeFileAsync(path.resolve(filename), data, encoding);
+      },
+      /**
+       * Checks if a file exists synchronously.
+       * @param {string} filename - The path to the file.
+       * @returns {boolean} True if the file exists, false otherwise.
+       */
+      existsSync(filename) {
+         // Check for mock first
+        if (mockedFunctions['file.existsSync']) {
+            console.log(`Using mock for file.existsSync('${filename}')`);
+            return mockedFunctions['file.existsSync'](filename);
+        }
+        return fs.existsSync(path.resolve(filename));
+      },
+       /**
+       * Checks if a file exists asynchronously.
+       * Note: Using `fs.access` is generally preferred over `fs.exists` as it avoids race conditions.
+       * This function resolves with true if the file exists and is accessible, false otherwise.
+       * @param {string} filename - The path to the file.
+       * @param {number} [mode=fs.constants.F_OK] - The mode to check (e.g., fs.constants.R_OK for readable).
+       * @returns {Promise<boolean>} A promise that resolves with true if the file exists and is accessible, false otherwise.
+       */
+      exists(filename, mode = fs.constants.F_OK) {
+         // Check for mock first
+        if (mockedFunctions['file.exists']) {
+            console.log(`Using mock for file.exists('${filename}')`);
+            return Promise.resolve(mockedFunctions['file.exists'](filename, mode));
+        }
+        return new Promise((resolve) => {
+            fs.access(path.resolve(filename), mode, (err) => {
+                resolve(!err);
+            });
+        });
+      },
+      /**
+       * Reads the content of a directory synchronously.
+       * @param {string} dirPath - The path to the directory.
+       * @param {object} [options={ encoding: "utf8", withFileTypes: false }] - Options for reading the directory.
+       * @returns {string[]|fs.Dirent[]} An array of filenames or Dirent objects.
+       * @throws {Error} If the directory cannot be read.
+       */
+      readDirSync(dirPath, options = { encoding: "utf8", withFileTypes: false }) {
+         // Check for mock first
+        if (mockedFunctions['file.readDirSync']) {
+            console.log(`Using mock for file.readDirSync('${dirPath}')`);
+            return mockedFunctions['file.readDirSync'](dirPath, options);
+        }
+        // No try/catch here, let it throw naturally.
+        const files = fs.readdirSync(path.resolve(dirPath), options);
+        return files;
+      },
+      /**
+       * Reads the content of a directory asynchronously.
+       * @param {string} dirPath - The path to the directory.
+       * @param {object} [options={ encoding: "utf8", withFileTypes: false }] - Options for reading the directory.
+       * @returns {Promise<string[]|fs.Dirent[]>} A promise that resolves with an array of filenames or Dirent objects.
+       */
+      readDir(dirPath, options = { encoding: "utf8", withFileTypes: false }) {
+         // Check for mock first
+        if (mockedFunctions['file.readDir']) {
+            console.log(`Using mock for file.readDir('${dirPath}')`);
+            return Promise.resolve(mockedFunctions['file.readDir'](dirPath, options));
+        }
+        return readdirAsync(path.resolve(dirPath), options);
+      },
+      /**
+       * Creates a directory synchronously.
+       * @param {string} dirPath - The path to the directory to create.
+       * @param {object} [options={ recursive: false }] - Options for creating the directory.
+       * @returns {string|undefined} The first directory path created if recursive, undefined otherwise.
+       * @throws {Error} If the directory cannot be created.
+       */
       makeDirSync(dirPath, options = { recursive: false }) {
          // Check for mock first
         if (mockedFunctions['file.makeDirSync']) {
@@ -722,6 +2152,66 @@ export default function envjs() {
        */
       title() {
         return process.title;
+      },
+      /**
+       * Loads variables from .env files into process.env. Later files win over earlier ones, and variables
+       * already set in the environment are kept unless `override` is set. Missing files are skipped.
+       * @param {string|string[]} [files] - Files to read. Defaults to .env, .env.local and .env.<NODE_ENV>.
+       * @param {object} [options]
+       * @param {boolean} [options.override=false] - Replace variables that are already set.
+       * @param {boolean} [options.expand=true] - Expand ${VAR} references against loaded and existing variables.
+       * @returns {{files: string[], parsed: object}} The files that were read and the variables they defined.
+       * @throws {Error} If a file cannot be parsed, naming the file and line.
+       */
+      loadEnv(files, options = {}) {
+        const { override = false, expand = true } = options;
+        if (files === undefined) {
+          files = ['.env', '.env.local'];
+          if (process.env.NODE_ENV) files.push(`.env.${process.env.NODE_ENV}`);
+        }
+        const parsed = {};
+        const loaded = [];
+        const lookup = (name, inFile) => {
+          const fromFiles = inFile[name] !== undefined ? inFile[name] : parsed[name];
+          const fromEnv = process.env[name];
+          if (override) return fromFiles !== undefined ? fromFiles : fromEnv;
+          return fromEnv !== undefined ? fromEnv : fromFiles;
+        };
+        for (const file of [].concat(files)) {
+          const filePath = path.resolve(file);
+          if (!fs.existsSync(filePath)) continue;
+          try {
+            Object.assign(parsed, parseDotEnv(fs.readFileSync(filePath, 'utf8'), { expand, lookup }));
+          } catch (err) {
+            throw new Error(`Failed to load ${file}: ${err.message}`);
+          }
+          loaded.push(filePath);
+        }
+        for (const [name, value] of Object.entries(parsed)) {
+          if (override || process.env[name] === undefined) process.env[name] = value;
+        }
+        return { files: loaded, parsed };
+      },
+      /**
+       * Checks that environment variables are set and non-empty.
+       * @param {string|string[]} names - The required variable names.
+       * @returns {object} The variables mapped to their values.
+       * @throws {Error} Listing every missing variable; the names are also on `err.missing`.
+       */
+      requireEnv(names) {
+        const values = {};
+        const missing = [];
+        for (const name of [].concat(names)) {
+          const value = process.env[name];
+          if (value === undefined || value === '') missing.push(name);
+          else values[name] = value;
+        }
+        if (missing.length > 0) {
+          const err = new Error(`Missing required environment variable${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+          err.missing = missing;
+          throw err;
+        }
+        return values;
       }
     },
 
@@ -847,1178 +2337,3585 @@ export default function envjs() {
         console.log(`Executing command with $ (async): ${command}`);
         return execAsync(command);
       }
-    },
+    },
+
+    /**
+     * @memberof envjs
+     * @namespace crypto
+     * @description Cryptographic functionality.
+     */
+    crypto: {
+      /**
+       * Creates and returns a Hash object.
+       * @param {string} algorithm - e.g., 'sha256', 'md5'.
+       * @returns {crypto.Hash} The Hash object.
+       */
+      createHash(algorithm) {
+        return crypto.createHash(algorithm);
+      },
+      /**
+       * Generates cryptographically strong pseudo-random data.
+       * @param {number} size - The number of bytes to generate.
+       * @returns {Buffer} The random bytes.
+       */
+      randomBytes(size) {
+        return crypto.randomBytes(size);
+      },
+      /**
+       * Creates and returns an Hmac object.
+       * @param {string|Buffer|crypto.KeyObject} key - The HMAC key.
+       * @param {string} algorithm - The algorithm to use.
+       * @returns {crypto.Hmac} The Hmac object.
+       */
+      createHmac(algorithm, key) {
+        return crypto.createHmac(algorithm, key);
+      }
+    },
+
+    /**
+     * @memberof envjs
+     * @namespace dns
+     * @description DNS lookup functionality (callback and Promise-based).
+     */
+    dns: {
+      /**
+       * Resolves a hostname (e.g., 'google.com') into the first found A (IPv4) or AAAA (IPv6) record using callbacks.
+       * @param {string} hostname - The hostname to resolve.
+       * @param {function} callback - Callback with (err, address, family).
+       */
+      lookup(hostname, callback) {
+        // Check for mock first
+        if (mockedFunctions['dns.lookup']) {
+             console.log(`Using mock for dns.lookup('${hostname}')`);
+             // Mocked lookup should ideally call the callback
+             const mockResult = mockedFunctions['dns.lookup'](hostname);
+             if (callback && mockResult) {
+                  // Assuming mockResult is { err, address, family }
+                  callback(mockResult.err, mockResult.address, mockResult.family);
+             }
+             return; // Mock handled the call
+        }
+        console.log(`Looking up DNS for: ${hostname}`);
+        // Error handling is via the callback, standard Node.js.
+        dns.lookup(hostname, (err, address, family) => {
+          if (err) console.error("DNS lookup error:", err.message); // Keep error log
+          // else console.log(`DNS lookup result: ${address} (Family: IPv${family})`); // Removed success log
+          if (callback) callback(err, address, family);
+        });
+      },
+       /**
+       * Resolves a hostname (e.g., 'google.com') into the first found A (IPv4) or AAAA (IPv6) record using Promises.
+       * @param {string} hostname - The hostname to resolve.
+       * @returns {Promise<{ address: string; family: number; }>} A promise that resolves with the address and family.
+       */
+      lookupAsync(hostname) {
+         // Check for mock first
+        if (mockedFunctions['dns.lookupAsync']) {
+            console.log(`Using mock for dns.lookupAsync('${hostname}')`);
+            return Promise.resolve(mockedFunctions['dns.lookupAsync'](hostname));
+        }
+        console.log(`Looking up DNS asynchronously for: ${hostname}`);
+        return dnsLookupAsync(hostname);
+      },
+      /**
+       * Resolves a hostname into an array of record types specified by rrtype using callbacks.
+       * @param {string} hostname - The hostname to resolve.
+       * @param {string} [rrtype="A"] - Resource record type (e.g., 'A', 'AAAA', 'MX', 'TXT').
+       * @param {function} callback - Callback with (err, records).
+       */
+      resolve(hostname, rrtype = "A", callback) {
+        if (typeof rrtype === 'function') {
+          callback = rrtype;
+          rrtype = 'A';
+        }
+         // Check for mock first
+        if (mockedFunctions['dns.resolve']) {
+             console.log(`Using mock for dns.resolve('${hostname}', '${rrtype}')`);
+             // Mocked resolve should ideally call the callback
+             const mockResult = mockedFunctions['dns.resolve'](hostname, rrtype);
+             if (callback && mockResult) {
+                  // Assuming mockResult is { err, records }
+                  callback(mockResult.err, mockResult.records);
+             }
+             return; // Mock handled the call
+        }
+        console.log(`Resolving DNS ${rrtype} records for: ${hostname}`);
+        // Error handling is via the callback, standard Node.js.
+        dns.resolve(hostname, rrtype, (err, records) => {
+          if (err) console.error(`DNS resolve (${rrtype}) error:`, err.message); // Keep error log
+          // else console.log(`DNS resolve (${rrtype}) result:`, records); // Removed success log
+          if (callback) callback(err, records);
+        });
+      },
+      /**
+       * Resolves a hostname into an array of record types specified by rrtype using Promises.
+       * @param {string} hostname - The hostname to resolve.
+       * @param {string} [rrtype="A"] - Resource record type (e.g., 'A', 'AAAA', 'MX', 'TXT').
+       * @returns {Promise<string[]|dns.MxRecord[]|dns.NaptrRecord[]|dns.SoaRecord|dns.SrvRecord[]|string[][]>} A promise that resolves with the records.
+       */
+      resolveAsync(hostname, rrtype = "A") {
+         // Check for mock first
+        if (mockedFunctions['dns.resolveAsync']) {
+            console.log(`Using mock for dns.resolveAsync('${hostname}', '${rrtype}')`);
+            return Promise.resolve(mockedFunctions['dns.resolveAsync'](hostname, rrtype));
+        }
+        console.log(`Resolving DNS ${rrtype} records asynchronously for: ${hostname}`);
+        return dnsResolveAsync(hostname, rrtype);
+      }
+    },
+
+    /**
+     * @memberof envjs
+     * @namespace net
+     * @description Networking functionality (TCP, IPC).
+     */
+    net: {
+      /**
+       * Creates a new TCP or IPC server.
+       * @param {object} [options] - Options for the server.
+       * @param {function} [connectionListener] - Listener for 'connection' event.
+       * @returns {net.Server} The server instance.
+       */
+      createServer(options, connectionListener) {
+        if (typeof options === 'function') {
+          connectionListener = options;
+          options = {};
+        }
+        console.log("Creating net server...");
+        const server = net.createServer(options, connectionListener);
+        server.on('listening', () => console.log('Net server listening.'));
+        server.on('error', (err) => console.error('Net server error:', err.message)); // Keep error log
+        // No try/catch here, let errors propagate via the 'error' event.
+        return server;
+      },
+      /**
+       * Creates a new TCP or IPC connection.
+       * @param {(number|string|object)} options - Port, path, or options object.
+       * @param {function} [connectListener] - Listener for 'connect' event.
+       * @returns {net.Socket} The socket instance.
+       */
+      createConnection(options, connectListener) {
+        console.log("Creating net connection with options:", options);
+        const socket = net.createConnection(options, connectListener);
+        socket.on('connect', () => console.log('Net connection established.'));
+        socket.on('error', (err) => console.error('Net connection error:', err.message)); // Keep error log
+         // No try/catch here, let errors propagate via the 'error' event.
+        return socket;
+      }
+    },
+    /**
+     * @memberof envjs
+     * @namespace stream
+     * @description API for working with streaming data.
+     */
+    stream: {
+        Readable: stream.Readable,
+        Writable: stream.Writable,
+        Duplex: stream.Duplex,
+        Transform: stream.Transform,
+        pipeline: util.promisify(stream.pipeline), // Promisified version
+        finished: util.promisify(stream.finished), // Promisified version
+         /**
+         * A utility function for piping streams and handling errors using a callback.
+         * @param {stream.Readable} source - The source readable stream.
+         * @param {stream.Writable} destination - The destination writable stream.
+         * @param {function} callback - Called when piping is complete or an error occurs.
+         */
+        pipe(source, destination, callback) {
+            console.log("Piping streams...");
+            // Error handling is via the callback, standard Node.js pipeline.
+            stream.pipeline(source, destination, (err) => {
+                if (err) {
+                    console.error('Pipeline failed.', err); // Keep error log
+                    if (callback) callback(err);
+                } else {
+                    // console.log('Pipeline succeeded.'); // Removed success log
+                    if (callback) callback(null);
+                }
+            });
+        },
+         /**
+         * A utility function for piping streams and handling errors using Promises.
+         * @param {...(stream.Readable|stream.Writable|stream.Duplex|stream.Transform)} streams - The streams to pipe.
+         * @returns {Promise<void>} A promise that resolves when the pipeline is finished.
+         */
+        pipelineAsync(...streams) {
+             console.log("Piping streams asynchronously...");
+             // Promisified pipeline will reject on error.
+             return util.promisify(stream.pipeline)(...streams);
+        }
+    },
+
+    /**
+     * @memberof envjs
+     * @namespace util
+     * @description Utility functions.
+     */
+    util: {
+      /**
+       * Promisifies a function that follows the error-first callback style.
+       * @param {function} original - The function to promisify.
+       * @returns {function(...any): Promise<any>} The promisified function.
+       */
+      promisify(original) {
+        return util.promisify(original);
+      },
+      /**
+       * Inherits the prototype methods from one constructor into another.
+       * @param {function} constructor - The child constructor.
+       * @param {function} superConstructor - The parent constructor.
+       * @deprecated Node.js recommends using ES6 classes and extends instead.
+       */
+      inherits(constructor, superConstructor) {
+        util.inherits(constructor, superConstructor);
+        console.log(`${constructor.name} now inherits from ${superConstructor.name} (using util.inherits)`); // Keep this log as it's informative about the action
+      },
+      /**
+       * Returns a string representation of an object, useful for debugging.
+       * @param {any} objectToInspect - The object to inspect.
+       * @param {object|boolean} [optionsOrShowHidden=false] - Inspection options or boolean for showHidden.
+       * @param {number} [depth] - Inspection depth.
+       * @param {boolean} [colors] - Whether to use colors.
+       * @returns {string} The formatted string.
+       */
+      inspect(objectToInspect, optionsOrShowHidden = false, depth, colors) {
+        let inspectOptions = {};
+        if (typeof optionsOrShowHidden === 'boolean') {
+            inspectOptions = { showHidden: optionsOrShowHidden, depth, colors };
+        } else if (typeof optionsOrShowHidden === 'object' && optionsOrShowHidden !== null) {
+            inspectOptions = optionsOrShowHidden;
+        }
+        return util.inspect(objectToInspect, inspectOptions);
+      },
+      /**
+       * Formats a string using printf-like placeholders.
+       * @param {string} format - The format string.
+       * @param  {...any} params - Values to insert.
+       * @returns {string} The formatted string.
+       */
+      format(format, ...params) {
+          return util.format(format, ...params);
+      }
+    },
+
+    /**
+     * @memberof envjs
+     * @namespace zlib
+     * @description Compression and decompression functionality (callback and Promise-based).
+     */
+    zlib: {
+      /**
+       * Compresses data using gzip with a callback.
+       * @param {Buffer|string} input - The data to compress.
+       * @param {function} callback - Callback with (error, result).
+       */
+      gzip(input, callback) {
+        console.log("Gzipping data...");
+        // Error handling is via the callback, standard Node.js.
+        zlib.gzip(input, (err, result) => {
+          if (err) console.error("Gzip error:", err.message); // Keep error log
+          // else console.log("Gzip successful."); // Removed success log
+          if (callback) callback(err, result);
+        });
+      },
+       /**
+       * Compresses data using gzip, returning a Promise.
+       * @param {Buffer|string} input - The data to compress.
+       * @returns {Promise<Buffer>} A promise that resolves with the compressed data.
+       */
+      gzipAsync(input) {
+         console.log("Gzipping data asynchronously...");
+         return gzipAsync(input);
+      },
+      /**
+       * Decompresses gzip data with a callback.
+       * @param {Buffer|string} input - The data to decompress.
+       * @param {function} callback - Callback with (error, result).
+       */
+      gunzip(input, callback) {
+        console.log("Gunzipping data...");
+         // Error handling is via the callback, standard Node.js.
+        zlib.gunzip(input, (err, result) => {
+          if (err) console.error("Gunzip error:", err.message); // Keep error log
+          // else console.log("Gunzip successful."); // Removed success log
+          if (callback) callback(err, result);
+        });
+      },
+       /**
+       * Decompresses gzip data, returning a Promise.
+       * @param {Buffer|string} input - The data to decompress.
+       * @returns {Promise<Buffer>} A promise that resolves with the decompressed data.
+       */
+      gunzipAsync(input) {
+         console.log("Gunzipping data asynchronously...");
+         return gunzipAsync(input);
+      },
+      /**
+       * Compresses data using deflate with a callback.
+       * @param {Buffer|string} input - The data to compress.
+       * @param {function} callback - Callback with (error, result).
+       */
+      deflate(input, callback) {
+        console.log("Deflating data...");
+         // Error handling is via the callback, standard Node.js.
+        zlib.deflate(input, (err, result) => {
+          if (err) console.error("Deflate error:", err.message); // Keep error log
+          // else console.log("Deflate successful."); // Removed success log
+          if (callback) callback(err, result);
+        });
+      },
+       /**
+       * Compresses data using deflate, returning a Promise.
+       * @param {Buffer|string} input - The data to compress.
+       * @returns {Promise<Buffer>} A promise that resolves with the compressed data.
+       */
+      deflateAsync(input) {
+         console.log("Deflating data asynchronously...");
+         return deflateAsync(input);
+      },
+      /**
+       * Decompresses deflate data with a callback.
+       * @param {Buffer|string} input - The data to decompress.
+       * @param {function} callback - Callback with (error, result).
+       */
+      inflate(input, callback) {
+        console.log("Inflating data...");
+         // Error handling is via the callback, standard Node.js.
+        zlib.inflate(input, (err, result) => {
+          if (err) console.error("Inflate error:", err.message); // Keep error log
+          // else console.log("Inflate successful."); // Removed success log
+          if (callback) callback(err, result);
+        });
+      },
+       /**
+       * Decompresses deflate data, returning a Promise.
+       * @param {Buffer|string} input - The data to decompress.
+       * @returns {Promise<Buffer>} A promise that resolves with the decompressed data.
+       */
+      inflateAsync(input) {
+         console.log("Inflating data asynchronously...");
+         return inflateAsync(input);
+      }
+    },
+
+    /**
+     * @memberof envjs
+     * @namespace url
+     * @description URL parsing and resolution.
+     */
+    url: {
+      /**
+       * Parses a URL string into an object (legacy API).
+       * @param {string} urlString - The URL string to parse.
+       * @param {boolean} [parseQueryString=false] - If true, the query property will always be set to an object.
+       * @param {boolean} [slashesDenoteHost=false] - If true, //foo/bar will be parsed as { host: 'foo', pathname: '/bar' }.
+       * @returns {object} The parsed URL object.
+       */
+      parse(urlString, parseQueryString = false, slashesDenoteHost = false) {
+        return urlParse(urlString, parseQueryString, slashesDenoteHost);
+      },
+      /**
+       * Takes a parsed URL object and returns a formatted URL string (legacy API).
+       * @param {object|URL} urlObject - The URL object to format.
+       * @returns {string} The formatted URL string.
+       */
+      format(urlObject) {
+        return urlFormat(urlObject);
+      },
+      /**
+       * Resolves a target URL relative to a base URL (legacy API).
+       * @param {string} from - The base URL.
+       * @param {string} to - The target URL.
+       * @returns {string} The resolved URL.
+       * @deprecated Use new URL(to, from).href with the WHATWG URL API.
+       */
+      resolve(from, to) {
+        return new NodeURL(to, from).href;
+      },
+      /**
+       * The WHATWG URL class constructor from Node's 'url' module.
+       * @type {typeof NodeURL}
+       */
+      URL: NodeURL
+    },
+
+    /**
+     * @memberof envjs
+     * @namespace querystring
+     * @description Utilities for parsing and formatting URL query strings.
+     * @deprecated Node.js recommends using URLSearchParams from the WHATWG URL API.
+     */
+    querystring: {
+      /**
+       * Parses a URL query string into an object.
+       * @param {string} str - The query string to parse.
+       * @param {string} [sep='&'] - The substring used to delimit key and value pairs.
+       * @param {string} [eq='='] - The substring used to delimit keys and values.
+       * @param {object} [options] - Options for decoding.
+       * @returns {object} The parsed query string object.
+       */
+      parse(str, sep = '&', eq = '=', options) {
+        return querystring.parse(str, sep, eq, options);
+      },
+      /**
+       * Serializes an object into a URL query string.
+       * @param {object} obj - The object to serialize.
+       * @param {string} [sep='&'] - The substring used to delimit key and value pairs.
+       * @param {string} [eq='='] - The substring used to delimit keys and values.
+       * @param {object} [options] - Options for encoding.
+       * @returns {string} The formatted query string.
+       */
+      stringify(obj, sep = '&', eq = '=', options) {
+        return querystring.stringify(obj, sep, eq, options);
+      }
+    },
+
+    /**
+     * @memberof envjs
+     * @namespace events
+     * @description Event emitter functionality.
+     */
+    events: {
+      /**
+       * The EventEmitter class.
+       * @type {events.EventEmitter}
+       */
+      EventEmitter: events.EventEmitter,
+      /**
+       * Creates a new EventEmitter instance.
+       * @returns {events.EventEmitter} A new EventEmitter.
+       */
+      createEmitter() {
+        return new events.EventEmitter();
+      }
+    },
+
+    store: createStoreApi(primaryStore),
+
+    /**
+     * @memberof envjs
+     * @namespace scheduler
+     * @description A timer-based scheduler for interval, one-off and cron jobs, with an optional persistent job table.
+     */
+    scheduler: {
+        _timers: {}, // Active timers by task ID
+        _jobs: {}, // Job definitions by task ID
+        _emitter: new events.EventEmitter(), // Emits start/success/failure for every job run
+
+        /**
+         * Schedules a callback to run repeatedly at a specified interval.
+         * @param {string|number} interval - The interval. Can be a number of milliseconds or a string like "5s", "1m", "1h".
+         * @param {function|string} callback - The function to call, or the name of a task defined with env.task().
+         * @param {string|object} [idOrOptions] - A unique ID for this schedule, or an options object (see `cron`).
+         * @returns {string|null} The ID of the scheduled task, or null if the interval is invalid.
+         */
+        every(interval, callback, idOrOptions) {
+            const options = this._normalizeOptions(idOrOptions);
+            const timerId = options.id || `every-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+            const intervalMs = typeof interval === 'string' ? this._parseInterval(interval) : interval;
+
+            if (isNaN(intervalMs) || intervalMs <= 0) {
+                console.error(`Invalid interval specified for scheduler: ${interval}`); // Keep error log
+                return null;
+            }
+
+            console.log(`Scheduling task '${timerId}' to run every ${interval}...`); // Keep informative log
+            const job = { id: timerId, type: 'every', interval: intervalMs, nextRun: Date.now() + intervalMs };
+            return this._addJob(job, callback, options);
+        },
+
+         /**
+         * Schedules a callback to run once after a specified delay.
+         * @param {string|number} delay - The delay. Can be a number of milliseconds or a string like "5s", "1m", "1h".
+         * @param {function|string} callback - The function to call, or the name of a task defined with env.task().
+         * @param {string|object} [idOrOptions] - A unique ID for this schedule, or an options object (see `cron`).
+         * @returns {string|null} The ID of the scheduled task, or null if the delay is invalid.
+         */
+        once(delay, callback, idOrOptions) {
+            const options = this._normalizeOptions(idOrOptions);
+            const timerId = options.id || `once-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+            const delayMs = typeof delay === 'string' ? this._parseInterval(delay) : delay;
+
+             if (isNaN(delayMs) || delayMs < 0) {
+                console.error(`Invalid delay specified for scheduler: ${delay}`); // Keep error log
+                return null;
+            }
+
+            console.log(`Scheduling task '${timerId}' to run once after ${delay}...`); // Keep informative log
+            const job = { id: timerId, type: 'once', nextRun: Date.now() + delayMs };
+            return this._addJob(job, callback, options);
+        },
+
+        /**
+         * Schedules a callback to run based on a CRON expression.
+         * Supports five fields (min hour day(month) month day(week)) or six with a leading seconds field,
+         * plus ranges ("1-5"), steps ("*\/15"), lists ("1,15"), names ("MON-FRI", "JAN") and macros ("@daily").
+         * A single timer is armed for the exact next fire time and re-armed after each run.
+         * e.g., "30 9 * * MON-FRI" for weekdays at 09:30.
+         * With a `timezone` the expression is evaluated in that zone's wall-clock time; on DST transition days a job
+         * whose time falls in the skipped hour runs once just after the jump, and one in the repeated hour runs once.
+         * @param {string} cronExpression - The CRON string.
+         * @param {function|string} callback - The function to call, or the name of a task defined with env.task().
+         * @param {string|object} [idOrOptions] - A unique ID for this schedule, or an options object.
+         * @param {string} [idOrOptions.id] - A unique ID for this schedule. If not provided, a random one is generated.
+         * @param {string} [idOrOptions.timezone] - An IANA time zone (e.g., "Europe/Berlin"). Defaults to local time.
+         * @param {boolean} [idOrOptions.persist=false] - Record the job in the store so `restore()` can re-arm it after a restart.
+         *   Persistent jobs must reference a task by name instead of a function.
+         * @param {string} [idOrOptions.misfire="once"] - What `restore()` does with runs missed while the process was down:
+         *   "once" runs the job once, "all" runs every missed occurrence, "skip" runs nothing.
+         * @param {string} [idOrOptions.overlap="allow"] - What happens when a run is due while the previous one is still going:
+         *   "allow" starts it anyway, "skip" drops it, "queue" starts it as soon as the previous run settles.
+         * @param {string|number} [idOrOptions.timeout] - Maximum run time (e.g., "30s"); a run that exceeds it counts as failed.
+         * @param {number} [idOrOptions.retries=0] - How many times a failed run is retried.
+         * @param {string|number} [idOrOptions.retryDelay="1s"] - Delay before the first retry.
+         * @param {number} [idOrOptions.backoff=2] - Multiplier applied to the retry delay after each failed retry.
+         * @param {string|number} [idOrOptions.jitter] - Maximum random delay added to each scheduled run (e.g., "5s").
+         * @returns {string|null} The ID of the scheduled task, or null if the expression or time zone is invalid.
+         */
+        cron(cronExpression, callback, idOrOptions) {
+            const options = this._normalizeOptions(idOrOptions);
+            const timerId = options.id || `cron-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+
+            const job = { id: timerId, type: 'cron', expression: cronExpression, timezone: options.timezone || null };
+            try {
+                this._prepareCron(job);
+            } catch (err) {
+                console.error(`Invalid cron schedule for scheduler: ${err.message}`); // Keep error log
+                return null;
+            }
+            job.nextRun = cronNextRun(job._schedule, Date.now(), job._zone);
+            if (job.nextRun === null) {
+                console.error(`Cron expression '${cronExpression}' never fires.`); // Keep error log
+                return null;
+            }
+
+            console.log(`Scheduling task '${timerId}' with cron expression: ${cronExpression}${options.timezone ? ` (${options.timezone})` : ''}...`); // Keep informative log
+            return this._addJob(job, callback, options);
+        },
+
+        /**
+         * Computes the next fire times of a CRON expression without scheduling anything.
+         * Useful for validating and unit-testing schedules.
+         * @param {string} cronExpression - The CRON string.
+         * @param {number} [n=5] - How many fire times to compute.
+         * @param {object} [options={}] - Options.
+         * @param {Date|number} [options.from=Date.now()] - The reference time to compute from.
+         * @param {string} [options.timezone] - An IANA time zone to evaluate the expression in. Defaults to local time.
+         * @returns {Date[]} The next `n` fire times (fewer if the schedule stops firing).
+         * @throws {Error} If the expression or time zone is invalid.
+         */
+        nextRuns(cronExpression, n = 5, options = {}) {
+            const schedule = parseCronExpression(cronExpression);
+            const zone = getTimeZone(options.timezone);
+            const runs = [];
+            let from = options.from !== undefined ? new Date(options.from).getTime() : Date.now();
+            while (runs.length < n) {
+                const next = cronNextRun(schedule, from, zone);
+                if (next === null) break;
+                runs.push(new Date(next));
+                from = next;
+            }
+            return runs;
+        },
+
+        /**
+         * Re-arms the persistent jobs recorded in the store, e.g. after a process restart.
+         * Call it once the tasks the jobs reference have been defined; jobs whose task is unknown are left in the table.
+         * Runs that fell due while the process was down are handled according to the misfire policy.
+         * @param {object} [options={}] - Options.
+         * @param {string} [options.misfire] - Overrides each job's own misfire policy ("once", "all" or "skip").
+         * @returns {Promise<string[]>} A promise that resolves with the restored task IDs once any catch-up runs have finished.
+         */
+        async restore(options = {}) {
+            const records = primaryStore.data[SCHEDULER_STORAGE_KEY] || {};
+            const restored = [];
+            const catchUps = [];
+            const now = Date.now();
+
+            for (const record of Object.values(records)) {
+                if (this._jobs[record.id]) continue; // Already armed in this process
+                if (!modules.task._tasks[record.task]) {
+                    console.warn(`Cannot restore scheduled task '${record.id}': task '${record.task}' is not defined.`); // Keep warning log
+                    continue;
+                }
+                const policy = options.misfire || record.misfire || 'once';
+                if (!SCHEDULER_MISFIRE_POLICIES.includes(policy)) {
+                    console.error(`Invalid misfire policy '${policy}' for scheduled task '${record.id}'.`); // Keep error log
+                    continue;
+                }
+
+                const job = { runCount: 0, paused: false, ...record, lastError: null, persist: true };
+                let missed = 0;
+                try {
+                    this._applyRunOptions(job, record);
+                    if (job.type === 'cron') this._prepareCron(job);
+                    // Paused jobs stay paused and accumulate no missed runs; resume() picks the next run
+                    missed = job.paused ? 0 : this._countMissedRuns(job, now);
+                    if (missed > 0) job.nextRun = this._nextRunAfter(job, now);
+                } catch (err) {
+                    console.error(`Cannot restore scheduled task '${record.id}': ${err.message}`); // Keep error log
+                    continue;
+                }
+
+                if (job.nextRun === null) {
+                    // A missed one-off job (or a finished cron) has nothing left to arm
+                    delete records[job.id];
+                    primaryStore.save([SCHEDULER_STORAGE_KEY, job.id]);
+                } else {
+                    this._jobs[job.id] = job;
+                    this._persistJob(job);
+                    if (!job.paused) this._armJob(job);
+                }
+                const runs = policy === 'skip' ? 0 : (policy === 'once' ? Math.min(missed, 1) : missed);
+                if (runs > 0) catchUps.push({ job, runs });
+                restored.push(job.id);
+            }
+
+            console.log(`Restored ${restored.length} persistent scheduled task(s).`); // Keep informative log
+            for (const { job, runs } of catchUps) {
+                for (let i = 0; i < runs; i++) {
+                    job.lastRun = Date.now();
+                    await this._execute(job);
+                }
+                if (this._jobs[job.id] === job) this._persistJob(job);
+            }
+            return restored;
+        },
+
+        /**
+         * Subscribes to job run events. Every event is emitted twice: as `event` and as `event:<id>`.
+         * - "start": `{ id, attempt }`
+         * - "success": `{ id, attempt, duration, result }`
+         * - "failure": `{ id, attempt, duration, error, willRetry }`
+         * @param {string} event - The event name, e.g. "failure" or "failure:nightly-backup".
+         * @param {function(object): void} listener - The listener.
+         * @returns {object} The scheduler, for chaining.
+         * @example
+         * scheduler.on('failure', ({ id, error }) => alert(`${id} failed: ${error.message}`));
+         */
+        on(event, listener) {
+            this._emitter.on(event, listener);
+            return this;
+        },
+
+        /**
+         * Removes a listener added with `on()`.
+         * @param {string} event - The event name.
+         * @param {function(object): void} listener - The listener to remove.
+         * @returns {object} The scheduler, for chaining.
+         */
+        off(event, listener) {
+            this._emitter.off(event, listener);
+            return this;
+        },
+
+        /**
+         * Normalizes the trailing `id` / options argument accepted by the scheduling methods.
+         * @private
+         * @param {string|object} [idOrOptions] - A task ID or an options object.
+         * @returns {object} An options object.
+         */
+        _normalizeOptions(idOrOptions) {
+            if (typeof idOrOptions === 'object' && idOrOptions !== null) return { ...idOrOptions };
+            return { id: idOrOptions };
+        },
+
+        /**
+         * Attaches the callback and options to a job definition, registers it and arms its timer.
+         * @private
+         * @param {object} job - The job definition (id, type, schedule fields and nextRun).
+         * @param {function|string} callback - The function to call, or a task name.
+         * @param {object} options - The normalized scheduling options.
+         * @returns {string|null} The job ID, or null if the job is invalid.
+         */
+        _addJob(job, callback, options) {
+            if (typeof callback === 'string') {
+                job.task = callback;
+            } else if (typeof callback === 'function') {
+                job.callback = callback;
+            } else {
+                console.error(`Scheduled task '${job.id}' needs a callback function or a task name.`); // Keep error log
+                return null;
+            }
+            job.persist = !!options.persist;
+            job.misfire = options.misfire || 'once';
+            job.lastRun = null;
+            job.runCount = 0;
+            job.lastError = null;
+            job.paused = false;
+            if (job.persist && !job.task) {
+                console.error(`Persistent scheduled task '${job.id}' must reference a task name, not a function.`); // Keep error log
+                return null;
+            }
+            if (!SCHEDULER_MISFIRE_POLICIES.includes(job.misfire)) {
+                console.error(`Invalid misfire policy '${job.misfire}' for scheduled task '${job.id}'.`); // Keep error log
+                return null;
+            }
+            try {
+                this._applyRunOptions(job, options);
+            } catch (err) {
+                console.error(`Invalid options for scheduled task '${job.id}': ${err.message}`); // Keep error log
+                return null;
+            }
+
+            // Re-using an ID replaces the previous schedule
+            if (this._jobs[job.id]) this._jobs[job.id]._stopped = true;
+            if (this._timers[job.id]) clearTimeout(this._timers[job.id]);
+            this._jobs[job.id] = job;
+            this._persistJob(job);
+            this._armJob(job);
+            return job.id;
+        },
+
+        /**
+         * Validates and copies the run-control options (overlap, timeout, retries, jitter) onto a job.
+         * @private
+         * @param {object} job - The job definition.
+         * @param {object} options - The scheduling options.
+         * @throws {Error} If an option is invalid.
+         */
+        _applyRunOptions(job, options) {
+            const toMs = (value, name) => {
+                if (value === undefined || value === null) return null;
+                const ms = typeof value === 'string' ? this._parseInterval(value) : value;
+                if (typeof ms !== 'number' || isNaN(ms) || ms < 0) throw new Error(`Invalid ${name}: ${value}`);
+                return ms;
+            };
+            job.overlap = options.overlap || 'allow';
+            if (!SCHEDULER_OVERLAP_POLICIES.includes(job.overlap)) {
+                throw new Error(`Invalid overlap policy: ${job.overlap}`);
+            }
+            job.timeout = toMs(options.timeout, 'timeout');
+            job.retries = options.retries || 0;
+            if (!Number.isInteger(job.retries) || job.retries < 0) throw new Error(`Invalid retries: ${options.retries}`);
+            job.retryDelay = toMs(options.retryDelay, 'retryDelay') ?? 1000;
+            job.backoff = options.backoff ?? 2;
+            if (typeof job.backoff !== 'number' || job.backoff < 1) throw new Error(`Invalid backoff: ${options.backoff}`);
+            job.jitter = toMs(options.jitter, 'jitter');
+            job._running = 0;
+            job._queued = 0;
+        },
+
+        /**
+         * Parses a cron job's expression and time zone onto the (non-persisted) job fields.
+         * @private
+         * @param {object} job - A cron job definition.
+         * @throws {Error} If the expression or time zone is invalid.
+         */
+        _prepareCron(job) {
+            job._schedule = parseCronExpression(job.expression);
+            job._zone = getTimeZone(job.timezone);
+        },
+
+        /**
+         * Computes a job's first run strictly after a reference time.
+         * @private
+         * @param {object} job - The job definition.
+         * @param {number} fromMs - The reference time in epoch milliseconds.
+         * @returns {number|null} The next run time, or null if the job will not run again.
+         */
+        _nextRunAfter(job, fromMs) {
+            switch (job.type) {
+                case 'every': {
+                    // Keep the original phase: the next multiple of the interval after fromMs
+                    const elapsed = Math.floor((fromMs - job.nextRun) / job.interval) + 1;
+                    return job.nextRun + Math.max(elapsed, 1) * job.interval;
+                }
+                case 'cron': return cronNextRun(job._schedule, fromMs, job._zone);
+                default: return null;
+            }
+        },
+
+        /**
+         * Counts the runs of a job that fell due at or before a reference time (capped at SCHEDULER_MAX_CATCH_UP).
+         * @private
+         * @param {object} job - The job definition, with `nextRun` as recorded before the downtime.
+         * @param {number} nowMs - The reference time in epoch milliseconds.
+         * @returns {number} The number of missed runs.
+         */
+        _countMissedRuns(job, nowMs) {
+            if (job.nextRun === null || job.nextRun > nowMs) return 0;
+            switch (job.type) {
+                case 'every':
+                    return Math.min(Math.floor((nowMs - job.nextRun) / job.interval) + 1, SCHEDULER_MAX_CATCH_UP);
+                case 'cron': {
+                    let missed = 1;
+                    let at = job.nextRun;
+                    while (missed < SCHEDULER_MAX_CATCH_UP) {
+                        at = cronNextRun(job._schedule, at, job._zone);
+                        if (at === null || at > nowMs) break;
+                        missed++;
+                    }
+                    return missed;
+                }
+                default: return 1;
+            }
+        },
+
+        /**
+         * Arms the timer for a job's `nextRun`.
+         * @private
+         * @param {object} job - The job definition.
+         */
+        _armJob(job) {
+            const jitter = job.jitter ? Math.floor(Math.random() * job.jitter) : 0;
+            this._armAt(job.id, job.nextRun + jitter, () => this._fire(job));
+        },
+
+        /**
+         * Runs a job whose time has come, then re-arms it (or removes it if it will not run again).
+         * @private
+         * @param {object} job - The job definition.
+         */
+        _fire(job) {
+            if (this._jobs[job.id] !== job) return; // Stopped or replaced while waiting
+            const now = Date.now();
+            job.lastRun = now;
+            job.nextRun = this._nextRunAfter(job, Math.max(now, job.nextRun));
+            if (job.nextRun === null) {
+                delete this._jobs[job.id]; // Clean up after execution
+                delete this._timers[job.id];
+                this._unpersistJob(job.id);
+            } else {
+                this._persistJob(job);
+                this._armJob(job);
+            }
+            this._execute(job);
+        },
+
+        /**
+         * Runs a job once, applying its overlap policy, timeout and retries and emitting run events.
+         * Never rejects: failures are reported through "failure" events and the error log.
+         * @private
+         * @param {object} job - The job definition.
+         * @returns {Promise<void>} A promise that settles when the run (including retries) is over.
+         */
+        async _execute(job) {
+            if (this._isHeldBack(job)) {
+                if (job.overlap === 'queue') {
+                    job._queued++;
+                } else {
+                    console.warn(`Skipping run of scheduled task '${job.id}': previous run still in progress.`); // Keep warning log
+                }
+                return;
+            }
+
+            job._running++;
+            job.runCount++;
+            try {
+                for (let attempt = 1; ; attempt++) {
+                    const startedAt = Date.now();
+                    this._emit('start', { id: job.id, attempt });
+                    let result;
+                    let error;
+                    let failed = false;
+                    try {
+                        result = await this._withTimeout(job, Promise.resolve().then(() => this._invoke(job)));
+                    } catch (err) {
+                        failed = true;
+                        error = err;
+                    }
+                    // Events go out after the run settles, so a listener can never turn a success into a retry
+                    if (!failed) {
+                        this._emit('success', { id: job.id, attempt, duration: Date.now() - startedAt, result });
+                        return;
+                    }
+                    const willRetry = attempt <= job.retries && !job._stopped;
+                    job.lastError = error;
+                    console.error(`Scheduled task '${job.id}' failed (attempt ${attempt}):`, error && error.message); // Keep error log
+                    this._emit('failure', { id: job.id, attempt, duration: Date.now() - startedAt, error, willRetry });
+                    if (!willRetry) return;
+                    await new Promise(resolve => setTimeout(resolve, job.retryDelay * Math.pow(job.backoff, attempt - 1)));
+                    if (job._stopped) return; // Stopped while waiting to retry
+                }
+            } finally {
+                job._running--;
+                if (job._queued > 0 && !job._stopped) {
+                    job._queued--;
+                    this._execute(job);
+                }
+            }
+        },
+
+        /**
+         * Whether the job's overlap policy holds a new run back (skipping or queueing it) right now.
+         * @private
+         * @param {object} job - The job definition.
+         * @returns {boolean}
+         */
+        _isHeldBack(job) {
+            return job._running > 0 && job.overlap !== 'allow';
+        },
+
+        /**
+         * Rejects if a run takes longer than the job's timeout.
+         * @private
+         * @param {object} job - The job definition.
+         * @param {Promise<any>} run - The running job.
+         * @returns {Promise<any>} The run's result.
+         */
+        _withTimeout(job, run) {
+            if (!job.timeout) return run;
+            let timer;
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`Scheduled task '${job.id}' timed out after ${job.timeout}ms.`)), job.timeout);
+            });
+            return Promise.race([run, timeout]).finally(() => clearTimeout(timer));
+        },
+
+        /**
+         * Emits a run event both globally and for the job's ID. A listener that throws (or rejects) is logged
+         * and does not stop the other listeners or affect the run.
+         * @private
+         * @param {string} event - The event name.
+         * @param {object} payload - The event payload (includes `id`).
+         */
+        _emit(event, payload) {
+            for (const name of [event, `${event}:${payload.id}`]) {
+                for (const listener of this._emitter.rawListeners(name)) { // Raw, so once() listeners remove themselves
+                    const report = err => console.error(`Scheduler: '${name}' listener failed:`, err && err.message); // Keep error log
+                    try {
+                        const returned = listener(payload);
+                        if (returned && typeof returned.catch === 'function') returned.catch(report);
+                    } catch (err) {
+                        report(err);
+                    }
+                }
+            }
+        },
+
+        /**
+         * Invokes a job's callback or named task.
+         * @private
+         * @param {object} job - The job definition.
+         * @returns {any} Whatever the callback or task returns.
+         */
+        _invoke(job) {
+            return job.task ? modules.task.run(job.task) : job.callback();
+        },
+
+        /**
+         * Records a persistent job's definition and run times in the store.
+         * @private
+         * @param {object} job - The job definition.
+         */
+        _persistJob(job) {
+            if (!job.persist) return;
+            if (!primaryStore.data[SCHEDULER_STORAGE_KEY] || typeof primaryStore.data[SCHEDULER_STORAGE_KEY] !== 'object') {
+                primaryStore.data[SCHEDULER_STORAGE_KEY] = {};
+            }
+            primaryStore.data[SCHEDULER_STORAGE_KEY][job.id] = {
+                id: job.id,
+                type: job.type,
+                interval: job.interval,
+                expression: job.expression,
+                timezone: job.timezone,
+                task: job.task,
+                misfire: job.misfire,
+                overlap: job.overlap,
+                timeout: job.timeout,
+                retries: job.retries,
+                retryDelay: job.retryDelay,
+                backoff: job.backoff,
+                jitter: job.jitter,
+                lastRun: job.lastRun,
+                nextRun: job.nextRun,
+                runCount: job.runCount,
+                paused: job.paused
+            };
+            primaryStore.save([SCHEDULER_STORAGE_KEY, job.id]);
+        },
+
+        /**
+         * Removes a job from the persistent job table, if present.
+         * @private
+         * @param {string} id - The task ID.
+         */
+        _unpersistJob(id) {
+            const records = primaryStore.data[SCHEDULER_STORAGE_KEY];
+            if (records && records[id]) {
+                delete records[id];
+                primaryStore.save([SCHEDULER_STORAGE_KEY, id]);
+            }
+        },
+
+        /**
+         * Arms a timeout that fires at an absolute time, chaining timers for delays beyond the setTimeout limit.
+         * @private
+         * @param {string} timerId - The task ID the timer is stored under.
+         * @param {number} fireAt - The fire time in epoch milliseconds.
+         * @param {function(number): void} onFire - Called with `fireAt` once the time is reached.
+         */
+        _armAt(timerId, fireAt, onFire) {
+            const delay = Math.min(Math.max(fireAt - Date.now(), 0), MAX_TIMER_DELAY);
+            this._timers[timerId] = setTimeout(() => {
+                if (Date.now() < fireAt) {
+                    this._armAt(timerId, fireAt, onFire); // Woke early or the wait was chained
+                } else {
+                    onFire(fireAt);
+                }
+            }, delay);
+        },
+
+        /**
+         * Stops a scheduled task. Persistent tasks are also removed from the job table.
+         * @param {string} id - The ID of the task to stop.
+         * @returns {boolean} True if the task was found and stopped, false otherwise.
+         */
+        stop(id) {
+            if (this._jobs[id]) {
+                console.log(`Stopping scheduled task '${id}'.`); // Keep informative log
+                clearTimeout(this._timers[id]);
+                this._jobs[id]._stopped = true;
+                delete this._timers[id];
+                delete this._jobs[id];
+                this._unpersistJob(id);
+                return true;
+            }
+            console.warn(`Scheduled task '${id}' not found.`); // Keep warning log
+            return false;
+        },
+
+        /**
+         * Lists all currently scheduled task IDs, including paused ones.
+         * @returns {string[]} An array of scheduled task IDs.
+         */
+        list() {
+            return Object.keys(this._jobs);
+        },
+
+        /**
+         * Describes a scheduled task.
+         * @param {string} id - The ID of the task.
+         * @returns {object|null} `{ id, type, expression, interval, timezone, task, nextRun, lastRun, runCount, lastError, state, running, persist }`,
+         *   where `state` is "scheduled", "running" or "paused", or null if the task is not found.
+         */
+        info(id) {
+            const job = this._jobs[id];
+            if (!job) return null;
+            const running = job._running > 0;
+            return {
+                id: job.id,
+                type: job.type,
+                expression: job.expression || null,
+                interval: job.interval || null,
+                timezone: job.timezone || null,
+                task: job.task || null,
+                nextRun: job.paused || job.nextRun === null ? null : new Date(job.nextRun),
+                lastRun: job.lastRun ? new Date(job.lastRun) : null,
+                runCount: job.runCount,
+                lastError: job.lastError,
+                state: job.paused ? 'paused' : (running ? 'running' : 'scheduled'),
+                running,
+                persist: job.persist
+            };
+        },
+
+        /**
+         * Pauses a scheduled task without removing it. Runs already in progress are not interrupted.
+         * @param {string} id - The ID of the task to pause.
+         * @returns {boolean} True if the task was found and paused, false otherwise.
+         */
+        pause(id) {
+            const job = this._jobs[id];
+            if (!job) {
+                console.warn(`Scheduled task '${id}' not found.`); // Keep warning log
+                return false;
+            }
+            if (job.paused) return true;
+            console.log(`Pausing scheduled task '${id}'.`); // Keep informative log
+            clearTimeout(this._timers[id]);
+            delete this._timers[id];
+            job.paused = true;
+            this._persistJob(job);
+            return true;
+        },
+
+        /**
+         * Resumes a paused task. Interval and cron tasks continue with their next regular run after now;
+         * a one-off task whose time passed while paused runs immediately.
+         * @param {string} id - The ID of the task to resume.
+         * @returns {boolean} True if the task was found and resumed, false otherwise.
+         */
+        resume(id) {
+            const job = this._jobs[id];
+            if (!job) {
+                console.warn(`Scheduled task '${id}' not found.`); // Keep warning log
+                return false;
+            }
+            if (!job.paused) return true;
+            console.log(`Resuming scheduled task '${id}'.`); // Keep informative log
+            job.paused = false;
+            const now = Date.now();
+            if (job.type !== 'once' && job.nextRun <= now) job.nextRun = this._nextRunAfter(job, now);
+            this._persistJob(job);
+            this._armJob(job);
+            return true;
+        },
+
+        /**
+         * Runs a scheduled task immediately, outside its schedule. The regular schedule is not affected,
+         * and the task's overlap policy, timeout and retries still apply. Paused tasks can be run too.
+         * @param {string} id - The ID of the task to run.
+         * @returns {Promise<boolean>} A promise that resolves with true once the run is over, or false if the task is not
+         *   found or its overlap policy skipped or queued the run (a queued run happens later, on its own).
+         */
+        async runNow(id) {
+            const job = this._jobs[id];
+            if (!job) {
+                console.warn(`Scheduled task '${id}' not found.`); // Keep warning log
+                return false;
+            }
+            if (this._isHeldBack(job)) {
+                await this._execute(job); // Logs the skip, or queues the run
+                return false;
+            }
+            job.lastRun = Date.now();
+            await this._execute(job);
+            this._persistJob(job);
+            return true;
+        },
+
+        /**
+         * Parses an interval string (e.g., "5s", "1m", "1h") into milliseconds.
+         * @private
+         * @param {string} intervalString - The interval string.
+         * @returns {number} The interval in milliseconds, or NaN if invalid.
+         */
+        _parseInterval(intervalString) {
+            return parseDuration(intervalString);
+        }
+    },
+
+    /**
+     * @memberof envjs
+     * @namespace monitor
+     * @description Monitors system statistics and emits events.
+     */
+    monitor: new events.EventEmitter(), // Monitor is an EventEmitter instance directly
+
+    // Initialize monitor functionality
+    _initMonitor: function() {
+        const monitorInterval = 5000; // Poll every 5 seconds
+
+        // Prevent multiple initializations if envjs() is called multiple times
+        if (this.monitor._monitoring) {
+            return;
+        }
+        this.monitor._monitoring = true; // Mark as initialized
+
+        console.log(`Starting system monitor, polling every ${monitorInterval}ms.`); // Keep informative log
+
+        setInterval(() => {
+            try {
+                const memory = process.memoryUsage();
+                this.monitor.emit('memory', memory);
+                // console.log('Monitor: Memory emitted', memory); // Debugging
+
+                const freeMem = os.freemem();
+                const totalMem = os.totalmem();
+                this.monitor.emit('freemem', freeMem);
+                this.monitor.emit('totalmem', totalMem);
+                this.monitor.emit('memusage', { free: freeMem, total: totalMem, percent: (totalMem - freeMem) / totalMem });
+                 // console.log('Monitor: Mem stats emitted', { free: freeMem, total: totalMem }); // Debugging
+
+                const cpus = os.cpus();
+                this.monitor.emit('cpus', cpus);
+                 // console.log('Monitor: CPUs emitted', cpus.length); // Debugging
+
+                const loadavg = os.loadavg();
+                this.monitor.emit('loadavg', loadavg);
+                 // console.log('Monitor: Loadavg emitted', loadavg); // Debugging
+
+                const uptime = os.uptime();
+                this.monitor.emit('uptime', uptime);
+                 // console.log('Monitor: Uptime emitted', uptime); // Debugging
+
+            } catch (err) {
+                console.error("Error in system monitor:", err.message); // Keep error log
+                this.monitor.emit('error', err);
+            }
+        }, monitorInterval).unref(); // Allow Node.js to exit even if this timer is active
+    }
+    // Note: _initMonitor is called below after modules are defined
+  };
+
+  // --- Mocking System ---
+  /**
+   * @memberof envjs
+   * @namespace mock
+   * @description Provides functionality to mock envjs module functions for testing.
+   */
+  const mock = {
+      /**
+       * Mocks a specific function within an envjs module.
+       * @param {string} keyPath - The dot-separated path to the function (e.g., "file.readFile", "http.fetch").
+       * @param {function} mockFn - The function to use as a mock.
+       * @throws {Error} If the module or function does not exist.
+       */
+      mock(keyPath, mockFn) {
+          const parts = keyPath.split('.');
+          if (parts.length !== 2) {
+              throw new Error(`Invalid keyPath for mock: "${keyPath}". Must be in the format "module.function".`);
+          }
+          const moduleName = parts[0];
+          const functionName = parts[1];
+
+          const module = modules[moduleName];
+          if (!module) {
+              throw new Error(`Module "${moduleName}" not found for mocking.`);
+          }
+          const originalFn = module[functionName];
+          if (typeof originalFn !== 'function') {
+               throw new Error(`Function "${functionName}" not found or is not a function in module "${moduleName}" for mocking.`);
+          }
+
+          // Store the original function if not already stored
+          if (!originalModules[keyPath]) {
+              originalModules[keyPath] = originalFn;
+          }
+
+          // Replace the original function with the mock
+          module[functionName] = mockFn;
+          mockedFunctions[keyPath] = mockFn; // Store the mock function for lookup
+
+          console.log(`Mocked function: ${keyPath}`); // Keep informative log
+      },
+      /**
+       * Restores a mocked function to its original implementation.
+       * If no keyPath is provided, all mocked functions are restored.
+       * @param {string} [keyPath] - The dot-separated path to the function to restore (e.g., "file.readFile").
+       * @throws {Error} If the keyPath is invalid or the function was not mocked.
+       */
+      restore(keyPath) {
+          if (keyPath) {
+              const parts = keyPath.split('.');
+              if (parts.length !== 2) {
+                   throw new Error(`Invalid keyPath for restore: "${keyPath}". Must be in the format "module.function".`);
+              }
+              const moduleName = parts[0];
+              const functionName = parts[1];
+
+              const module = modules[moduleName];
+               if (!module) {
+                  throw new Error(`Module "${moduleName}" not found for restoring.`);
+              }
+
+              const originalFn = originalModules[keyPath];
+              if (!originalFn) {
+                  // Check if it was ever mocked
+                  if (mockedFunctions[keyPath]) {
+                       // It was mocked, but originalModules wasn't populated? Should not happen with current logic.
+                       console.warn(`Original function for "${keyPath}" not found in storage, but it was marked as mocked. Attempting direct restore if possible.`); // Keep warning log
+                       // In a more robust system, you might try to get the original from the core module again.
+                       // For this simplified version, we'll just log a warning and proceed to remove the mock marker.
+                  } else {
+                     throw new Error(`Function "${keyPath}" was not mocked.`);
+                  }
+              } else {
+                 // Restore the original function
+                 module[functionName] = originalFn;
+              }
+
+              // Clean up mock state
+              delete mockedFunctions[keyPath];
+              delete originalModules[keyPath];
+
+              console.log(`Restored function: ${keyPath}`); // Keep informative log
+
+          } else {
+              // Restore all mocked functions
+              console.log("Restoring all mocked functions."); // Keep informative log
+              for (const keyPathToRestore in mockedFunctions) {
+                  try {
+                      this.restore(keyPathToRestore); // Use the single restore logic
+                  } catch (e) {
+                      console.error(`Error restoring "${keyPathToRestore}": ${e.message}`); // Keep error log
+                  }
+              }
+          }
+      },
+      /**
+       * Checks if a specific function is currently mocked.
+       * @param {string} keyPath - The dot-separated path to the function (e.g., "file.readFile").
+       * @returns {boolean} True if the function is mocked, false otherwise.
+       */
+      isMocked(keyPath) {
+          return keyPath in mockedFunctions;
+      },
+      /**
+       * Lists all currently mocked functions.
+       * @returns {string[]} An array of key paths for mocked functions.
+       */
+      listMocks() {
+          return Object.keys(mockedFunctions);
+      }
+  };
+   // Add mock methods to the modules object so they are accessible via env.use('mock')
+   modules.mock = mock;
+   // Add store as state module
+   modules.state = modules.store;
+
+
+  // --- Plugin System ---
+  /**
+   * @memberof envjs
+   * @namespace plugin
+   * @description Allows registering custom modules.
+   */
+  const plugin = {
+      /**
+       * Registers a new custom module with envjs.
+       * @param {string} name - The name of the new module.
+       * @param {object} moduleContent - The object containing the module's functions and properties.
+       * @throws {Error} If a module with the same name already exists.
+       */
+      register(name, moduleContent) {
+          if (modules[name]) {
+              throw new Error(`Module "${name}" already exists. Cannot register.`);
+          }
+          if (typeof moduleContent !== 'object' || moduleContent === null) {
+              throw new Error(`Invalid module content provided for "${name}". Must be an object.`);
+          }
+          modules[name] = moduleContent;
+          console.log(`Custom module "${name}" registered.`); // Keep informative log
+      }
+  };
+  // Add plugin methods to the modules object
+  modules.plugin = plugin;
+
+
+  // --- Auto-Loader ---
+  /**
+   * @memberof envjs
+   * @namespace loader
+   * @description Provides functionality to load multiple modules at once.
+   */
+  const loader = {
+       /**
+       * Loads multiple envjs modules and returns them in an object.
+       * @param {string[]} moduleNames - An array of module names to load.
+       * @returns {object} An object where keys are module names and values are the corresponding module objects.
+       * @throws {Error} If any of the requested modules do not exist.
+       */
+      load(moduleNames) {
+          if (!Array.isArray(moduleNames)) {
+              throw new Error("moduleNames must be an array.");
+          }
+          const loadedModules = {};
+          for (const name of moduleNames) {
+              const mod = modules[name];
+              if (!mod) {
+                  throw new Error(`Module "${name}" does not exist.`);
+              }
+              loadedModules[name] = mod;
+          }
+          console.log(`Loaded modules: ${moduleNames.join(', ')}`); // Keep informative log
+          return loadedModules;
+      }
+  };
+   // Add loader methods to the modules object
+   modules.loader = loader;
+
+  // --- Task Runner --- 
+  const tasksModule = {
+    _tasks: {},
+    define(name, fn) {
+      if (typeof name !== 'string' || !name) {
+        throw new Error('Task name must be a non-empty string.');
+      }
+      if (typeof fn !== 'function') {
+        throw new Error(`Task function for '${name}' must be a function.`);
+      }
+      this._tasks[name] = fn;
+      // console.log(`Task defined: ${name}`); // Keep this commented unless verbose logging is desired
+    },
+    async run(name, ...args) {
+      if (typeof name !== 'string' || !this._tasks[name]) {
+        throw new Error(`Task '${name}' not found or name is invalid.`);
+      }
+      console.log(`Running task: ${name}` + (args.length > 0 ? ` with args: ${args.join(', ')}` : ''));
+      try {
+        return await this._tasks[name](...args);
+      } catch (error) {
+        console.error(`Error in task '${name}':`, error.message); // Keep error log
+        // Optionally, rethrow or handle more gracefully
+        throw error; 
+      }
+    },
+    list() {
+      return Object.keys(this._tasks);
+    },
+    schedule(taskName, cronExpression, idOrOptions) {
+        if (!this._tasks[taskName]) {
+            throw new Error(`Task '${taskName}' not found. Define it first with env.task().`);
+        }
+        const options = modules.scheduler._normalizeOptions(idOrOptions);
+        options.id = options.id || `task-cron-${taskName}-${Date.now()}`;
+        console.log(`Scheduling task '${taskName}' (ID: ${options.id}) with cron: ${cronExpression}`); // Keep informative log
+        // Use the existing scheduler module's cron method; passing the task by name lets the job be persisted
+        return modules.scheduler.cron(cronExpression, taskName, options);
+    }
+  };
+  modules.task = tasksModule;
+
+  // --- File Watcher ---
+  const watcherModule = (() => {
+    const activeWatchers = new Map(); // path -> { watcher: fs.FSWatcher, userCallback: Function, options: object, debounceTimeout: NodeJS.Timeout | null }
+    let nextWatcherId = 1;
+
+    function log(message) {
+      // console.log(`[Watcher] ${message}`); // Uncomment for debugging
+    }
+
+    function closeAllWatchers() {
+        log("Closing all active file watchers.");
+        activeWatchers.forEach(({ watcher }, id) => {
+            watcher.close();
+            log(`Closed watcher ${id}`);
+        });
+        activeWatchers.clear();
+    }
+    
+    // Graceful shutdown
+    process.on('exit', closeAllWatchers);
+    // Catch Ctrl+C event and exit normally
+    process.on('SIGINT', () => {
+        log('SIGINT received, closing watchers and exiting.');
+        process.exit(0);
+    });
+     // Catch "kill pid" (for example: nodemon restart)
+    process.on('SIGTERM', () => {
+        log('SIGTERM received, closing watchers and exiting.');
+        process.exit(0);
+    });
+
+
+    function watch(pathOrPaths, optionsOrCallback, callbackOrUndefined) {
+      let userCallback;
+      let options = {};
+
+      if (typeof optionsOrCallback === 'function') {
+        userCallback = optionsOrCallback;
+      } else if (typeof optionsOrCallback === 'object' && optionsOrCallback !== null) {
+        options = optionsOrCallback;
+        if (typeof callbackOrUndefined === 'function') {
+          userCallback = callbackOrUndefined;
+        } else {
+          throw new Error('Watcher callback function is required when options are provided.');
+        }
+      } else {
+        throw new Error('Watcher requires a callback function, and optionally an options object.');
+      }
+
+      const resolvedPath = path.resolve(pathOrPaths); // Ensure absolute path
+      const watcherId = nextWatcherId++;
+
+      const mergedOptions = {
+        persistent: true,
+        recursive: false,
+        encoding: 'utf8',
+        debounce: 50, // Milliseconds for debouncing
+        filter: null, // Function (eventType, filename) => boolean
+        ...options,
+      };
+
+      log(`Starting watcher ${watcherId} for path: ${resolvedPath} with options: ${JSON.stringify(mergedOptions)}`);
+
+      let debounceTimeout = null;
+      let lastFilenames = new Set();
+
+      const fsWatcher = fs.watch(resolvedPath, mergedOptions, (eventType, filename) => {
+        log(`Event: ${eventType}, Filename: ${filename || 'N/A'} on watcher ${watcherId} for ${resolvedPath}`);
+        
+        if (!filename && (eventType === 'rename' || eventType === 'change') ) {
+            // On some platforms (e.g. Linux for recursive dir watch), filename might be null for directory changes
+            // or for the watched directory itself.
+            // We can treat this as a change on the directory itself if pathOrPaths was a dir.
+            // Or, it could be an event on a file inside a recursively watched dir where filename is not provided.
+            // For simplicity here, we might pass it through if no specific filename handling is needed.
+            log(`Event on watcher ${watcherId} for ${resolvedPath}: ${eventType} with no filename. Propagating event for the main path.`);
+             // filename = path.basename(resolvedPath); // Or handle differently
+        }
+        
+        // If a filter is provided, use it
+        if (mergedOptions.filter && typeof mergedOptions.filter === 'function') {
+          if (!mergedOptions.filter(eventType, filename)) {
+            log(`Event filtered out for ${filename || resolvedPath}`);
+            return;
+          }
+        }
+
+        if (debounceTimeout) {
+          clearTimeout(debounceTimeout);
+          if(filename) lastFilenames.add(filename);
+        } else {
+          if(filename) lastFilenames = new Set([filename]);
+          else lastFilenames.clear(); // event on the dir itself
+        }
+
+        debounceTimeout = setTimeout(() => {
+          debounceTimeout = null;
+          const currentFilenames = Array.from(lastFilenames);
+          lastFilenames.clear();
+
+          if (currentFilenames.length > 0) {
+                currentFilenames.forEach(fn => {
+                    log(`Debounced event: ${eventType} for ${fn} on watcher ${watcherId}`);
+                    userCallback(eventType, fn, resolvedPath);
+                });
+            } else {
+                // Event on the directory itself
+                log(`Debounced event: ${eventType} for watched path ${resolvedPath} on watcher ${watcherId}`);
+                userCallback(eventType, null, resolvedPath); // filename is null for the directory itself
+            }
+        }, mergedOptions.debounce);
+      });
+
+      fsWatcher.on('error', (error) => {
+        console.error(`Watcher ${watcherId} error for path ${resolvedPath}:`, error.message); // Keep error log
+        // Potentially remove from activeWatchers and notify user
+        if (activeWatchers.has(watcherId)) {
+            activeWatchers.get(watcherId).watcher.close();
+            activeWatchers.delete(watcherId);
+        }
+      });
+      
+      fsWatcher.on('close', () => {
+        log(`Watcher ${watcherId} for path ${resolvedPath} closed.`);
+        activeWatchers.delete(watcherId);
+      });
+
+      const watcherInstance = {
+        id: watcherId,
+        path: resolvedPath,
+        close: () => {
+          log(`Closing watcher ${watcherId} for ${resolvedPath} via instance.close()`);
+          fsWatcher.close();
+          activeWatchers.delete(watcherId); // Ensure it's removed here too
+        },
+      };
+
+      activeWatchers.set(watcherId, { watcher: fsWatcher, userCallback, options: mergedOptions, debounceTimeout: null, instance: watcherInstance });
+      return watcherInstance;
+    }
+
+    return {
+      watch,
+      getActiveWatchers: () => Array.from(activeWatchers.keys()),
+      getWatcherDetails: (id) => {
+        const details = activeWatchers.get(id);
+        if (!details) return null;
+        return { id, path: details.instance.path, options: details.options };
+      },
+      closeAll: closeAllWatchers
+    };
+  })();
+  modules.watcher = watcherModule;
+
+  // With store.watch, changes other processes make to the store file are merged in as they happen
+  if (storeOptions.watch && !primaryStore._watcher) {
+    const storeDir = path.dirname(primaryStore.path);
+    if (!fs.existsSync(storeDir)) {
+      console.warn(`Store: Cannot watch '${primaryStore.path}'; its directory does not exist yet.`); // Keep warning
+    } else {
+      const storeFileName = path.basename(primaryStore.path);
+      primaryStore._watcher = watcherModule.watch(storeDir, {
+        persistent: false, // Watching the store never keeps the process alive
+        filter: (eventType, filename) => filename === storeFileName,
+      }, () => {
+        try {
+          primaryStore.refresh();
+        } catch (err) {
+          console.error(`Store: Could not reload '${primaryStore.path}':`, err.message); // Keep error log
+        }
+      });
+    }
+  }
+
+  // --- JSON Database (db) ---
+  const dbModule = (() => {
+    const DB_STORAGE_KEY = '__dbCollections__';
+
+    // Ensure DB storage is initialized in the store's data
+    // This is checked and potentially initialized when envjs() is first called.
+    // And also when a collection is first accessed.
+    function initializeDbStore() {
+        if (!primaryStore.data[DB_STORAGE_KEY] || typeof primaryStore.data[DB_STORAGE_KEY] !== 'object') {
+            primaryStore.data[DB_STORAGE_KEY] = {};
+            // console.log("DB store initialized in the store's data."); // Debug log
+            // No save() here, will be saved on first actual write operation or if store is saved elsewhere.
+        }
+    }
+    initializeDbStore(); // Ensure it's set up when dbModule is defined
+
+    function generateId() {
+      // Using crypto for a more robust UUID if available, otherwise fallback.
+      // Node.js 14.17.0+ has crypto.randomUUID natively.
+      // For broader compatibility, especially if older Node versions without direct ESM crypto import are a concern,
+      // a simpler timestamp-based ID is safer without adding explicit crypto import at top level of envjs.
+      // Let's stick to a simple one for now to avoid crypto import complexities here.
+      return Date.now().toString(36) + Math.random().toString(36).substring(2, 9);
+    }
+
+    // Resolves a dot-notation path (e.g., "profile.name.first", "tags.0") against a document.
+    // Like MongoDB, a non-numeric key applied to an array fans out over its elements,
+    // so the result is the list of every value found (empty if the path does not exist).
+    function getPathValues(doc, fieldPath) {
+      let current = [doc];
+      for (const key of fieldPath.split('.')) {
+        const next = [];
+        for (const value of current) {
+          if (Array.isArray(value) && !/^\d+$/.test(key)) {
+            for (const element of value) {
+              if (element !== null && typeof element === 'object' && key in element) next.push(element[key]);
+            }
+          } else if (value !== null && typeof value === 'object' && key in value) {
+            next.push(value[key]);
+          }
+        }
+        current = next;
+      }
+      return current;
+    }
+
+    function isPlainObject(value) {
+      return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp);
+    }
+
+    // True if the object is an operator expression such as { $gt: 5 } rather than a literal sub-document
+    function isOperatorObject(value) {
+      return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+    }
+
+    function valuesEqual(a, b) {
+      if (a === b) return true;
+      if (a instanceof Date || b instanceof Date) {
+        return new Date(a).getTime() === new Date(b).getTime();
+      }
+      if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+      }
+      if (isPlainObject(a) && isPlainObject(b)) {
+        const keysA = Object.keys(a);
+        return keysA.length === Object.keys(b).length && keysA.every(key => key in b && valuesEqual(a[key], b[key]));
+      }
+      return false;
+    }
+
+    // Orders two values of the same kind (numbers, strings or dates); returns null if they are not comparable.
+    function compareValues(a, b) {
+      if (a instanceof Date || b instanceof Date) {
+        a = new Date(a).getTime();
+        b = new Date(b).getTime();
+      }
+      if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string')) return null;
+      return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    // Tests a single stored value against a literal or RegExp, looking inside arrays like MongoDB does.
+    function valueMatches(value, expected) {
+      if (expected instanceof RegExp) {
+        return typeof value === 'string' ? expected.test(value) : (Array.isArray(value) && value.some(item => valueMatches(item, expected)));
+      }
+      if (valuesEqual(value, expected)) return true;
+      return Array.isArray(value) && value.some(item => valuesEqual(item, expected));
+    }
 
-    /**
-     * @memberof envjs
-     * @namespace crypto
-     * @description Cryptographic functionality.
-     */
-    crypto: {
-      /**
-       * Creates and returns a Hash object.
-       * @param {string} algorithm - e.g., 'sha256', 'md5'.
-       * @returns {crypto.Hash} The Hash object.
-       */
-      createHash(algorithm) {
-        return crypto.createHash(algorithm);
-      },
-      /**
-       * Generates cryptographically strong pseudo-random data.
-       * @param {number} size - The number of bytes to generate.
-       * @returns {Buffer} The random bytes.
-       */
-      randomBytes(size) {
-        return crypto.randomBytes(size);
-      },
-      /**
-       * Creates and returns an Hmac object.
-       * @param {string|Buffer|crypto.KeyObject} key - The HMAC key.
-       * @param {string} algorithm - The algorithm to use.
-       * @returns {crypto.Hmac} The Hmac object.
-       */
-      createHmac(algorithm, key) {
-        return crypto.createHmac(algorithm, key);
+    // Applies a comparison to a value, or to each element if the value is an array.
+    function someValue(value, predicate) {
+      return Array.isArray(value) ? value.some(predicate) : predicate(value);
+    }
+
+    function toRegExp(pattern, flags) {
+      return pattern instanceof RegExp ? pattern : new RegExp(pattern, flags || '');
+    }
+
+    // Evaluates an operator expression (e.g., { $gte: 18, $lt: 65 }) against the values found at a path.
+    function matchesOperators(values, operators) {
+      for (const op in operators) {
+        const operand = operators[op];
+        let result;
+        switch (op) {
+          case '$eq':
+            result = operand === null && values.length === 0 ? true : values.some(v => valueMatches(v, operand));
+            break;
+          case '$ne':
+            result = !(operand === null && values.length === 0) && !values.some(v => valueMatches(v, operand));
+            break;
+          case '$gt':
+          case '$gte':
+          case '$lt':
+          case '$lte':
+            result = values.some(v => someValue(v, item => {
+              const cmp = compareValues(item, operand);
+              if (cmp === null) return false;
+              return op === '$gt' ? cmp > 0 : op === '$gte' ? cmp >= 0 : op === '$lt' ? cmp < 0 : cmp <= 0;
+            }));
+            break;
+          case '$in':
+          case '$nin': {
+            if (!Array.isArray(operand)) throw new Error(`DB: ${op} requires an array.`);
+            const found = operand.some(candidate => (candidate === null && values.length === 0) || values.some(v => valueMatches(v, candidate)));
+            result = op === '$in' ? found : !found;
+            break;
+          }
+          case '$exists':
+            result = (values.length > 0) === !!operand;
+            break;
+          case '$regex': {
+            const regex = toRegExp(operand, operators.$options);
+            result = values.some(v => valueMatches(v, regex));
+            break;
+          }
+          case '$options':
+            result = true; // Consumed by $regex
+            break;
+          case '$not':
+            if (!(operand instanceof RegExp) && !isOperatorObject(operand)) {
+              throw new Error('DB: $not requires an operator object or RegExp.');
+            }
+            result = !(operand instanceof RegExp
+              ? values.some(v => valueMatches(v, operand))
+              : matchesOperators(values, operand));
+            break;
+          case '$elemMatch':
+            result = values.some(v => Array.isArray(v) && v.some(element => (
+              isOperatorObject(operand) ? matchesOperators([element], operand) : matchesQuery(element, operand)
+            )));
+            break;
+          default:
+            throw new Error(`DB: Unsupported query operator '${op}'.`);
+        }
+        if (!result) return false;
       }
-    },
+      return true;
+    }
 
     /**
-     * @memberof envjs
-     * @namespace dns
-     * @description DNS lookup functionality (callback and Promise-based).
+     * Tests a document against a MongoDB-style query.
+     * Supports dot-notation paths, literal equality (including array membership), RegExp values,
+     * the field operators $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex, $not and $elemMatch,
+     * and the logical operators $and and $or.
      */
-    dns: {
-      /**
-       * Resolves a hostname (e.g., 'google.com') into the first found A (IPv4) or AAAA (IPv6) record using callbacks.
-       * @param {string} hostname - The hostname to resolve.
-       * @param {function} callback - Callback with (err, address, family).
-       */
-      lookup(hostname, callback) {
-        // Check for mock first
-        if (mockedFunctions['dns.lookup']) {
-             console.log(`Using mock for dns.lookup('${hostname}')`);
-             // Mocked lookup should ideally call the callback
-             const mockResult = mockedFunctions['dns.lookup'](hostname);
-             if (callback && mockResult) {
-                  // Assuming mockResult is { err, address, family }
-                  callback(mockResult.err, mockResult.address, mockResult.family);
-             }
-             return; // Mock handled the call
-        }
-        console.log(`Looking up DNS for: ${hostname}`);
-        // Error handling is via the callback, standard Node.js.
-        dns.lookup(hostname, (err, address, family) => {
-          if (err) console.error("DNS lookup error:", err.message); // Keep error log
-          // else console.log(`DNS lookup result: ${address} (Family: IPv${family})`); // Removed success log
-          if (callback) callback(err, address, family);
-        });
-      },
-       /**
-       * Resolves a hostname (e.g., 'google.com') into the first found A (IPv4) or AAAA (IPv6) record using Promises.
-       * @param {string} hostname - The hostname to resolve.
-       * @returns {Promise<{ address: string; family: number; }>} A promise that resolves with the address and family.
-       */
-      lookupAsync(hostname) {
-         // Check for mock first
-        if (mockedFunctions['dns.lookupAsync']) {
-            console.log(`Using mock for dns.lookupAsync('${hostname}')`);
-            return Promise.resolve(mockedFunctions['dns.lookupAsync'](hostname));
-        }
-        console.log(`Looking up DNS asynchronously for: ${hostname}`);
-        return dnsLookupAsync(hostname);
-      },
-      /**
-       * Resolves a hostname into an array of record types specified by rrtype using callbacks.
-       * @param {string} hostname - The hostname to resolve.
-       * @param {string} [rrtype="A"] - Resource record type (e.g., 'A', 'AAAA', 'MX', 'TXT').
-       * @param {function} callback - Callback with (err, records).
-       */
-      resolve(hostname, rrtype = "A", callback) {
-        if (typeof rrtype === 'function') {
-          callback = rrtype;
-          rrtype = 'A';
+    function matchesQuery(doc, query) {
+      if (!query || typeof query !== 'object' || Object.keys(query).length === 0) return true; // Empty/invalid query matches all
+      for (const key in query) {
+        const condition = query[key];
+        if (key === '$and' || key === '$or') {
+          if (!Array.isArray(condition)) throw new Error(`DB: ${key} requires an array of queries.`);
+          const matched = key === '$and'
+            ? condition.every(subQuery => matchesQuery(doc, subQuery))
+            : condition.some(subQuery => matchesQuery(doc, subQuery));
+          if (!matched) return false;
+          continue;
         }
-         // Check for mock first
-        if (mockedFunctions['dns.resolve']) {
-             console.log(`Using mock for dns.resolve('${hostname}', '${rrtype}')`);
-             // Mocked resolve should ideally call the callback
-             const mockResult = mockedFunctions['dns.resolve'](hostname, rrtype);
-             if (callback && mockResult) {
-                  // Assuming mockResult is { err, records }
-                  callback(mockResult.err, mockResult.records);
-             }
-             return; // Mock handled the call
+        if (key.startsWith('$')) throw new Error(`DB: Unsupported query operator '${key}'.`);
+
+        const values = getPathValues(doc, key);
+        if (isOperatorObject(condition)) {
+          if (!matchesOperators(values, condition)) return false;
+        } else if (condition === null) {
+          // { field: null } matches documents where the field is null or missing
+          if (values.length > 0 && !values.some(v => v === null)) return false;
+        } else if (!values.some(v => valueMatches(v, condition))) {
+          return false;
         }
-        console.log(`Resolving DNS ${rrtype} records for: ${hostname}`);
-        // Error handling is via the callback, standard Node.js.
-        dns.resolve(hostname, rrtype, (err, records) => {
-          if (err) console.error(`DNS resolve (${rrtype}) error:`, err.message); // Keep error log
-          // else console.log(`DNS resolve (${rrtype}) result:`, records); // Removed success log
-          if (callback) callback(err, records);
-        });
-      },
-      /**
-       * Resolves a hostname into an array of record types specified by rrtype using Promises.
-       * @param {string} hostname - The hostname to resolve.
-       * @param {string} [rrtype="A"] - Resource record type (e.g., 'A', 'AAAA', 'MX', 'TXT').
-       * @returns {Promise<string[]|dns.MxRecord[]|dns.NaptrRecord[]|dns.SoaRecord|dns.SrvRecord[]|string[][]>} A promise that resolves with the records.
-       */
-      resolveAsync(hostname, rrtype = "A") {
-         // Check for mock first
-        if (mockedFunctions['dns.resolveAsync']) {
-            console.log(`Using mock for dns.resolveAsync('${hostname}', '${rrtype}')`);
-            return Promise.resolve(mockedFunctions['dns.resolveAsync'](hostname, rrtype));
+      }
+      return true;
+    }
+
+    const UPDATE_OPERATORS = ['$set', '$unset', '$inc', '$mul', '$min', '$max', '$push', '$addToSet', '$pull', '$rename'];
+
+    // Walks a dot-notation path and returns the container holding its last key, creating
+    // intermediate objects when `create` is set. Returns null if the path cannot be reached.
+    function resolveParent(doc, fieldPath, create) {
+      const keys = fieldPath.split('.');
+      let parent = doc;
+      for (let i = 0; i < keys.length - 1; i++) {
+        const key = keys[i];
+        if (parent[key] === undefined || parent[key] === null) {
+          if (!create) return null;
+          parent[key] = {}; // Like MongoDB, a numeric key under a missing field names an object key, not an array slot
+        } else if (typeof parent[key] !== 'object') {
+          if (!create) return null;
+          throw new Error(`DB: Cannot create field '${keys[i + 1]}' in non-object value at '${keys.slice(0, i + 1).join('.')}'.`);
         }
-        console.log(`Resolving DNS ${rrtype} records asynchronously for: ${hostname}`);
-        return dnsResolveAsync(hostname, rrtype);
+        parent = parent[key];
       }
-    },
+      return { parent, key: keys[keys.length - 1] };
+    }
+
+    function getPath(doc, fieldPath) {
+      const target = resolveParent(doc, fieldPath, false);
+      return target ? target.parent[target.key] : undefined;
+    }
+
+    function setPath(doc, fieldPath, value) {
+      const { parent, key } = resolveParent(doc, fieldPath, true);
+      parent[key] = value;
+    }
+
+    function unsetPath(doc, fieldPath) {
+      const target = resolveParent(doc, fieldPath, false);
+      if (!target || target.parent[target.key] === undefined) return;
+      if (Array.isArray(target.parent)) target.parent[target.key] = null; // Like MongoDB, keep array positions stable
+      else delete target.parent[target.key];
+    }
+
+    function isUpdateOperatorObject(update) {
+      const keys = isPlainObject(update) ? Object.keys(update) : [];
+      const operatorKeys = keys.filter(key => key.startsWith('$'));
+      if (operatorKeys.length > 0 && operatorKeys.length !== keys.length) {
+        throw new Error('DB: Update cannot mix operators (e.g., $set) with plain fields.');
+      }
+      return operatorKeys.length > 0;
+    }
+
+    // Reads the numeric value at a path for $inc/$mul, treating a missing field as absent.
+    function numericField(doc, fieldPath, op) {
+      const current = getPath(doc, fieldPath);
+      if (current !== undefined && typeof current !== 'number') {
+        throw new Error(`DB: Cannot apply ${op} to non-numeric field '${fieldPath}'.`);
+      }
+      return current;
+    }
+
+    function arrayField(doc, fieldPath, op) {
+      const current = getPath(doc, fieldPath);
+      if (current !== undefined && current !== null && !Array.isArray(current)) {
+        throw new Error(`DB: Cannot apply ${op} to non-array field '${fieldPath}'.`);
+      }
+      return current || [];
+    }
+
+    // { $each: [...] } adds several values; anything else is a single value
+    function eachValues(operand) {
+      if (isPlainObject(operand) && '$each' in operand) {
+        if (!Array.isArray(operand.$each)) throw new Error('DB: $each requires an array.');
+        return operand.$each;
+      }
+      return [operand];
+    }
 
     /**
-     * @memberof envjs
-     * @namespace net
-     * @description Networking functionality (TCP, IPC).
+     * Applies MongoDB-style update operators to a document in place.
+     * Supports $set, $unset, $inc, $mul, $min, $max, $push (with $each), $addToSet (with $each),
+     * $pull and $rename; every field may be a dot-notation path.
      */
-    net: {
-      /**
-       * Creates a new TCP or IPC server.
-       * @param {object} [options] - Options for the server.
-       * @param {function} [connectionListener] - Listener for 'connection' event.
-       * @returns {net.Server} The server instance.
-       */
-      createServer(options, connectionListener) {
-        if (typeof options === 'function') {
-          connectionListener = options;
-          options = {};
+    function applyUpdateOperators(doc, update) {
+      for (const op in update) {
+        if (!UPDATE_OPERATORS.includes(op)) throw new Error(`DB: Unsupported update operator '${op}'.`);
+        const fields = update[op];
+        if (!isPlainObject(fields)) throw new Error(`DB: ${op} requires an object of fields.`);
+
+        for (const fieldPath in fields) {
+          const operand = fields[fieldPath];
+          switch (op) {
+            case '$set':
+              setPath(doc, fieldPath, operand);
+              break;
+            case '$unset':
+              unsetPath(doc, fieldPath);
+              break;
+            case '$inc':
+            case '$mul': {
+              if (typeof operand !== 'number') throw new Error(`DB: ${op} requires a numeric value for '${fieldPath}'.`);
+              const current = numericField(doc, fieldPath, op);
+              // A missing field is created as the operand for $inc and as 0 for $mul
+              setPath(doc, fieldPath, op === '$inc' ? (current || 0) + operand : (current || 0) * operand);
+              break;
+            }
+            case '$min':
+            case '$max': {
+              const current = getPath(doc, fieldPath);
+              const cmp = current === undefined ? null : compareValues(operand, current);
+              if (current === undefined || (cmp !== null && (op === '$min' ? cmp < 0 : cmp > 0))) {
+                setPath(doc, fieldPath, operand);
+              }
+              break;
+            }
+            case '$push':
+              setPath(doc, fieldPath, arrayField(doc, fieldPath, op).concat(eachValues(operand)));
+              break;
+            case '$addToSet': {
+              const array = arrayField(doc, fieldPath, op).slice();
+              for (const value of eachValues(operand)) {
+                if (!array.some(item => valuesEqual(item, value))) array.push(value);
+              }
+              setPath(doc, fieldPath, array);
+              break;
+            }
+            case '$pull': {
+              const current = getPath(doc, fieldPath);
+              if (current === undefined) break;
+              if (!Array.isArray(current)) throw new Error(`DB: Cannot apply $pull to non-array field '${fieldPath}'.`);
+              // The condition is an operator expression, a sub-document query, or a literal value
+              const matches = isOperatorObject(operand)
+                ? item => matchesOperators([item], operand)
+                : isPlainObject(operand)
+                  ? item => isPlainObject(item) && matchesQuery(item, operand)
+                  : item => valueMatches(item, operand);
+              setPath(doc, fieldPath, current.filter(item => !matches(item)));
+              break;
+            }
+            case '$rename': {
+              if (typeof operand !== 'string' || !operand) throw new Error(`DB: $rename target for '${fieldPath}' must be a field name.`);
+              const value = getPath(doc, fieldPath);
+              if (value === undefined) break;
+              unsetPath(doc, fieldPath);
+              setPath(doc, operand, value);
+              break;
+            }
+          }
         }
-        console.log("Creating net server...");
-        const server = net.createServer(options, connectionListener);
-        server.on('listening', () => console.log('Net server listening.'));
-        server.on('error', (err) => console.error('Net server error:', err.message)); // Keep error log
-        // No try/catch here, let errors propagate via the 'error' event.
-        return server;
-      },
-      /**
-       * Creates a new TCP or IPC connection.
-       * @param {(number|string|object)} options - Port, path, or options object.
-       * @param {function} [connectListener] - Listener for 'connect' event.
-       * @returns {net.Socket} The socket instance.
-       */
-      createConnection(options, connectListener) {
-        console.log("Creating net connection with options:", options);
-        const socket = net.createConnection(options, connectListener);
-        socket.on('connect', () => console.log('Net connection established.'));
-        socket.on('error', (err) => console.error('Net connection error:', err.message)); // Keep error log
-         // No try/catch here, let errors propagate via the 'error' event.
-        return socket;
       }
-    },
-    /**
-     * @memberof envjs
-     * @namespace stream
-     * @description API for working with streaming data.
-     */
-    stream: {
-        Readable: stream.Readable,
-        Writable: stream.Writable,
-        Duplex: stream.Duplex,
-        Transform: stream.Transform,
-        pipeline: util.promisify(stream.pipeline), // Promisified version
-        finished: util.promisify(stream.finished), // Promisified version
-         /**
-         * A utility function for piping streams and handling errors using a callback.
-         * @param {stream.Readable} source - The source readable stream.
-         * @param {stream.Writable} destination - The destination writable stream.
-         * @param {function} callback - Called when piping is complete or an error occurs.
-         */
-        pipe(source, destination, callback) {
-            console.log("Piping streams...");
-            // Error handling is via the callback, standard Node.js pipeline.
-            stream.pipeline(source, destination, (err) => {
-                if (err) {
-                    console.error('Pipeline failed.', err); // Keep error log
-                    if (callback) callback(err);
-                } else {
-                    // console.log('Pipeline succeeded.'); // Removed success log
-                    if (callback) callback(null);
-                }
-            });
-        },
-         /**
-         * A utility function for piping streams and handling errors using Promises.
-         * @param {...(stream.Readable|stream.Writable|stream.Duplex|stream.Transform)} streams - The streams to pipe.
-         * @returns {Promise<void>} A promise that resolves when the pipeline is finished.
-         */
-        pipelineAsync(...streams) {
-             console.log("Piping streams asynchronously...");
-             // Promisified pipeline will reject on error.
-             return util.promisify(stream.pipeline)(...streams);
+      return doc;
+    }
+
+    // Builds the seed document for an upsert from the query's plain equality conditions
+    // ({ field: value }, { field: { $eq: value } } and those nested in $and), ignoring everything else.
+    function upsertBaseFromQuery(query, base = {}) {
+      if (!isPlainObject(query)) return base;
+      for (const key in query) {
+        const condition = query[key];
+        if (key === '$and') {
+          if (Array.isArray(condition)) condition.forEach(subQuery => upsertBaseFromQuery(subQuery, base));
+        } else if (key.startsWith('$') || condition === undefined || condition instanceof RegExp) {
+          continue;
+        } else if (isOperatorObject(condition)) {
+          if ('$eq' in condition) setPath(base, key, JSON.parse(JSON.stringify(condition.$eq)));
+        } else {
+          setPath(base, key, JSON.parse(JSON.stringify(condition)));
         }
-    },
+      }
+      return base;
+    }
+
+    // Cross-type ordering used by sort, following MongoDB: missing/null < numbers < strings < objects < arrays < booleans < dates
+    function sortTypeRank(value) {
+      if (value === undefined || value === null) return 0;
+      if (typeof value === 'number') return 1;
+      if (typeof value === 'string') return 2;
+      if (value instanceof Date) return 6;
+      if (Array.isArray(value)) return 4;
+      if (typeof value === 'object') return 3;
+      if (typeof value === 'boolean') return 5;
+      return 7;
+    }
+
+    function compareForSort(a, b) {
+      const rankA = sortTypeRank(a);
+      const rankB = sortTypeRank(b);
+      if (rankA !== rankB) return rankA - rankB;
+      const cmp = compareValues(a, b);
+      if (cmp !== null) return cmp;
+      if (typeof a === 'boolean') return a === b ? 0 : (a ? 1 : -1);
+      // Objects and arrays have no natural order; compare their JSON so the result is at least stable
+      const jsonA = JSON.stringify(a);
+      const jsonB = JSON.stringify(b);
+      return jsonA < jsonB ? -1 : (jsonA > jsonB ? 1 : 0);
+    }
+
+    // Normalizes { field: 1 | -1 | 'asc' | 'desc' } into a list of [path, direction] pairs
+    function normalizeSort(sortSpec) {
+      if (!sortSpec) return [];
+      if (!isPlainObject(sortSpec)) throw new Error('DB: sort must be an object such as { age: -1, name: 1 }.');
+      return Object.keys(sortSpec).map(fieldPath => {
+        const raw = sortSpec[fieldPath];
+        const direction = raw === 1 || raw === 'asc' ? 1 : (raw === -1 || raw === 'desc' ? -1 : null);
+        if (direction === null) throw new Error(`DB: Invalid sort direction for '${fieldPath}'. Use 1, -1, 'asc' or 'desc'.`);
+        return [fieldPath, direction];
+      });
+    }
+
+    function sortDocuments(docs, sortFields) {
+      if (sortFields.length === 0) return docs;
+      return docs.sort((a, b) => {
+        for (const [fieldPath, direction] of sortFields) {
+          const cmp = compareForSort(getPathValues(a, fieldPath)[0], getPathValues(b, fieldPath)[0]);
+          if (cmp !== 0) return cmp * direction;
+        }
+        return 0;
+      });
+    }
+
+    function validateCount(value, name) {
+      if (value === undefined || value === null) return 0;
+      if (!Number.isInteger(value) || value < 0) throw new Error(`DB: ${name} must be a non-negative integer.`);
+      return value;
+    }
 
     /**
-     * @memberof envjs
-     * @namespace util
-     * @description Utility functions.
+     * Applies an inclusion ({ name: 1, 'profile.city': 1 }) or exclusion ({ password: 0 }) projection to a copy
+     * of a document. _id is kept unless explicitly excluded; inclusion and exclusion cannot be mixed otherwise.
      */
-    util: {
-      /**
-       * Promisifies a function that follows the error-first callback style.
-       * @param {function} original - The function to promisify.
-       * @returns {function(...any): Promise<any>} The promisified function.
-       */
-      promisify(original) {
-        return util.promisify(original);
-      },
-      /**
-       * Inherits the prototype methods from one constructor into another.
-       * @param {function} constructor - The child constructor.
-       * @param {function} superConstructor - The parent constructor.
-       * @deprecated Node.js recommends using ES6 classes and extends instead.
-       */
-      inherits(constructor, superConstructor) {
-        util.inherits(constructor, superConstructor);
-        console.log(`${constructor.name} now inherits from ${superConstructor.name} (using util.inherits)`); // Keep this log as it's informative about the action
-      },
-      /**
-       * Returns a string representation of an object, useful for debugging.
-       * @param {any} objectToInspect - The object to inspect.
-       * @param {object|boolean} [optionsOrShowHidden=false] - Inspection options or boolean for showHidden.
-       * @param {number} [depth] - Inspection depth.
-       * @param {boolean} [colors] - Whether to use colors.
-       * @returns {string} The formatted string.
-       */
-      inspect(objectToInspect, optionsOrShowHidden = false, depth, colors) {
-        let inspectOptions = {};
-        if (typeof optionsOrShowHidden === 'boolean') {
-            inspectOptions = { showHidden: optionsOrShowHidden, depth, colors };
-        } else if (typeof optionsOrShowHidden === 'object' && optionsOrShowHidden !== null) {
-            inspectOptions = optionsOrShowHidden;
+    function projectDocument(doc, projection) {
+      if (!projection || Object.keys(projection).length === 0) return doc;
+      const fields = Object.keys(projection).filter(key => key !== '_id');
+      const including = fields.some(key => projection[key]);
+      if (including && fields.some(key => !projection[key])) {
+        throw new Error('DB: Projection cannot mix inclusion and exclusion (except for _id).');
+      }
+      let result;
+      if (including) {
+        result = {};
+        for (const fieldPath of fields) {
+          const value = getPath(doc, fieldPath);
+          if (value !== undefined) setPath(result, fieldPath, value);
         }
-        return util.inspect(objectToInspect, inspectOptions);
-      },
-      /**
-       * Formats a string using printf-like placeholders.
-       * @param {string} format - The format string.
-       * @param  {...any} params - Values to insert.
-       * @returns {string} The formatted string.
-       */
-      format(format, ...params) {
-          return util.format(format, ...params);
+        if (projection._id !== 0 && projection._id !== false && doc._id !== undefined) result._id = doc._id;
+      } else {
+        result = doc;
+        for (const fieldPath of fields) unsetPath(result, fieldPath);
+        if (projection._id === 0 || projection._id === false) delete result._id;
       }
-    },
+      return result;
+    }
 
     /**
-     * @memberof envjs
-     * @namespace zlib
-     * @description Compression and decompression functionality (callback and Promise-based).
+     * Thrown when a write would give two documents the same key in a unique index (including _id).
+     * Mirrors MongoDB's E11000 error: `code` is 11000 and `keyValue` holds the conflicting field values.
      */
-    zlib: {
-      /**
-       * Compresses data using gzip with a callback.
-       * @param {Buffer|string} input - The data to compress.
-       * @param {function} callback - Callback with (error, result).
-       */
-      gzip(input, callback) {
-        console.log("Gzipping data...");
-        // Error handling is via the callback, standard Node.js.
-        zlib.gzip(input, (err, result) => {
-          if (err) console.error("Gzip error:", err.message); // Keep error log
-          // else console.log("Gzip successful."); // Removed success log
-          if (callback) callback(err, result);
-        });
-      },
-       /**
-       * Compresses data using gzip, returning a Promise.
-       * @param {Buffer|string} input - The data to compress.
-       * @returns {Promise<Buffer>} A promise that resolves with the compressed data.
-       */
-      gzipAsync(input) {
-         console.log("Gzipping data asynchronously...");
-         return gzipAsync(input);
-      },
-      /**
-       * Decompresses gzip data with a callback.
-       * @param {Buffer|string} input - The data to decompress.
-       * @param {function} callback - Callback with (error, result).
-       */
-      gunzip(input, callback) {
-        console.log("Gunzipping data...");
-         // Error handling is via the callback, standard Node.js.
-        zlib.gunzip(input, (err, result) => {
-          if (err) console.error("Gunzip error:", err.message); // Keep error log
-          // else console.log("Gunzip successful."); // Removed success log
-          if (callback) callback(err, result);
-        });
-      },
-       /**
-       * Decompresses gzip data, returning a Promise.
-       * @param {Buffer|string} input - The data to decompress.
-       * @returns {Promise<Buffer>} A promise that resolves with the decompressed data.
-       */
-      gunzipAsync(input) {
-         console.log("Gunzipping data asynchronously...");
-         return gunzipAsync(input);
-      },
-      /**
-       * Compresses data using deflate with a callback.
-       * @param {Buffer|string} input - The data to compress.
-       * @param {function} callback - Callback with (error, result).
-       */
-      deflate(input, callback) {
-        console.log("Deflating data...");
-         // Error handling is via the callback, standard Node.js.
-        zlib.deflate(input, (err, result) => {
-          if (err) console.error("Deflate error:", err.message); // Keep error log
-          // else console.log("Deflate successful."); // Removed success log
-          if (callback) callback(err, result);
-        });
-      },
-       /**
-       * Compresses data using deflate, returning a Promise.
-       * @param {Buffer|string} input - The data to compress.
-       * @returns {Promise<Buffer>} A promise that resolves with the compressed data.
-       */
-      deflateAsync(input) {
-         console.log("Deflating data asynchronously...");
-         return deflateAsync(input);
-      },
-      /**
-       * Decompresses deflate data with a callback.
-       * @param {Buffer|string} input - The data to decompress.
-       * @param {function} callback - Callback with (error, result).
-       */
-      inflate(input, callback) {
-        console.log("Inflating data...");
-         // Error handling is via the callback, standard Node.js.
-        zlib.inflate(input, (err, result) => {
-          if (err) console.error("Inflate error:", err.message); // Keep error log
-          // else console.log("Inflate successful."); // Removed success log
-          if (callback) callback(err, result);
-        });
-      },
-       /**
-       * Decompresses deflate data, returning a Promise.
-       * @param {Buffer|string} input - The data to decompress.
-       * @returns {Promise<Buffer>} A promise that resolves with the decompressed data.
-       */
-      inflateAsync(input) {
-         console.log("Inflating data asynchronously...");
-         return inflateAsync(input);
+    class DuplicateKeyError extends Error {
+      constructor(collectionName, indexName, keyValue) {
+        super(`DB: Duplicate key in collection '${collectionName}' for index '${indexName}': ${JSON.stringify(keyValue)}`);
+        this.name = 'DuplicateKeyError';
+        this.code = 11000;
+        this.collection = collectionName;
+        this.index = indexName;
+        this.keyValue = keyValue;
       }
-    },
+    }
 
     /**
-     * @memberof envjs
-     * @namespace url
-     * @description URL parsing and resolution.
+     * Thrown by update({ expectedVersion }) when a matched document has moved on to another _version.
      */
-    url: {
-      /**
-       * Parses a URL string into an object (legacy API).
-       * @param {string} urlString - The URL string to parse.
-       * @param {boolean} [parseQueryString=false] - If true, the query property will always be set to an object.
-       * @param {boolean} [slashesDenoteHost=false] - If true, //foo/bar will be parsed as { host: 'foo', pathname: '/bar' }.
-       * @returns {object} The parsed URL object.
-       */
-      parse(urlString, parseQueryString = false, slashesDenoteHost = false) {
-        return urlParse(urlString, parseQueryString, slashesDenoteHost);
-      },
-      /**
-       * Takes a parsed URL object and returns a formatted URL string (legacy API).
-       * @param {object|URL} urlObject - The URL object to format.
-       * @returns {string} The formatted URL string.
-       */
-      format(urlObject) {
-        return urlFormat(urlObject);
-      },
-      /**
-       * Resolves a target URL relative to a base URL (legacy API).
-       * @param {string} from - The base URL.
-       * @param {string} to - The target URL.
-       * @returns {string} The resolved URL.
-       * @deprecated Use new URL(to, from).href with the WHATWG URL API.
-       */
-      resolve(from, to) {
-        return new NodeURL(to, from).href;
-      },
-      /**
-       * The WHATWG URL class constructor from Node's 'url' module.
-       * @type {typeof NodeURL}
-       */
-      URL: NodeURL
-    },
+    class VersionConflictError extends Error {
+      constructor(collectionName, documentId, expectedVersion, actualVersion) {
+        super(`DB: Version conflict in collection '${collectionName}' for document '${documentId}': expected version ${expectedVersion}, found ${actualVersion}.`);
+        this.name = 'VersionConflictError';
+        this.collection = collectionName;
+        this.documentId = documentId;
+        this.expectedVersion = expectedVersion;
+        this.actualVersion = actualVersion;
+      }
+    }
 
     /**
-     * @memberof envjs
-     * @namespace querystring
-     * @description Utilities for parsing and formatting URL query strings.
-     * @deprecated Node.js recommends using URLSearchParams from the WHATWG URL API.
+     * Thrown when a write does not satisfy a collection's schema.
+     * `errors` lists every failure as { path, message } (plus `index` for the document's position in a batch).
      */
-    querystring: {
-      /**
-       * Parses a URL query string into an object.
-       * @param {string} str - The query string to parse.
-       * @param {string} [sep='&'] - The substring used to delimit key and value pairs.
-       * @param {string} [eq='='] - The substring used to delimit keys and values.
-       * @param {object} [options] - Options for decoding.
-       * @returns {object} The parsed query string object.
-       */
-      parse(str, sep = '&', eq = '=', options) {
-        return querystring.parse(str, sep, eq, options);
-      },
-      /**
-       * Serializes an object into a URL query string.
-       * @param {object} obj - The object to serialize.
-       * @param {string} [sep='&'] - The substring used to delimit key and value pairs.
-       * @param {string} [eq='='] - The substring used to delimit keys and values.
-       * @param {object} [options] - Options for encoding.
-       * @returns {string} The formatted query string.
-       */
-      stringify(obj, sep = '&', eq = '=', options) {
-        return querystring.stringify(obj, sep, eq, options);
+    class ValidationError extends Error {
+      constructor(collectionName, errors) {
+        const summary = errors.map(error => `${error.path}: ${error.message}`).join('; ');
+        super(`DB: Document failed validation for collection '${collectionName}': ${summary}`);
+        this.name = 'ValidationError';
+        this.collection = collectionName;
+        this.errors = errors;
       }
-    },
+    }
+
+    const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+    // Fields the database manages itself; they never count as additional properties at the top level
+    const SYSTEM_FIELDS = ['_id', '_createdAt', '_updatedAt', '_version', '_deletedAt'];
+
+    function schemaTypeOf(value) {
+      if (value === null) return 'null';
+      if (Array.isArray(value)) return 'array';
+      if (value instanceof Date) return 'string'; // Dates are stored (and persisted) as ISO strings
+      return typeof value;
+    }
+
+    function matchesSchemaType(value, type) {
+      if (type === 'integer') return Number.isInteger(value);
+      if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+      return schemaTypeOf(value) === type;
+    }
+
+    // Checks that a schema only uses the supported subset, so typos fail loudly when the schema is set
+    function checkSchema(schema, schemaPath = 'schema') {
+      if (!isPlainObject(schema)) throw new Error(`DB: ${schemaPath} must be an object.`);
+      const types = schema.type === undefined ? [] : [].concat(schema.type);
+      for (const type of types) {
+        if (!SCHEMA_TYPES.includes(type)) throw new Error(`DB: ${schemaPath}.type '${type}' is not one of ${SCHEMA_TYPES.join(', ')}.`);
+      }
+      if (schema.required !== undefined && !Array.isArray(schema.required)) throw new Error(`DB: ${schemaPath}.required must be an array of property names.`);
+      if (schema.enum !== undefined && !Array.isArray(schema.enum)) throw new Error(`DB: ${schemaPath}.enum must be an array.`);
+      if (schema.pattern !== undefined) new RegExp(schema.pattern); // Throws on an invalid pattern
+      if (schema.properties !== undefined) {
+        if (!isPlainObject(schema.properties)) throw new Error(`DB: ${schemaPath}.properties must be an object.`);
+        for (const key of Object.keys(schema.properties)) checkSchema(schema.properties[key], `${schemaPath}.properties.${key}`);
+      }
+      if (isPlainObject(schema.additionalProperties)) checkSchema(schema.additionalProperties, `${schemaPath}.additionalProperties`);
+      if (schema.items !== undefined) checkSchema(schema.items, `${schemaPath}.items`);
+    }
 
     /**
-     * @memberof envjs
-     * @namespace events
-     * @description Event emitter functionality.
+     * Validates a value against a JSON-Schema subset, pushing { path, message } for every failure:
+     * type (or a list of types), enum, minimum/maximum, exclusiveMinimum/exclusiveMaximum, minLength/maxLength,
+     * pattern, properties, required, additionalProperties, items, minItems/maxItems and uniqueItems.
      */
-    events: {
-      /**
-       * The EventEmitter class.
-       * @type {events.EventEmitter}
-       */
-      EventEmitter: events.EventEmitter,
-      /**
-       * Creates a new EventEmitter instance.
-       * @returns {events.EventEmitter} A new EventEmitter.
-       */
-      createEmitter() {
-        return new events.EventEmitter();
+    function validateSchema(value, schema, valuePath, errors, isRoot = false) {
+      const where = valuePath || '(root)';
+      const push = message => errors.push({ path: where, message });
+
+      if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesSchemaType(value, type))) {
+          push(`must be of type ${types.join(' or ')} (got ${schemaTypeOf(value)})`);
+          return; // Further keywords would only repeat the type error
+        }
+      }
+      if (schema.enum && !schema.enum.some(option => valuesEqual(option, value))) {
+        push(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+      }
+
+      if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) push(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) push(`must be <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) push(`must be > ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) push(`must be < ${schema.exclusiveMaximum}`);
+      }
+
+      if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) push(`must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) push(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) push(`must match pattern ${schema.pattern}`);
+      }
+
+      if (isPlainObject(value)) {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+          if (value[key] === undefined) errors.push({ path: valuePath ? `${valuePath}.${key}` : key, message: 'is required' });
+        }
+        for (const key of Object.keys(value)) {
+          const childPath = valuePath ? `${valuePath}.${key}` : key;
+          if (value[key] === undefined) continue;
+          if (properties[key]) {
+            validateSchema(value[key], properties[key], childPath, errors);
+          } else if (isRoot && SYSTEM_FIELDS.includes(key)) {
+            continue;
+          } else if (schema.additionalProperties === false) {
+            errors.push({ path: childPath, message: 'is not allowed by the schema' });
+          } else if (isPlainObject(schema.additionalProperties)) {
+            validateSchema(value[key], schema.additionalProperties, childPath, errors);
+          }
+        }
+      }
+
+      if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) push(`must contain at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) push(`must contain at most ${schema.maxItems} items`);
+        if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => valuesEqual(other, item)) !== i)) push('must not contain duplicate items');
+        if (schema.items) value.forEach((item, i) => validateSchema(item, schema.items, valuePath ? `${valuePath}.${i}` : String(i), errors));
+      }
+    }
+
+    // Fills in `default` values for missing properties, recursing into objects and array items that are present.
+    // Nested objects/arrays are copied before being filled so the caller's input is never modified.
+    function applySchemaDefaults(value, schema) {
+      const copyForDefaults = child => (Array.isArray(child) ? child.slice() : (isPlainObject(child) ? { ...child } : child));
+      if (isPlainObject(value) && schema.properties) {
+        for (const key of Object.keys(schema.properties)) {
+          const propertySchema = schema.properties[key];
+          if (value[key] === undefined && propertySchema.default !== undefined) {
+            value[key] = JSON.parse(JSON.stringify(propertySchema.default));
+          } else if (value[key] !== undefined) {
+            value[key] = applySchemaDefaults(copyForDefaults(value[key]), propertySchema);
+          }
+        }
       }
-    },
+      if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => { value[i] = applySchemaDefaults(copyForDefaults(item), schema.items); });
+      }
+      return value;
+    }
+
+    // Encodes a value as an index key. Missing fields index as null, like MongoDB, and the type prefix keeps 1 and '1' apart.
+    function encodeIndexKey(value) {
+      if (value === undefined || value === null) return 'null';
+      if (value instanceof Date) return `d:${value.getTime()}`;
+      if (typeof value === 'object') return `j:${JSON.stringify(value)}`;
+      return `${typeof value}:${value}`;
+    }
+
+    // Values a document holds at a path for indexing: the values themselves plus the elements of any arrays (multikey)
+    function indexableValues(doc, fieldPath) {
+      const values = [];
+      for (const value of getPathValues(doc, fieldPath)) {
+        values.push(value);
+        if (Array.isArray(value)) values.push(...value);
+      }
+      return values;
+    }
+
+    function sortedInsertPosition(entries, value) {
+      let low = 0;
+      let high = entries.length;
+      while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (entries[mid].value < value) low = mid + 1;
+        else high = mid;
+      }
+      return low;
+    }
 
     /**
-     * @memberof envjs
-     * @namespace store
-     * @description A simple JSON-based persistent storage.
+     * An in-memory secondary index over one or more fields.
+     * Every index keeps a hash map from encoded key to the documents holding it; single-field indexes
+     * also keep number and string values sorted so range predicates can be answered by binary search.
+     * @private
      */
-    store: {
-        /**
-         * Gets a value from the store using dot notation.
-         * @param {string} keyPath - The key path (e.g., "users.0.name").
-         * @param {any} [defaultValue] - The value to return if the key path is not found.
-         * @returns {any} The value at the key path or the default value.
-         */
-        get(keyPath, defaultValue) {
-            const keys = keyPath.split('.');
-            let current = storeData;
-            for (const key of keys) {
-                if (current === null || typeof current !== 'object' || !(key in current)) {
-                    return defaultValue;
-                }
-                current = current[key];
+    class Index {
+      constructor(name, fields, options = {}) {
+        this.name = name;
+        this.fields = fields; // Array of [path, direction]
+        this.unique = !!options.unique;
+        this.sparse = !!options.sparse;
+        this.entries = new Map();
+        this.sorted = fields.length === 1 ? { number: [], string: [] } : null;
+        this.dateCount = 0; // Dates compare loosely against strings and numbers, so their presence disables index lookups
+      }
+
+      // Returns a Map of encoded key -> { field: value } for every key the document produces
+      keysFor(doc) {
+        const perField = this.fields.map(([fieldPath]) => indexableValues(doc, fieldPath));
+        if (this.sparse && perField.every(values => values.length === 0)) return new Map();
+        let combos = [[]];
+        for (const values of perField) {
+          const options = values.length > 0 ? values : [undefined];
+          combos = combos.flatMap(combo => options.map(value => combo.concat([value])));
+        }
+        const keys = new Map();
+        for (const combo of combos) {
+          const key = combo.map(encodeIndexKey).join('|');
+          if (!keys.has(key)) {
+            const keyValue = {};
+            this.fields.forEach(([fieldPath], i) => { keyValue[fieldPath] = combo[i] === undefined ? null : combo[i]; });
+            keys.set(key, keyValue);
+          }
+        }
+        return keys;
+      }
+
+      _sortedValues(doc) {
+        const seen = new Set();
+        for (const value of indexableValues(doc, this.fields[0][0])) {
+          if (typeof value === 'number' || typeof value === 'string') seen.add(value);
+        }
+        return seen;
+      }
+
+      add(doc) {
+        for (const key of this.keysFor(doc).keys()) {
+          if (!this.entries.has(key)) this.entries.set(key, new Set());
+          this.entries.get(key).add(doc);
+        }
+        if (this.sorted) {
+          for (const value of this._sortedValues(doc)) {
+            const list = this.sorted[typeof value];
+            list.splice(sortedInsertPosition(list, value), 0, { value, doc });
+          }
+          if (indexableValues(doc, this.fields[0][0]).some(value => value instanceof Date)) this.dateCount++;
+        }
+      }
+
+      remove(doc) {
+        for (const key of this.keysFor(doc).keys()) {
+          const owners = this.entries.get(key);
+          if (!owners) continue;
+          owners.delete(doc);
+          if (owners.size === 0) this.entries.delete(key);
+        }
+        if (this.sorted) {
+          for (const value of this._sortedValues(doc)) {
+            const list = this.sorted[typeof value];
+            for (let i = sortedInsertPosition(list, value); i < list.length && list[i].value === value; i++) {
+              if (list[i].doc === doc) {
+                list.splice(i, 1);
+                break;
+              }
             }
-            return current;
-        },
-        /**
-         * Sets a value in the store using dot notation. Creates nested objects if they don't exist.
-         * @param {string} keyPath - The key path (e.g., "users.0.name").
-         * @param {any} value - The value to set.
-         */
-        set(keyPath, value) {
-            const keys = keyPath.split('.');
-            let current = storeData;
-            for (let i = 0; i < keys.length - 1; i++) {
-                const key = keys[i];
-                if (current === null || typeof current !== 'object') {
-                     console.error(`Cannot set value: Intermediate path '${keys.slice(0, i + 1).join('.')}' is not an object.`); // Keep error log
-                     return; // Cannot set if path is not an object
-                }
-                if (!(key in current) || typeof current[key] !== 'object' || current[key] === null) {
-                    // Create an object if it doesn't exist or is not an object
-                    current[key] = {};
-                }
-                current = current[key];
-            }
-            const lastKey = keys[keys.length - 1];
-             if (current !== null && typeof current === 'object') {
-                current[lastKey] = value;
-                saveStore(); // Save after setting
-             } else {
-                 console.error(`Cannot set value: Parent path '${keys.slice(0, -1).join('.')}' is not an object.`); // Keep error log
-             }
-        },
-        /**
-         * Deletes a value from the store using dot notation.
-         * @param {string} keyPath - The key path (e.g., "users.0").
-         */
-        delete(keyPath) {
-            const keys = keyPath.split('.');
-            let current = storeData;
-            for (let i = 0; i < keys.length - 1; i++) {
-                const key = keys[i];
-                 if (current === null || typeof current !== 'object' || !(key in current)) {
-                    console.warn(`Delete failed: Path '${keyPath}' not found.`); // Keep warning log
-                    return; // Path does not exist
-                }
-                current = current[key];
-            }
-            const lastKey = keys[keys.length - 1];
-             if (current !== null && typeof current === 'object' && lastKey in current) {
-                delete current[lastKey];
-                saveStore(); // Save after deleting
-             } else {
-                 console.warn(`Delete failed: Key '${lastKey}' not found at path '${keys.slice(0, -1).join('.')}'.`); // Keep warning log
-             }
-        },
-        /**
-         * Gets the entire store data.
-         * @returns {object} The entire store object.
-         */
-        all() {
-            // Return a deep copy to prevent external modification
-            return JSON.parse(JSON.stringify(storeData));
+          }
+          if (indexableValues(doc, this.fields[0][0]).some(value => value instanceof Date)) this.dateCount--;
         }
-    },
+      }
+
+      clear() {
+        this.entries.clear();
+        if (this.sorted) this.sorted = { number: [], string: [] };
+        this.dateCount = 0;
+      }
+
+      lookup(keyValues) {
+        return this.entries.get(keyValues.map(encodeIndexKey).join('|')) || new Set();
+      }
+
+      // Documents whose value satisfies every bound in { $gt, $gte, $lt, $lte } (all of one type)
+      range(bounds, type) {
+        const list = this.sorted[type];
+        let start = 0;
+        let end = list.length;
+        if ('$gte' in bounds) start = Math.max(start, sortedInsertPosition(list, bounds.$gte));
+        if ('$gt' in bounds) {
+          let i = sortedInsertPosition(list, bounds.$gt);
+          while (i < list.length && list[i].value === bounds.$gt) i++;
+          start = Math.max(start, i);
+        }
+        if ('$lt' in bounds) end = Math.min(end, sortedInsertPosition(list, bounds.$lt));
+        if ('$lte' in bounds) {
+          let i = sortedInsertPosition(list, bounds.$lte);
+          while (i < list.length && list[i].value === bounds.$lte) i++;
+          end = Math.min(end, i);
+        }
+        const docs = new Set();
+        for (let i = start; i < end; i++) docs.add(list[i].doc);
+        return docs;
+      }
+
+      describe() {
+        return {
+          name: this.name,
+          fields: Object.fromEntries(this.fields),
+          unique: this.unique,
+          sparse: this.sparse
+        };
+      }
+    }
+
+    function isIndexableScalar(value) {
+      return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+    }
+
+    // Equality values a query condition pins a field to (literal, $eq or $in), or null if it does not
+    function equalityValues(condition) {
+      if (isIndexableScalar(condition)) return [condition];
+      if (!isOperatorObject(condition)) return null;
+      if (isIndexableScalar(condition.$eq)) return [condition.$eq];
+      if (Array.isArray(condition.$in) && condition.$in.length > 0 && condition.$in.every(isIndexableScalar)) return condition.$in;
+      return null;
+    }
+
+    // Range bounds a query condition places on a field, if they are all numbers or all strings
+    function rangeBounds(condition) {
+      if (!isOperatorObject(condition)) return null;
+      const bounds = {};
+      let type = null;
+      for (const op of ['$gt', '$gte', '$lt', '$lte']) {
+        if (!(op in condition)) continue;
+        const operand = condition[op];
+        if (typeof operand !== 'number' && typeof operand !== 'string') return null;
+        if (type && typeof operand !== type) return null;
+        type = typeof operand;
+        bounds[op] = operand;
+      }
+      return type ? { bounds, type } : null;
+    }
+
+    function normalizeIndexFields(fieldsSpec) {
+      let fields;
+      if (typeof fieldsSpec === 'string') fields = [[fieldsSpec, 1]];
+      else if (Array.isArray(fieldsSpec)) fields = fieldsSpec.map(fieldPath => [fieldPath, 1]);
+      else if (isPlainObject(fieldsSpec)) fields = Object.entries(fieldsSpec);
+      else fields = [];
+      if (fields.length === 0 || fields.some(([fieldPath, direction]) => typeof fieldPath !== 'string' || !fieldPath || (direction !== 1 && direction !== -1))) {
+        throw new Error("DB: createIndex requires a field name, an array of field names, or an object such as { email: 1 }.");
+      }
+      return fields;
+    }
 
     /**
-     * @memberof envjs
-     * @namespace scheduler
-     * @description A simple scheduler using setInterval and setTimeout.
+     * A chainable, lazily evaluated query over a collection.
+     * Nothing runs until toArray(), count() or iteration, so sort/skip/limit/project may be chained in any order.
      */
-    scheduler: {
-        _timers: {}, // Store interval timers
+    class Cursor {
+      constructor(collection, query = {}, options = {}) {
+        this._collection = collection;
+        this._query = query;
+        this._options = { ...options };
+      }
 
-        /**
-         * Schedules a callback to run repeatedly at a specified interval.
-         * @param {string|number} interval - The interval. Can be a number of milliseconds or a string like "5s", "1m", "1h".
-         * @param {function} callback - The function to call.
-         * @param {string} [id] - A unique ID for this schedule. If not provided, a random one is generated.
-         * @returns {string|null} The ID of the scheduled task, or null if the interval is invalid.
-         */
-        every(interval, callback, id) {
-            const timerId = id || `every-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
-            const intervalMs = typeof interval === 'string' ? this._parseInterval(interval) : interval;
+      sort(sortSpec) {
+        this._options.sort = sortSpec;
+        return this;
+      }
 
-            if (isNaN(intervalMs) || intervalMs <= 0) {
-                console.error(`Invalid interval specified for scheduler: ${interval}`); // Keep error log
-                return null;
-            }
+      skip(n) {
+        this._options.skip = n;
+        return this;
+      }
 
-            console.log(`Scheduling task '${timerId}' to run every ${interval}...`); // Keep informative log
-            const timer = setInterval(callback, intervalMs);
-            this._timers[timerId] = timer;
-            return timerId;
-        },
+      limit(n) {
+        this._options.limit = n;
+        return this;
+      }
 
-         /**
-         * Schedules a callback to run once after a specified delay.
-         * @param {string|number} delay - The delay. Can be a number of milliseconds or a string like "5s", "1m", "1h".
-         * @param {function} callback - The function to call.
-         * @param {string} [id] - A unique ID for this schedule. If not provided, a random one is generated.
-         * @returns {string|null} The ID of the scheduled task, or null if the delay is invalid.
-         */
-        once(delay, callback, id) {
-            const timerId = id || `once-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
-            const delayMs = typeof delay === 'string' ? this._parseInterval(delay) : delay;
+      project(projection) {
+        this._options.projection = projection;
+        return this;
+      }
 
-             if (isNaN(delayMs) || delayMs < 0) {
-                console.error(`Invalid delay specified for scheduler: ${delay}`); // Keep error log
-                return null;
-            }
+      toArray() {
+        return this._collection._runQuery(this._query, this._options);
+      }
 
-            console.log(`Scheduling task '${timerId}' to run once after ${delay}...`); // Keep informative log
-            const timer = setTimeout(() => {
-                callback();
-                delete this._timers[timerId]; // Clean up after execution
-            }, delayMs);
-            this._timers[timerId] = timer;
-            return timerId;
-        },
+      // Number of matching documents, ignoring skip and limit
+      count() {
+        return this._collection.count(this._query, this._options);
+      }
 
-        /**
-         * Schedules a callback to run based on a CRON expression.
-         * Note: This is a simplified cron parser. For robust cron scheduling, a dedicated library is recommended.
-         * This basic version supports: min hour day(month) month day(week)
-         * e.g., "0 0 * * *" for daily at midnight.
-         * @param {string} cronExpression - The CRON string.
-         * @param {function} callback - The function to call.
-         * @param {string} [id] - A unique ID for this schedule. If not provided, a random one is generated.
-         * @returns {string|null} The ID of the scheduled task, or null if the expression is invalid.
-         */
-        cron(cronExpression, callback, id) {
-            const timerId = id || `cron-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
-            console.log(`Scheduling task '${timerId}' with cron expression: ${cronExpression}...`); // Keep informative log
-
-            // Basic cron parsing and scheduling logic (highly simplified)
-            // This is a placeholder for a more robust cron engine.
-            // For a real implementation, you'd parse the cron string and use multiple setTimeout calls
-            // or a more sophisticated scheduling mechanism.
-            const parts = cronExpression.split(' ');
-            if (parts.length < 5 || parts.length > 6) { // cron can have 5 or 6 fields
-                console.error(`Invalid cron expression: ${cronExpression}. Must have 5 or 6 space-separated parts.`); // Keep error log
-                return null;
-            }
+      forEach(fn) {
+        this.toArray().forEach(fn);
+      }
 
-            // This is NOT a real cron implementation. It just runs every minute for demonstration.
-            // A real implementation would need to calculate next run times based on the cron parts.
-            console.warn(`Simplified cron for '${timerId}': For demonstration, this will run the callback approximately every minute if the minute field is '*' or matches current minute. This is not a full cron parser.`);
+      map(fn) {
+        return this.toArray().map(fn);
+      }
 
-            const checkAndRun = () => {
-                const now = new Date();
-                const minuteMatch = parts[0] === '*' || parseInt(parts[0]) === now.getMinutes();
-                const hourMatch = parts[1] === '*' || parseInt(parts[1]) === now.getHours();
-                // Further checks for dayOfMonth, month, dayOfWeek would go here.
+      [Symbol.iterator]() {
+        return this.toArray()[Symbol.iterator]();
+      }
 
-                if (minuteMatch && hourMatch) { // Simplified check
-                    callback();
-                }
-            };
+      async *[Symbol.asyncIterator]() {
+        yield* this.toArray();
+      }
+    }
 
-            // Check frequently (e.g., every minute) - this is inefficient for a real cron.
-            const timer = setInterval(checkAndRun, 60000); // Check every 60 seconds
-            this._timers[timerId] = timer;
-            return timerId;
-        },
+    // Evaluates an aggregation expression: '$path' reads a field, '$$ROOT' is the whole document,
+    // and arrays/objects are evaluated member by member. Anything else is a literal.
+    function evaluateExpression(expression, doc) {
+      if (typeof expression === 'string' && expression.startsWith('$')) {
+        if (expression === '$$ROOT') return doc;
+        const fieldPath = expression.slice(1);
+        const value = getPath(doc, fieldPath);
+        if (value !== undefined) return value;
+        const values = getPathValues(doc, fieldPath); // Path through an array, e.g. '$items.sku'
+        return values.length > 0 ? values : undefined;
+      }
+      if (Array.isArray(expression)) return expression.map(item => evaluateExpression(item, doc));
+      if (isPlainObject(expression)) {
+        const keys = Object.keys(expression);
+        if (keys.length === 1 && keys[0] === '$literal') return expression.$literal;
+        if (keys.some(key => key.startsWith('$'))) throw new Error(`DB: Unsupported expression operator '${keys.find(key => key.startsWith('$'))}'.`);
+        const result = {};
+        for (const key of keys) result[key] = evaluateExpression(expression[key], doc);
+        return result;
+      }
+      return expression;
+    }
 
-        /**
-         * Stops a scheduled task.
-         * @param {string} id - The ID of the task to stop.
-         * @returns {boolean} True if the task was found and stopped, false otherwise.
-         */
-        stop(id) {
-            if (this._timers[id]) {
-                console.log(`Stopping scheduled task '${id}'.`); // Keep informative log
-                // Check if it's an interval or timeout
-                if (this._timers[id]._repeat) { // Heuristic to check if it's an interval
-                     clearInterval(this._timers[id]);
-                } else {
-                     clearTimeout(this._timers[id]);
-                }
-                delete this._timers[id];
-                return true;
-            }
-            console.warn(`Scheduled task '${id}' not found.`); // Keep warning log
-            return false;
-        },
+    const GROUP_ACCUMULATORS = ['$sum', '$avg', '$min', '$max', '$push', '$count'];
 
-        /**
-         * Lists all currently scheduled task IDs.
-         * @returns {string[]} An array of scheduled task IDs.
-         */
-        list() {
-            return Object.keys(this._timers);
-        },
+    // Folds one group's documents with an accumulator such as { $sum: '$amount' }
+    function accumulate(accumulator, docs, outputField) {
+      const keys = isPlainObject(accumulator) ? Object.keys(accumulator) : [];
+      if (keys.length !== 1 || !GROUP_ACCUMULATORS.includes(keys[0])) {
+        throw new Error(`DB: $group field '${outputField}' must use one of ${GROUP_ACCUMULATORS.join(', ')}.`);
+      }
+      const op = keys[0];
+      if (op === '$count') return docs.length;
+      const values = docs.map(doc => evaluateExpression(accumulator[op], doc));
+      switch (op) {
+        case '$sum':
+          return values.reduce((total, value) => total + (typeof value === 'number' ? value : 0), 0);
+        case '$avg': {
+          const numbers = values.filter(value => typeof value === 'number');
+          return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+        }
+        case '$min':
+        case '$max': {
+          const present = values.filter(value => value !== undefined && value !== null);
+          if (present.length === 0) return null;
+          return present.reduce((best, value) => {
+            const cmp = compareForSort(value, best);
+            return (op === '$min' ? cmp < 0 : cmp > 0) ? value : best;
+          });
+        }
+        case '$push':
+          return values.filter(value => value !== undefined);
+      }
+    }
 
-        /**
-         * Parses an interval string (e.g., "5s", "1m", "1h") into milliseconds.
-         * @private
-         * @param {string} intervalString - The interval string.
-         * @returns {number} The interval in milliseconds, or NaN if invalid.
-         */
-        _parseInterval(intervalString) {
-            const value = parseInt(intervalString, 10);
-            if (isNaN(value)) return NaN;
+    function groupStage(docs, spec) {
+      if (!isPlainObject(spec) || !('_id' in spec)) throw new Error('DB: $group requires an _id expression (use null for a single group).');
+      const groups = new Map();
+      for (const doc of docs) {
+        let groupId = evaluateExpression(spec._id, doc);
+        if (groupId === undefined) groupId = null;
+        const groupKey = encodeIndexKey(groupId);
+        if (!groups.has(groupKey)) groups.set(groupKey, { _id: groupId, docs: [] });
+        groups.get(groupKey).docs.push(doc);
+      }
+      return [...groups.values()].map(group => {
+        const result = { _id: group._id };
+        for (const field of Object.keys(spec)) {
+          if (field !== '_id') result[field] = accumulate(spec[field], group.docs, field);
+        }
+        return result;
+      });
+    }
 
-            const unit = intervalString.replace(value, '').toLowerCase();
-            switch (unit) {
-                case 'ms': return value;
-                case 's': return value * 1000;
-                case 'm': return value * 1000 * 60;
-                case 'h': return value * 1000 * 60 * 60;
-                case 'd': return value * 1000 * 60 * 60 * 24;
-                default: return NaN; // Unknown unit
-            }
+    // $project accepts inclusion/exclusion flags plus computed fields ({ total: '$amount' })
+    function projectStage(docs, spec) {
+      if (!isPlainObject(spec) || Object.keys(spec).length === 0) throw new Error('DB: $project requires a non-empty object.');
+      const flags = {};
+      const computed = {};
+      for (const key of Object.keys(spec)) {
+        const value = spec[key];
+        if (value === 0 || value === 1 || value === true || value === false) flags[key] = value;
+        else computed[key] = value;
+      }
+      const computedKeys = Object.keys(computed);
+      if (computedKeys.length === 0) return docs.map(doc => projectDocument(doc, flags));
+      if (Object.keys(flags).some(key => key !== '_id' && !flags[key])) {
+        throw new Error('DB: $project cannot combine computed fields with field exclusion.');
+      }
+      return docs.map(doc => {
+        // Computed fields put the projection in inclusion mode; listing the first one as included selects that mode
+        const result = projectDocument(doc, { ...flags, [computedKeys[0]]: 1 });
+        for (const key of computedKeys) {
+          const value = evaluateExpression(computed[key], doc);
+          if (value === undefined) unsetPath(result, key);
+          else setPath(result, key, value);
         }
-    },
+        return result;
+      });
+    }
+
+    function unwindStage(docs, spec) {
+      const options = typeof spec === 'string' ? { path: spec } : spec;
+      if (!isPlainObject(options) || typeof options.path !== 'string' || !options.path.startsWith('$')) {
+        throw new Error("DB: $unwind requires a field path such as '$tags' or { path: '$tags' }.");
+      }
+      const fieldPath = options.path.slice(1);
+      const results = [];
+      for (const doc of docs) {
+        const value = getPath(doc, fieldPath);
+        if (Array.isArray(value) && value.length > 0) {
+          value.forEach((element, i) => {
+            const copy = JSON.parse(JSON.stringify(doc));
+            setPath(copy, fieldPath, element);
+            if (options.includeArrayIndex) setPath(copy, options.includeArrayIndex, i);
+            results.push(copy);
+          });
+        } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+          results.push(doc); // A non-array value unwinds to itself
+        } else if (options.preserveNullAndEmptyArrays) {
+          const copy = JSON.parse(JSON.stringify(doc));
+          if (Array.isArray(value)) unsetPath(copy, fieldPath);
+          if (options.includeArrayIndex) setPath(copy, options.includeArrayIndex, null);
+          results.push(copy);
+        }
+      }
+      return results;
+    }
+
+    // Joins each document with the documents of another collection whose foreignField equals its localField
+    function lookupStage(docs, spec, db) {
+      const { from, localField, foreignField, as } = spec || {};
+      if (![from, localField, foreignField, as].every(value => typeof value === 'string' && value)) {
+        throw new Error('DB: $lookup requires from, localField, foreignField and as.');
+      }
+      const foreign = db.collection(from);
+      return docs.map(doc => {
+        const localValues = indexableValues(doc, localField);
+        const candidates = localValues.length > 0 ? localValues : [null]; // A missing field joins on null/missing
+        const joined = foreign.find({ [foreignField]: { $in: candidates } });
+        const result = JSON.parse(JSON.stringify(doc));
+        setPath(result, as, joined);
+        return result;
+      });
+    }
 
     /**
-     * @memberof envjs
-     * @namespace monitor
-     * @description Monitors system statistics and emits events.
+     * Runs an aggregation pipeline over copies of the given documents.
+     * Supported stages: $match, $group, $sort, $project, $unwind, $limit, $skip, $count and $lookup.
      */
-    monitor: new events.EventEmitter(), // Monitor is an EventEmitter instance directly
+    function runPipeline(docs, pipeline, db) {
+      let results = docs;
+      for (const stage of pipeline) {
+        const keys = isPlainObject(stage) ? Object.keys(stage) : [];
+        if (keys.length !== 1) throw new Error('DB: Each aggregation stage must be an object with exactly one stage operator.');
+        const [name] = keys;
+        const spec = stage[name];
+        switch (name) {
+          case '$match':
+            results = results.filter(doc => matchesQuery(doc, spec));
+            break;
+          case '$group':
+            results = groupStage(results, spec);
+            break;
+          case '$sort':
+            if (!isPlainObject(spec) || Object.keys(spec).length === 0) throw new Error('DB: $sort requires at least one field.');
+            results = sortDocuments(results.slice(), normalizeSort(spec));
+            break;
+          case '$project':
+            results = projectStage(results, spec);
+            break;
+          case '$unwind':
+            results = unwindStage(results, spec);
+            break;
+          case '$limit':
+            if (!Number.isInteger(spec) || spec <= 0) throw new Error('DB: $limit must be a positive integer.');
+            results = results.slice(0, spec);
+            break;
+          case '$skip':
+            results = results.slice(validateCount(spec, '$skip'));
+            break;
+          case '$count':
+            if (typeof spec !== 'string' || !spec || spec.startsWith('$') || spec.includes('.')) {
+              throw new Error('DB: $count requires an output field name.');
+            }
+            results = results.length > 0 ? [{ [spec]: results.length }] : [];
+            break;
+          case '$lookup':
+            results = lookupStage(results, spec, db);
+            break;
+          default:
+            throw new Error(`DB: Unsupported aggregation stage '${name}'.`);
+        }
+      }
+      return results;
+    }
 
-    // Initialize monitor functionality
-    _initMonitor: function() {
-        const monitorInterval = 5000; // Poll every 5 seconds
+    /*
+     * Storage engines decide where collection documents live and how changes are made durable.
+     * Every engine exposes:
+     *   documents(name)   - the live array of a collection's documents
+     *   persist(ops)      - records a batch of changes, each { op: 'insert' | 'update' | 'remove' | 'clear', c, doc | id }
+     *   detach(name, committed) / attach(name, docs)
+     *                     - during a transaction, what the engine would write for a collection is its committed array
+     *   collectionNames(), compact(), close()
+     */
 
-        // Prevent multiple initializations if envjs() is called multiple times
-        if (this.monitor._monitoring) {
-            return;
-        }
-        this.monitor._monitoring = true; // Mark as initialized
+    // Default engine: collections live in the key/value store under __dbCollections__ and every write rewrites the store file.
+    function createStoreEngine() {
+      return {
+        kind: 'store',
+        documents(name) {
+          initializeDbStore(); // Ensure main DB object exists
+          if (!Array.isArray(primaryStore.data[DB_STORAGE_KEY][name])) primaryStore.data[DB_STORAGE_KEY][name] = [];
+          // This provides a direct reference to the array in the store's data for in-place modifications.
+          return primaryStore.data[DB_STORAGE_KEY][name];
+        },
+        assertWritable() {
+          primaryStore.assertWritable();
+        },
+        persist(ops) {
+          if (!ops || ops.length === 0) return;
+          const names = new Set(ops.map(op => op.c));
+          if (!primaryStore.save(...[...names].map(name => [DB_STORAGE_KEY, name]))) {
+            throw new Error(`DB: Could not write the store file '${primaryStore.path}'.`);
+          }
+        },
+        // Any store save from elsewhere while a transaction is open must only write committed documents
+        detach(name, committed) {
+          primaryStore.data[DB_STORAGE_KEY][name] = committed;
+        },
+        attach(name, docs) {
+          primaryStore.data[DB_STORAGE_KEY][name] = docs;
+        },
+        collectionNames() {
+          initializeDbStore();
+          return Object.keys(primaryStore.data[DB_STORAGE_KEY]);
+        },
+        compact() {}, // Nothing to compact; the store file is always rewritten whole
+        close() {}
+      };
+    }
 
-        console.log(`Starting system monitor, polling every ${monitorInterval}ms.`); // Keep informative log
+    const DB_LOG_FILE_NAME = 'envjs-db.jsonl';
+
+    // A path that is an existing directory, ends with a separator or has no extension holds envjs-db.jsonl; anything else is the log file itself
+    function resolveLogPath(target) {
+      if (typeof target !== 'string' || !target.trim()) throw new Error('DB: open requires a file or directory path.');
+      const resolved = path.resolve(target);
+      const isDirectory = /[\\/]$/.test(target)
+        || (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory())
+        || !path.extname(resolved);
+      if (isDirectory) {
+        fs.mkdirSync(resolved, { recursive: true });
+        return path.join(resolved, DB_LOG_FILE_NAME);
+      }
+      fs.mkdirSync(path.dirname(resolved), { recursive: true });
+      return resolved;
+    }
 
-        setInterval(() => {
-            try {
-                const memory = process.memoryUsage();
-                this.monitor.emit('memory', memory);
-                // console.log('Monitor: Memory emitted', memory); // Debugging
+    // Applies one log record to the replay state (a Map of collection name -> Map of _id -> document)
+    function replayLogRecord(state, record) {
+      if (record.op === 'tx') {
+        record.ops.forEach(op => replayLogRecord(state, op));
+        return;
+      }
+      if (!state.has(record.c)) state.set(record.c, new Map());
+      const docs = state.get(record.c);
+      switch (record.op) {
+        case 'insert':
+        case 'update':
+          docs.set(record.doc._id, record.doc); // Map.set keeps an updated document in its original position
+          break;
+        case 'remove':
+          docs.delete(record.id);
+          break;
+        case 'clear':
+          docs.clear();
+          break;
+        default:
+          throw new Error(`DB: Unknown log operation '${record.op}'.`);
+      }
+    }
 
-                const freeMem = os.freemem();
-                const totalMem = os.totalmem();
-                this.monitor.emit('freemem', freeMem);
-                this.monitor.emit('totalmem', totalMem);
-                this.monitor.emit('memusage', { free: freeMem, total: totalMem, percent: (totalMem - freeMem) / totalMem });
-                 // console.log('Monitor: Mem stats emitted', { free: freeMem, total: totalMem }); // Debugging
+    /**
+     * Append-only engine: every change is appended to a JSON-lines log, so a write costs O(size of the change).
+     * The log is replayed on open and compacted (rewritten with one line per live document) once stale
+     * records outnumber both the live documents and options.compactThreshold (default 1000).
+     * A batch of changes is written as a single line, so it is applied completely or not at all.
+     */
+    function createLogEngine(filePath, options = {}) {
+      const compactThreshold = options.compactThreshold === undefined ? 1000 : options.compactThreshold;
+      const state = new Map();
+      let recordCount = 0;
+      let closed = false;
+
+      if (fs.existsSync(filePath)) {
+        const content = fs.readFileSync(filePath);
+        const lines = content.toString('utf8').split('\n');
+        // Every record is appended together with its newline, so only a final line without one can be
+        // torn (a crash mid-append). Anything else that does not parse means the log is corrupt.
+        const tail = lines.pop();
+        lines.forEach((line, i) => {
+          if (!line.trim()) return;
+          let record;
+          try {
+            record = JSON.parse(line);
+          } catch (e) {
+            throw new Error(`DB: Log '${filePath}' is corrupt: line ${i + 1} is not valid JSON.`);
+          }
+          replayLogRecord(state, record);
+          recordCount += record.op === 'tx' ? record.ops.length : 1;
+        });
+        if (tail.trim()) {
+          let record = null;
+          try {
+            record = JSON.parse(tail);
+          } catch (e) {
+            // Torn by a crash: cut it off so the next append starts on a line of its own
+            console.warn(`DB: Discarding incomplete last line ${lines.length + 1} in '${filePath}'.`); // Keep warning
+            fs.truncateSync(filePath, content.lastIndexOf(0x0a) + 1);
+          }
+          if (record) {
+            // The record made it but its newline did not
+            fs.appendFileSync(filePath, '\n');
+            replayLogRecord(state, record);
+            recordCount += record.op === 'tx' ? record.ops.length : 1;
+          }
+        } else if (tail) {
+          fs.truncateSync(filePath, content.lastIndexOf(0x0a) + 1);
+        }
+      }
 
-                const cpus = os.cpus();
-                this.monitor.emit('cpus', cpus);
-                 // console.log('Monitor: CPUs emitted', cpus.length); // Debugging
+      const collections = {};
+      for (const [name, docs] of state) collections[name] = [...docs.values()];
+
+      const liveCount = () => Object.values(collections).reduce((total, docs) => total + docs.length, 0);
+      const assertOpen = () => {
+        if (closed) throw new Error(`DB: Database '${filePath}' is closed.`);
+      };
+
+      const engine = {
+        kind: 'log',
+        path: filePath,
+        documents(name) {
+          assertOpen();
+          if (!collections[name]) collections[name] = [];
+          return collections[name];
+        },
+        assertWritable() {
+          assertOpen();
+        },
+        persist(ops) {
+          assertOpen();
+          if (!ops || ops.length === 0) return;
+          const record = ops.length === 1 ? ops[0] : { op: 'tx', ops };
+          fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+          recordCount += ops.length;
+          const live = liveCount();
+          if (recordCount - live > Math.max(compactThreshold, live)) {
+            try {
+              engine.compact();
+            } catch (err) {
+              // The records are already appended; a failed compaction only leaves the log longer
+              console.error(`DB: Could not compact '${filePath}':`, err.message); // Keep error log
+            }
+          }
+        },
+        detach() {}, // Nothing reaches the log until persist()
+        attach() {},
+        collectionNames() {
+          return Object.keys(collections);
+        },
+        // Rewrites the log with one insert per live document, via a temp file so a crash never loses the old log
+        compact() {
+          assertOpen();
+          const lines = [];
+          for (const name of Object.keys(collections)) {
+            for (const doc of collections[name]) lines.push(JSON.stringify({ op: 'insert', c: name, doc }));
+          }
+          const tempPath = `${filePath}.${process.pid}.tmp`;
+          fs.writeFileSync(tempPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+          fs.renameSync(tempPath, filePath);
+          recordCount = lines.length;
+        },
+        close() {
+          closed = true;
+        }
+      };
+      return engine;
+    }
 
-                const loadavg = os.loadavg();
-                this.monitor.emit('loadavg', loadavg);
-                 // console.log('Monitor: Loadavg emitted', loadavg); // Debugging
+    const EXPORT_FORMATS = ['json', 'jsonl', 'csv'];
+    const IMPORT_CONFLICT_STRATEGIES = ['error', 'skip', 'replace', 'merge', 'newId'];
 
-                const uptime = os.uptime();
-                this.monitor.emit('uptime', uptime);
-                 // console.log('Monitor: Uptime emitted', uptime); // Debugging
+    function formatFromPath(filePath) {
+      const match = /\.(jsonl|ndjson|json|csv)$/i.exec(filePath || '');
+      if (!match) return null;
+      return match[1].toLowerCase() === 'ndjson' ? 'jsonl' : match[1].toLowerCase();
+    }
 
-            } catch (err) {
-                console.error("Error in system monitor:", err.message); // Keep error log
-                this.monitor.emit('error', err);
-            }
-        }, monitorInterval).unref(); // Allow Node.js to exit even if this timer is active
+    function checkFormat(format) {
+      if (!EXPORT_FORMATS.includes(format)) throw new Error(`DB: Unsupported format '${format}'. Use one of ${EXPORT_FORMATS.join(', ')}.`);
+      return format;
     }
-    // Note: _initMonitor is called below after modules are defined
-  };
 
-  // --- Mocking System ---
-  /**
-   * @memberof envjs
-   * @namespace mock
-   * @description Provides functionality to mock envjs module functions for testing.
-   */
-  const mock = {
-      /**
-       * Mocks a specific function within an envjs module.
-       * @param {string} keyPath - The dot-separated path to the function (e.g., "file.readFile", "http.fetch").
-       * @param {function} mockFn - The function to use as a mock.
-       * @throws {Error} If the module or function does not exist.
-       */
-      mock(keyPath, mockFn) {
-          const parts = keyPath.split('.');
-          if (parts.length !== 2) {
-              throw new Error(`Invalid keyPath for mock: "${keyPath}". Must be in the format "module.function".`);
-          }
-          const moduleName = parts[0];
-          const functionName = parts[1];
+    // Flattens nested objects into dot-path columns; arrays stay whole (written as JSON)
+    function flattenForCsv(value, prefix, row) {
+      for (const key of Object.keys(value)) {
+        const columnName = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value[key]) && Object.keys(value[key]).length > 0) flattenForCsv(value[key], columnName, row);
+        else row[columnName] = value[key];
+      }
+      return row;
+    }
 
-          const module = modules[moduleName];
-          if (!module) {
-              throw new Error(`Module "${moduleName}" not found for mocking.`);
-          }
-          const originalFn = module[functionName];
-          if (typeof originalFn !== 'function') {
-               throw new Error(`Function "${functionName}" not found or is not a function in module "${moduleName}" for mocking.`);
-          }
+    function csvCell(value) {
+      if (value === undefined || value === null) return '';
+      const text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value instanceof Date ? value.toISOString() : value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
 
-          // Store the original function if not already stored
-          if (!originalModules[keyPath]) {
-              originalModules[keyPath] = originalFn;
+    // Splits CSV text into rows of raw cells, honouring quoted cells with commas, quotes and line breaks
+    function parseCsvRows(text) {
+      const rows = [];
+      let row = [];
+      let cell = '';
+      let quoted = false;
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+          if (char === '"' && text[i + 1] === '"') {
+            cell += '"';
+            i++;
+          } else if (char === '"') {
+            quoted = false;
+          } else {
+            cell += char;
           }
+        } else if (char === '"') {
+          quoted = true;
+        } else if (char === ',') {
+          row.push(cell);
+          cell = '';
+        } else if (char === '\n' || char === '\r') {
+          if (char === '\r' && text[i + 1] === '\n') i++;
+          row.push(cell);
+          rows.push(row);
+          row = [];
+          cell = '';
+        } else {
+          cell += char;
+        }
+      }
+      if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+      }
+      return rows.filter(cells => cells.some(value => value !== ''));
+    }
 
-          // Replace the original function with the mock
-          module[functionName] = mockFn;
-          mockedFunctions[keyPath] = mockFn; // Store the mock function for lookup
-
-          console.log(`Mocked function: ${keyPath}`); // Keep informative log
-      },
-      /**
-       * Restores a mocked function to its original implementation.
-       * If no keyPath is provided, all mocked functions are restored.
-       * @param {string} [keyPath] - The dot-separated path to the function to restore (e.g., "file.readFile").
-       * @throws {Error} If the keyPath is invalid or the function was not mocked.
-       */
-      restore(keyPath) {
-          if (keyPath) {
-              const parts = keyPath.split('.');
-              if (parts.length !== 2) {
-                   throw new Error(`Invalid keyPath for restore: "${keyPath}". Must be in the format "module.function".`);
-              }
-              const moduleName = parts[0];
-              const functionName = parts[1];
+    // CSV has no types, so cells are read back as booleans, numbers or JSON when they look like one
+    function csvValue(raw) {
+      if (raw === 'true' || raw === 'false') return raw === 'true';
+      if (raw === 'null') return null;
+      if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(raw)) return Number(raw);
+      if (/^[[{]/.test(raw)) {
+        try {
+          return JSON.parse(raw);
+        } catch (e) {
+          return raw;
+        }
+      }
+      return raw;
+    }
 
-              const module = modules[moduleName];
-               if (!module) {
-                  throw new Error(`Module "${moduleName}" not found for restoring.`);
-              }
+    function serializeDocuments(docs, format) {
+      if (format === 'json') return JSON.stringify(docs, null, 2);
+      if (format === 'jsonl') return docs.map(doc => JSON.stringify(doc)).join('\n') + (docs.length > 0 ? '\n' : '');
+      const rows = docs.map(doc => flattenForCsv(doc, '', {}));
+      const columns = [];
+      for (const row of rows) {
+        for (const column of Object.keys(row)) if (!columns.includes(column)) columns.push(column);
+      }
+      const lines = [columns.map(csvCell).join(',')].concat(rows.map(row => columns.map(column => csvCell(row[column])).join(',')));
+      return lines.join('\n') + '\n';
+    }
 
-              const originalFn = originalModules[keyPath];
-              if (!originalFn) {
-                  // Check if it was ever mocked
-                  if (mockedFunctions[keyPath]) {
-                       // It was mocked, but originalModules wasn't populated? Should not happen with current logic.
-                       console.warn(`Original function for "${keyPath}" not found in storage, but it was marked as mocked. Attempting direct restore if possible.`); // Keep warning log
-                       // In a more robust system, you might try to get the original from the core module again.
-                       // For this simplified version, we'll just log a warning and proceed to remove the mock marker.
-                  } else {
-                     throw new Error(`Function "${keyPath}" was not mocked.`);
-                  }
-              } else {
-                 // Restore the original function
-                 module[functionName] = originalFn;
-              }
+    function parseDocuments(text, format) {
+      if (format === 'json') {
+        const parsed = JSON.parse(text);
+        if (!Array.isArray(parsed)) throw new Error('DB: JSON import data must be an array of documents.');
+        return parsed;
+      }
+      if (format === 'jsonl') {
+        return text.split('\n').filter(line => line.trim()).map((line, i) => {
+          try {
+            return JSON.parse(line);
+          } catch (e) {
+            throw new Error(`DB: Invalid JSON on line ${i + 1} of JSONL import data: ${e.message}`);
+          }
+        });
+      }
+      const [header, ...rows] = parseCsvRows(text);
+      if (!header) return [];
+      return rows.map(cells => {
+        const doc = {};
+        header.forEach((column, i) => {
+          if (cells[i] !== undefined && cells[i] !== '') setPath(doc, column, csvValue(cells[i]));
+        });
+        return doc;
+      });
+    }
 
-              // Clean up mock state
-              delete mockedFunctions[keyPath];
-              delete originalModules[keyPath];
+    const transactionContext = new AsyncLocalStorage(); // The transaction the running code belongs to, if any
 
-              console.log(`Restored function: ${keyPath}`); // Keep informative log
+    /**
+     * A set of collections backed by one storage engine.
+     * env.db itself is the default database on the key/value store; db.open(path) returns one backed by a log file.
+     */
+    class Database {
+      constructor(engine) {
+        this._engine = engine;
+        this._collections = new Map();
+        this._transaction = null;
+        this._transactionQueue = Promise.resolve();
+      }
 
-          } else {
-              // Restore all mocked functions
-              console.log("Restoring all mocked functions."); // Keep informative log
-              for (const keyPathToRestore in mockedFunctions) {
-                  try {
-                      this.restore(keyPathToRestore); // Use the single restore logic
-                  } catch (e) {
-                      console.error(`Error restoring "${keyPathToRestore}": ${e.message}`); // Keep error log
-                  }
-              }
-          }
-      },
       /**
-       * Checks if a specific function is currently mocked.
-       * @param {string} keyPath - The dot-separated path to the function (e.g., "file.readFile").
-       * @returns {boolean} True if the function is mocked, false otherwise.
+       * Gets (creating on first use) a collection. Options given here apply from then on; omitted ones are left as they were.
+       * @param {string} name - Case-insensitive collection name.
+       * @param {object} [options]
+       * @param {object|null} [options.schema] - JSON-Schema subset enforced on insert and update (null removes it).
+       * @param {boolean} [options.timestamps] - Maintain _createdAt and _updatedAt (ISO strings).
+       * @param {boolean} [options.versioning] - Maintain a _version counter for update({ expectedVersion }).
+       * @param {boolean} [options.softDelete] - remove() sets _deletedAt instead of deleting; queries skip such documents.
        */
-      isMocked(keyPath) {
-          return keyPath in mockedFunctions;
-      },
+      collection(name, options = {}) {
+        if (typeof name !== 'string' || !name.trim()) {
+          throw new Error('DB: Collection name must be a non-empty string.');
+        }
+        // Convert to a consistent case, e.g., lowercase, to avoid duplicate collections with different casing
+        const collectionName = name.trim().toLowerCase(); 
+        if (!this._collections.has(collectionName)) {
+          // console.log(`DB: Creating new collection instance for '${collectionName}'`); // Debug log
+          this._collections.set(collectionName, new Collection(collectionName, this));
+        }
+        const collection = this._collections.get(collectionName);
+        if (options.schema !== undefined) collection.setSchema(options.schema);
+        for (const feature of ['timestamps', 'versioning', 'softDelete']) {
+          if (options[feature] !== undefined) collection._features[feature] = !!options[feature];
+        }
+        return collection;
+      }
+
+      listCollections() {
+        return this._engine.collectionNames();
+      }
+
+      compact() {
+        if (this._transaction) throw new Error('DB: Cannot compact while a transaction is in progress.');
+        this._engine.compact();
+      }
+
       /**
-       * Lists all currently mocked functions.
-       * @returns {string[]} An array of key paths for mocked functions.
+       * Runs `callback(tx)` as a transaction. Writes made on this database's collections by the callback
+       * (through `tx.collection(name)` or directly, including from anything it awaits) are applied in memory
+       * straight away but only persisted when the callback resolves, as a single write. If the callback throws
+       * or rejects, every collection it touched is restored and the error is re-thrown.
+       * While it runs, other code sees the committed documents and cannot write to this database: such
+       * writes throw. Transactions started meanwhile wait for this one to finish.
+       * @param {Function} callback - `async (tx) => { ... }`; its return value is returned by transaction().
+       * @returns {Promise<*>}
        */
-      listMocks() {
-          return Object.keys(mockedFunctions);
+      transaction(callback) {
+        if (typeof callback !== 'function') return Promise.reject(new Error('DB: transaction requires a callback function.'));
+        if (this._transaction && transactionContext.getStore() === this._transaction) {
+          return Promise.reject(new Error('DB: Transactions cannot be nested.'));
+        }
+        const run = this._transactionQueue.then(() => this._runTransaction(callback));
+        this._transactionQueue = run.catch(() => {}); // A failed transaction does not hold up the next one
+        return run;
       }
-  };
-   // Add mock methods to the modules object so they are accessible via env.use('mock')
-   modules.mock = mock;
-   // Add store as state module
-   modules.state = modules.store;
 
+      /** @private */
+      async _runTransaction(callback) {
+        const tx = {
+          ops: [],
+          changes: [], // Watch notifications, delivered only once the transaction commits
+          snapshots: new Map(), // Collection name -> committed documents, taken before its first write
+          collection: name => this.collection(name)
+        };
+        this._transaction = tx;
+        try {
+          // The async context tells the transaction's own writes apart from everyone else's
+          const result = await transactionContext.run(tx, () => callback(tx));
+          for (const name of tx.snapshots.keys()) this._engine.attach(name, this.collection(name).documents);
+          this._engine.persist(tx.ops);
+          this._transaction = null;
+          for (const { collection, changes } of tx.changes) collection._dispatch(changes);
+          return result;
+        } catch (err) {
+          this._rollback(tx);
+          throw err;
+        } finally {
+          this._transaction = null;
+          if (tx.reloadPending) this._reload();
+        }
+      }
 
-  // --- Plugin System ---
-  /**
-   * @memberof envjs
-   * @namespace plugin
-   * @description Allows registering custom modules.
-   */
-  const plugin = {
       /**
-       * Registers a new custom module with envjs.
-       * @param {string} name - The name of the new module.
-       * @param {object} moduleContent - The object containing the module's functions and properties.
-       * @throws {Error} If a module with the same name already exists.
+       * Serializes a collection's documents as json, jsonl or csv (nested fields become dot-path columns).
+       * @param {string} name - Collection name.
+       * @param {object} [options] - { format, query, withDeleted, path }. The format defaults to the path's
+       *   extension, else json. With `path` the data is also written to that file.
+       * @returns {Promise<string>} The serialized data.
        */
-      register(name, moduleContent) {
-          if (modules[name]) {
-              throw new Error(`Module "${name}" already exists. Cannot register.`);
-          }
-          if (typeof moduleContent !== 'object' || moduleContent === null) {
-              throw new Error(`Invalid module content provided for "${name}". Must be an object.`);
-          }
-          modules[name] = moduleContent;
-          console.log(`Custom module "${name}" registered.`); // Keep informative log
+      async export(name, options = {}) {
+        const format = checkFormat(options.format || formatFromPath(options.path) || 'json');
+        const docs = this.collection(name).find(options.query || {}, { withDeleted: options.withDeleted });
+        const data = serializeDocuments(docs, format);
+        if (options.path) {
+          const resolvedPath = path.resolve(options.path);
+          await mkdirAsync(path.dirname(resolvedPath), { recursive: true });
+          await writeFileAsync(resolvedPath, data, 'utf8');
+        }
+        return data;
       }
-  };
-  // Add plugin methods to the modules object
-  modules.plugin = plugin;
-
 
-  // --- Auto-Loader ---
-  /**
-   * @memberof envjs
-   * @namespace loader
-   * @description Provides functionality to load multiple modules at once.
-   */
-  const loader = {
-       /**
-       * Loads multiple envjs modules and returns them in an object.
-       * @param {string[]} moduleNames - An array of module names to load.
-       * @returns {object} An object where keys are module names and values are the corresponding module objects.
-       * @throws {Error} If any of the requested modules do not exist.
+      /**
+       * Imports documents into a collection in one transaction, so either all of them are written or none.
+       * @param {string} name - Collection name.
+       * @param {Array|string|null} input - Documents, or text in `format`; null to read `options.path`.
+       * @param {object} [options] - { format, path, onConflict }. onConflict decides what happens when a
+       *   document's _id already exists: 'error' (default), 'skip', 'replace', 'merge' or 'newId'.
+       * @returns {Promise<{inserted: number, replaced: number, merged: number, skipped: number}>}
        */
-      load(moduleNames) {
-          if (!Array.isArray(moduleNames)) {
-              throw new Error("moduleNames must be an array.");
-          }
-          const loadedModules = {};
-          for (const name of moduleNames) {
-              const mod = modules[name];
-              if (!mod) {
-                  throw new Error(`Module "${name}" does not exist.`);
+      async import(name, input, options = {}) {
+        const onConflict = options.onConflict || 'error';
+        if (!IMPORT_CONFLICT_STRATEGIES.includes(onConflict)) {
+          throw new Error(`DB: Unknown onConflict strategy '${onConflict}'. Use one of ${IMPORT_CONFLICT_STRATEGIES.join(', ')}.`);
+        }
+        let docs = input;
+        if (docs === null || docs === undefined) {
+          if (!options.path) throw new Error('DB: import requires documents, import data or a path.');
+          docs = await readFileAsync(path.resolve(options.path), 'utf8');
+        }
+        if (typeof docs === 'string') docs = parseDocuments(docs, checkFormat(options.format || formatFromPath(options.path) || 'json'));
+        if (!Array.isArray(docs) || docs.some(doc => !isPlainObject(doc))) throw new Error('DB: import data must be a list of documents.');
+
+        const summary = { inserted: 0, replaced: 0, merged: 0, skipped: 0 };
+        await this.transaction(async (tx) => {
+          const collection = tx.collection(name);
+          const toInsert = [];
+          const seenIds = new Set();
+          for (const doc of docs) {
+            const exists = doc._id !== undefined && (seenIds.has(doc._id) || collection.count({ _id: doc._id }, { withDeleted: true }) > 0);
+            if (doc._id !== undefined) seenIds.add(doc._id);
+            if (!exists) {
+              toInsert.push(doc);
+              continue;
+            }
+            switch (onConflict) {
+              case 'error':
+                throw new DuplicateKeyError(collection.name, '_id_', { _id: doc._id });
+              case 'skip':
+                summary.skipped++;
+                break;
+              case 'newId': {
+                const { _id, ...rest } = doc;
+                toInsert.push(rest);
+                break;
               }
-              loadedModules[name] = mod;
+              default:
+                // Imported documents in the batch are inserted first so later duplicates can replace or merge into them
+                collection.insert(toInsert.splice(0), { keepManagedFields: true });
+                collection.update({ _id: doc._id }, existing => (onConflict === 'replace' ? { ...doc } : { ...existing, ...doc }), { withDeleted: true });
+                summary[onConflict === 'replace' ? 'replaced' : 'merged']++;
+            }
           }
-          console.log(`Loaded modules: ${moduleNames.join(', ')}`); // Keep informative log
-          return loadedModules;
+          collection.insert(toInsert, { keepManagedFields: true });
+        });
+        summary.inserted = docs.length - summary.replaced - summary.merged - summary.skipped;
+        return summary;
       }
-  };
-   // Add loader methods to the modules object
-   modules.loader = loader;
 
-  // --- Task Runner --- 
-  const tasksModule = {
-    _tasks: {},
-    define(name, fn) {
-      if (typeof name !== 'string' || !name) {
-        throw new Error('Task name must be a non-empty string.');
+      // Re-reads every cached collection from the engine, e.g. after store.restore() replaced the store.
+      // During a transaction this waits until it ends, so its uncommitted documents are not dropped.
+      _reload() {
+        if (this._transaction) {
+          this._transaction.reloadPending = true;
+          return;
+        }
+        for (const collection of this._collections.values()) {
+          collection.documents = this._engine.documents(collection.name);
+          collection._rebuildIndexes();
+        }
       }
-      if (typeof fn !== 'function') {
-        throw new Error(`Task function for '${name}' must be a function.`);
+
+      /** @private */
+      _rollback(tx) {
+        for (const [name, committed] of tx.snapshots) {
+          const collection = this.collection(name);
+          collection.documents.length = 0;
+          collection.documents.push(...committed);
+          collection._rebuildIndexes();
+          this._engine.attach(name, collection.documents);
+        }
       }
-      this._tasks[name] = fn;
-      // console.log(`Task defined: ${name}`); // Keep this commented unless verbose logging is desired
-    },
-    async run(name, ...args) {
-      if (typeof name !== 'string' || !this._tasks[name]) {
-        throw new Error(`Task '${name}' not found or name is invalid.`);
+
+      close() {
+        this._engine.close();
+        this._collections.clear();
+        if (this._engine.path) openDatabases.delete(this._engine.path);
       }
-      console.log(`Running task: ${name}` + (args.length > 0 ? ` with args: ${args.join(', ')}` : ''));
-      try {
-        return await this._tasks[name](...args);
-      } catch (error) {
-        console.error(`Error in task '${name}':`, error.message); // Keep error log
-        // Optionally, rethrow or handle more gracefully
-        throw error; 
+    }
+
+    /**
+     * Returned by collection.watch(). Emits 'insert', 'update' and 'remove' for documents matching its query,
+     * plus 'change' for all three, each with { type, collection, documentId, doc } (update events carry
+     * { before, after } instead of doc). Call close() to stop watching.
+     */
+    class ChangeStream extends events.EventEmitter {
+      constructor(collection, query) {
+        super();
+        this.collection = collection;
+        this.query = query || {};
+        this.closed = false;
+      }
+
+      // An update is reported if the document matched before or after it, so watchers also see documents leave the query
+      _matches(change) {
+        if (change.type === 'update') return matchesQuery(change.before, this.query) || matchesQuery(change.after, this.query);
+        return matchesQuery(change.doc, this.query);
+      }
+
+      close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.collection._watchers.delete(this);
+        this.emit('close');
+        this.removeAllListeners();
+      }
+    }
+
+    // Insertion sequence of each stored document, used to return index candidates in collection order
+    const documentSequence = new WeakMap();
+    let nextSequence = 0;
+
+    class Collection {
+      constructor(name, db) {
+        this.name = name;
+        this._db = db;
+        this._engine = db._engine;
+        this.documents = this._engine.documents(this.name); // Live array, modified in place
+        this._schema = null;
+        this._features = { timestamps: false, versioning: false, softDelete: false };
+        this._watchers = new Set();
+        this._movedTo = null; // Set when db.open() migrates the collection out of the store
+        // Indexes live in memory only; _id is always indexed and unique (sparse so legacy documents without one don't clash)
+        this._indexes = new Map([['_id_', new Index('_id_', [['_id', 1]], { unique: true, sparse: true })]]);
+        this._rebuildIndexes();
+      }
+
+      // Query match that also hides soft-deleted documents unless options.withDeleted is set
+      _matches(doc, query, options = {}) {
+        if (this._features.softDelete && !options.withDeleted && doc._deletedAt !== undefined) return false;
+        return matchesQuery(doc, query);
+      }
+
+      /** @private */
+      _stampInsert(doc, now, keepExisting = false) {
+        const stamp = (field, value) => {
+          if (!keepExisting || doc[field] === undefined) doc[field] = value;
+        };
+        if (this._features.timestamps) {
+          stamp('_createdAt', now);
+          stamp('_updatedAt', now);
+        }
+        if (this._features.versioning) stamp('_version', 1);
+        if (this._features.softDelete && !keepExisting) delete doc._deletedAt;
       }
-    },
-    list() {
-      return Object.keys(this._tasks);
-    },
-    schedule(taskName, cronExpression, id) {
-        if (!this._tasks[taskName]) {
-            throw new Error(`Task '${taskName}' not found. Define it first with env.task().`);
+
+      // Carries the managed fields over from the stored document, so updates can't rewrite them, then advances them
+      _stampUpdate(doc, original, now) {
+        const managed = [];
+        if (this._features.timestamps) managed.push('_createdAt');
+        if (this._features.versioning) managed.push('_version');
+        if (this._features.softDelete) managed.push('_deletedAt');
+        for (const field of managed) {
+          if (original[field] === undefined) delete doc[field];
+          else doc[field] = original[field];
         }
-        const scheduleId = id || `task-cron-${taskName}-${Date.now()}`;
-        console.log(`Scheduling task '${taskName}' (ID: ${scheduleId}) with cron: ${cronExpression}`); // Keep informative log
-        // Use the existing scheduler module's cron method
-        return modules.scheduler.cron(cronExpression, () => this.run(taskName), scheduleId);
-    }
-  };
-  modules.task = tasksModule;
+        if (this._features.timestamps) doc._updatedAt = now;
+        if (this._features.versioning) doc._version = (original._version || 0) + 1;
+      }
 
-  // --- File Watcher ---
-  const watcherModule = (() => {
-    const activeWatchers = new Map(); // path -> { watcher: fs.FSWatcher, userCallback: Function, options: object, debounceTimeout: NodeJS.Timeout | null }
-    let nextWatcherId = 1;
+      /**
+       * Swaps stored documents for new versions of themselves, persisting and reporting them as one batch.
+       * @private
+       */
+      _replaceDocuments(changes, toChangeEvent) {
+        if (changes.length === 0) return;
+        this._beforeWrite();
+        this._swapDocuments(new Map(changes.map(({ original, doc }) => [original, doc])));
+        for (const { original, doc } of changes) this._indexDocument(doc, original);
+        this._save(changes.map(({ doc }) => ({ op: 'update', doc })), () => this._undoReplace(changes));
+        this._notify(changes.map(toChangeEvent));
+      }
 
-    function log(message) {
-      // console.log(`[Watcher] ${message}`); // Uncomment for debugging
-    }
+      /**
+       * Sets (or with null, removes) the JSON-Schema subset that inserts and updates must satisfy.
+       * Existing documents are not re-validated.
+       */
+      setSchema(schema) {
+        if (schema !== null) {
+          checkSchema(schema);
+          if (schema.type !== undefined && schema.type !== 'object') throw new Error("DB: A collection schema must have type 'object'.");
+        }
+        this._schema = schema;
+        return this;
+      }
 
-    function closeAllWatchers() {
-        log("Closing all active file watchers.");
-        activeWatchers.forEach(({ watcher }, id) => {
-            watcher.close();
-            log(`Closed watcher ${id}`);
+      /**
+       * Applies defaults (for new documents) and validates against the schema, throwing one ValidationError
+       * that lists every failing path across the batch.
+       * @private
+       */
+      _validate(docs, { applyDefaults = false } = {}) {
+        if (!this._schema) return;
+        const errors = [];
+        docs.forEach((doc, i) => {
+          if (applyDefaults) applySchemaDefaults(doc, this._schema);
+          const docErrors = [];
+          validateSchema(doc, this._schema, '', docErrors, true);
+          errors.push(...docErrors.map(error => (docs.length > 1 ? { ...error, index: i } : error)));
         });
-        activeWatchers.clear();
-    }
-    
-    // Graceful shutdown
-    process.on('exit', closeAllWatchers);
-    // Catch Ctrl+C event and exit normally
-    process.on('SIGINT', () => {
-        log('SIGINT received, closing watchers and exiting.');
-        process.exit(0);
-    });
-     // Catch "kill pid" (for example: nodemon restart)
-    process.on('SIGTERM', () => {
-        log('SIGTERM received, closing watchers and exiting.');
-        process.exit(0);
-    });
+        if (errors.length > 0) throw new ValidationError(this.name, errors);
+      }
 
+      /**
+       * Watches the collection for changes to documents matching `query`.
+       * Accepts watch(callback), watch(query, callback) or watch(query) and returns a ChangeStream;
+       * a callback receives every event (like listening for 'change').
+       */
+      watch(queryOrCallback, callback) {
+        const query = typeof queryOrCallback === 'function' ? {} : queryOrCallback;
+        const listener = typeof queryOrCallback === 'function' ? queryOrCallback : callback;
+        if (query !== undefined && query !== null && !isPlainObject(query)) throw new Error('DB: watch query must be an object.');
+        if (listener !== undefined && typeof listener !== 'function') throw new Error('DB: watch callback must be a function.');
+        const stream = new ChangeStream(this, query);
+        if (listener) stream.on('change', listener);
+        this._watchers.add(stream);
+        return stream;
+      }
 
-    function watch(pathOrPaths, optionsOrCallback, callbackOrUndefined) {
-      let userCallback;
-      let options = {};
+      /**
+       * Reports changes ({ type, doc } or { type: 'update', before, after }) to watchers,
+       * or holds them until the open transaction commits.
+       * @private
+       */
+      _notify(changes) {
+        const tx = this._db._transaction;
+        if (tx) tx.changes.push({ collection: this, changes });
+        else this._dispatch(changes);
+      }
 
-      if (typeof optionsOrCallback === 'function') {
-        userCallback = optionsOrCallback;
-      } else if (typeof optionsOrCallback === 'object' && optionsOrCallback !== null) {
-        options = optionsOrCallback;
-        if (typeof callbackOrUndefined === 'function') {
-          userCallback = callbackOrUndefined;
-        } else {
-          throw new Error('Watcher callback function is required when options are provided.');
+      /** @private */
+      _dispatch(changes) {
+        if (this._watchers.size === 0) return;
+        const copy = doc => JSON.parse(JSON.stringify(doc));
+        for (const change of changes) {
+          const source = change.type === 'update' ? change.after : change.doc;
+          const event = { type: change.type, collection: this.name, documentId: source._id };
+          if (change.type === 'update') {
+            event.before = copy(change.before);
+            event.after = copy(change.after);
+          } else {
+            event.doc = copy(change.doc);
+          }
+          for (const stream of [...this._watchers]) {
+            if (!stream._matches(change)) continue;
+            try {
+              stream.emit(change.type, event);
+              stream.emit('change', event);
+            } catch (err) {
+              // A failing listener must not break the write that triggered it
+              console.error(`DB: Error in watch listener on '${this.name}':`, err.message); // Keep error log
+            }
+          }
         }
-      } else {
-        throw new Error('Watcher requires a callback function, and optionally an options object.');
       }
 
-      const resolvedPath = path.resolve(pathOrPaths); // Ensure absolute path
-      const watcherId = nextWatcherId++;
+      // Documents as code outside the open transaction sees them: the committed ones, or null if that is this.documents
+      _committedDocuments() {
+        const tx = this._db._transaction;
+        if (!tx || transactionContext.getStore() === tx) return null;
+        return tx.snapshots.get(this.name) || null;
+      }
 
-      const mergedOptions = {
-        persistent: true,
-        recursive: false,
-        encoding: 'utf8',
-        debounce: 50, // Milliseconds for debouncing
-        filter: null, // Function (eventType, filename) => boolean
-        ...options,
-      };
+      // Rejects writes from outside the open transaction, and snapshots the committed documents before its first write
+      _beforeWrite() {
+        if (this._movedTo) {
+          throw new Error(`DB: Collection '${this.name}' was moved to '${this._movedTo}'. Get it from the database opened there.`);
+        }
+        const tx = this._db._transaction;
+        if (tx && transactionContext.getStore() !== tx) {
+          throw new Error(`DB: Cannot write to '${this.name}' while a transaction is in progress on its database. Write inside the transaction, or once it has finished.`);
+        }
+        this._engine.assertWritable(); // Fail before anything changes in memory
+        if (tx && !tx.snapshots.has(this.name)) {
+          const committed = this.documents.slice(); // Documents are replaced, never mutated, so a shallow copy suffices
+          tx.snapshots.set(this.name, committed);
+          this._engine.detach(this.name, committed);
+        }
+      }
 
-      log(`Starting watcher ${watcherId} for path: ${resolvedPath} with options: ${JSON.stringify(mergedOptions)}`);
+      /**
+       * Hands a batch of changes ({ op, doc | id }) to the storage engine, or to the open transaction.
+       * If the engine cannot write them, `undo` reverts the in-memory change so memory never runs ahead
+       * of disk, and the error is re-thrown.
+       */
+      _save(ops, undo) {
+        const records = ops.map(op => ({ op: op.op, c: this.name, ...op }));
+        if (this._db._transaction) {
+          this._db._transaction.ops.push(...records);
+          return;
+        }
+        try {
+          this._engine.persist(records);
+        } catch (err) {
+          undo();
+          throw err;
+        }
+        // console.log(`DB: Collection '${this.name}' changes saved.`); // Debug log
+      }
 
-      let debounceTimeout = null;
-      let lastFilenames = new Set();
+      // Puts replaced documents back, for a write that could not be persisted
+      _undoReplace(changes) {
+        this._swapDocuments(new Map(changes.map(({ original, doc }) => [doc, original])));
+        for (const { original, doc } of changes) this._indexDocument(original, doc);
+      }
 
-      const fsWatcher = fs.watch(resolvedPath, mergedOptions, (eventType, filename) => {
-        log(`Event: ${eventType}, Filename: ${filename || 'N/A'} on watcher ${watcherId} for ${resolvedPath}`);
-        
-        if (!filename && (eventType === 'rename' || eventType === 'change') ) {
-            // On some platforms (e.g. Linux for recursive dir watch), filename might be null for directory changes
-            // or for the watched directory itself.
-            // We can treat this as a change on the directory itself if pathOrPaths was a dir.
-            // Or, it could be an event on a file inside a recursively watched dir where filename is not provided.
-            // For simplicity here, we might pass it through if no specific filename handling is needed.
-            log(`Event on watcher ${watcherId} for ${resolvedPath}: ${eventType} with no filename. Propagating event for the main path.`);
-             // filename = path.basename(resolvedPath); // Or handle differently
-        }
-        
-        // If a filter is provided, use it
-        if (mergedOptions.filter && typeof mergedOptions.filter === 'function') {
-          if (!mergedOptions.filter(eventType, filename)) {
-            log(`Event filtered out for ${filename || resolvedPath}`);
-            return;
-          }
+      // Replaces documents in place (each key of `replacements` by its value) in one pass over the array
+      _swapDocuments(replacements) {
+        let remaining = replacements.size;
+        for (let i = 0; i < this.documents.length && remaining > 0; i++) {
+          const replacement = replacements.get(this.documents[i]);
+          if (replacement === undefined) continue;
+          this.documents[i] = replacement;
+          remaining--;
         }
+      }
 
-        if (debounceTimeout) {
-          clearTimeout(debounceTimeout);
-          if(filename) lastFilenames.add(filename);
-        } else {
-          if(filename) lastFilenames = new Set([filename]);
-          else lastFilenames.clear(); // event on the dir itself
+      // Takes documents out of the array in one pass, keeping the order of the rest; returns where each one was
+      _spliceDocuments(docs) {
+        const leaving = new Set(docs);
+        const positions = new Map();
+        let kept = 0;
+        for (let i = 0; i < this.documents.length; i++) {
+          const doc = this.documents[i];
+          if (leaving.has(doc)) positions.set(doc, i);
+          else this.documents[kept++] = doc;
         }
+        this.documents.length = kept;
+        return positions;
+      }
 
-        debounceTimeout = setTimeout(() => {
-          debounceTimeout = null;
-          const currentFilenames = Array.from(lastFilenames);
-          lastFilenames.clear();
+      // Puts documents taken out by _spliceDocuments back where they were, again in one pass
+      _unspliceDocuments(positions) {
+        const returning = [...positions].sort((a, b) => a[1] - b[1]);
+        const remaining = this.documents.slice();
+        const total = remaining.length + returning.length;
+        this.documents.length = total;
+        for (let i = 0, r = 0, k = 0; i < total; i++) {
+          this.documents[i] = r < returning.length && returning[r][1] === i ? returning[r++][0] : remaining[k++];
+        }
+      }
 
-          if (currentFilenames.length > 0) {
-                currentFilenames.forEach(fn => {
-                    log(`Debounced event: ${eventType} for ${fn} on watcher ${watcherId}`);
-                    userCallback(eventType, fn, resolvedPath);
-                });
-            } else {
-                // Event on the directory itself
-                log(`Debounced event: ${eventType} for watched path ${resolvedPath} on watcher ${watcherId}`);
-                userCallback(eventType, null, resolvedPath); // filename is null for the directory itself
-            }
-        }, mergedOptions.debounce);
-      });
+      // Drops documents appended by a write that could not be persisted
+      _undoAppend(docs) {
+        this.documents.splice(this.documents.length - docs.length, docs.length);
+        for (const doc of docs) this._unindexDocument(doc);
+      }
 
-      fsWatcher.on('error', (error) => {
-        console.error(`Watcher ${watcherId} error for path ${resolvedPath}:`, error.message); // Keep error log
-        // Potentially remove from activeWatchers and notify user
-        if (activeWatchers.has(watcherId)) {
-            activeWatchers.get(watcherId).watcher.close();
-            activeWatchers.delete(watcherId);
+      /** @private */
+      _rebuildIndexes() {
+        for (const index of this._indexes.values()) index.clear();
+        for (const doc of this.documents) {
+          documentSequence.set(doc, nextSequence++);
+          for (const index of this._indexes.values()) index.add(doc);
         }
-      });
-      
-      fsWatcher.on('close', () => {
-        log(`Watcher ${watcherId} for path ${resolvedPath} closed.`);
-        activeWatchers.delete(watcherId);
-      });
+      }
 
-      const watcherInstance = {
-        id: watcherId,
-        path: resolvedPath,
-        close: () => {
-          log(`Closing watcher ${watcherId} for ${resolvedPath} via instance.close()`);
-          fsWatcher.close();
-          activeWatchers.delete(watcherId); // Ensure it's removed here too
-        },
-      };
+      /** @private */
+      _indexDocument(doc, replacing) {
+        documentSequence.set(doc, replacing ? documentSequence.get(replacing) : nextSequence++);
+        for (const index of this._indexes.values()) {
+          if (replacing) index.remove(replacing);
+          index.add(doc);
+        }
+      }
 
-      activeWatchers.set(watcherId, { watcher: fsWatcher, userCallback, options: mergedOptions, debounceTimeout: null, instance: watcherInstance });
-      return watcherInstance;
-    }
+      /** @private */
+      _unindexDocument(doc) {
+        for (const index of this._indexes.values()) index.remove(doc);
+      }
 
-    return {
-      watch,
-      getActiveWatchers: () => Array.from(activeWatchers.keys()),
-      getWatcherDetails: (id) => {
-        const details = activeWatchers.get(id);
-        if (!details) return null;
-        return { id, path: details.instance.path, options: details.options };
-      },
-      closeAll: closeAllWatchers
-    };
-  })();
-  modules.watcher = watcherModule;
+      /**
+       * With softDelete, soft-deleted documents hold no unique keys other than _id, so a removed
+       * document's email (say) can be used again; restoring it then checks its keys once more.
+       * @private
+       */
+      _holdsUniqueKeys(doc, index) {
+        return index.name === '_id_' || !this._features.softDelete || doc._deletedAt === undefined;
+      }
 
-  // --- JSON Database (db) ---
-  const dbModule = (() => {
-    const DB_STORAGE_KEY = '__dbCollections__';
+      /**
+       * Throws DuplicateKeyError if writing newDocs (replacing replacedDocs) would break a unique index.
+       * Runs before any change is applied so a rejected write leaves the collection untouched.
+       * @private
+       */
+      _assertUnique(newDocs, replacedDocs = []) {
+        const replaced = new Set(replacedDocs);
+        const holdsKeys = (doc, index) => this._holdsUniqueKeys(doc, index);
+        for (const index of this._indexes.values()) {
+          if (!index.unique) continue;
+          const seen = new Set();
+          for (const doc of newDocs) {
+            if (!holdsKeys(doc, index)) continue;
+            for (const [key, keyValue] of index.keysFor(doc)) {
+              const owners = index.entries.get(key);
+              const clashes = seen.has(key) || (owners && [...owners].some(owner => !replaced.has(owner) && holdsKeys(owner, index)));
+              if (clashes) throw new DuplicateKeyError(this.name, index.name, keyValue);
+              seen.add(key);
+            }
+          }
+        }
+      }
 
-    // Ensure DB storage is initialized in storeData
-    // This is checked and potentially initialized when envjs() is first called.
-    // And also when a collection is first accessed.
-    function initializeDbStore() {
-        if (!storeData[DB_STORAGE_KEY] || typeof storeData[DB_STORAGE_KEY] !== 'object') {
-            storeData[DB_STORAGE_KEY] = {};
-            // console.log("DB store initialized in storeData."); // Debug log
-            // No saveStore() here, will be saved on first actual write operation or if store is saved elsewhere.
+      /**
+       * Query planner: picks the index that narrows the query to the fewest documents.
+       * Returns { index, docs } where docs may still contain non-matches, in collection order,
+       * or { index: null, docs: this.documents } when no index applies.
+       * @private
+       */
+      _plan(query) {
+        const committed = this._committedDocuments();
+        if (committed) return { index: null, docs: committed }; // The indexes hold the transaction's uncommitted state
+        let best = null;
+        if (isPlainObject(query)) {
+          for (const index of this._indexes.values()) {
+            if (index.dateCount > 0) continue;
+            let candidates = null;
+            if (index.fields.every(([fieldPath]) => equalityValues(query[fieldPath]))) {
+              // Equality (or $in) on every indexed field: union of the hash lookups
+              let combos = [[]];
+              for (const [fieldPath] of index.fields) {
+                combos = combos.flatMap(combo => equalityValues(query[fieldPath]).map(value => combo.concat([value])));
+              }
+              candidates = new Set();
+              for (const combo of combos) index.lookup(combo).forEach(doc => candidates.add(doc));
+            } else if (index.sorted) {
+              const range = rangeBounds(query[index.fields[0][0]]);
+              if (range) candidates = index.range(range.bounds, range.type);
+            }
+            if (candidates && (!best || candidates.size < best.docs.size)) best = { index, docs: candidates };
+          }
         }
-    }
-    initializeDbStore(); // Ensure it's set up when dbModule is defined
+        if (!best) return { index: null, docs: this.documents };
+        const docs = [...best.docs].sort((a, b) => documentSequence.get(a) - documentSequence.get(b));
+        return { index: best.index, docs };
+      }
 
-    function generateId() {
-      // Using crypto for a more robust UUID if available, otherwise fallback.
-      // Node.js 14.17.0+ has crypto.randomUUID natively.
-      // For broader compatibility, especially if older Node versions without direct ESM crypto import are a concern,
-      // a simpler timestamp-based ID is safer without adding explicit crypto import at top level of envjs.
-      // Let's stick to a simple one for now to avoid crypto import complexities here.
-      return Date.now().toString(36) + Math.random().toString(36).substring(2, 9);
-    }
+      /**
+       * Describes how a query would run: which index (if any) is used and how many documents it examines.
+       */
+      explain(query = {}) {
+        const plan = this._plan(query);
+        return {
+          index: plan.index ? plan.index.name : null,
+          examined: plan.docs.length,
+          matched: plan.docs.filter(doc => matchesQuery(doc, query)).length,
+          total: (this._committedDocuments() || this.documents).length
+        };
+      }
 
-    function matchesQuery(doc, query) {
-      if (!query || typeof query !== 'object' || Object.keys(query).length === 0) return true; // Empty/invalid query matches all
-      for (const key in query) {
-        if (doc[key] !== query[key]) {
-          // Add more complex query operators here if needed (e.g., $gt, $lt, $in)
-          // For now, it's direct equality.
-          return false;
+      /**
+       * Creates an in-memory index, e.g. createIndex('email', { unique: true }) or createIndex({ city: 1, age: -1 }).
+       * Indexes are not persisted; create them at startup. Returns the index name.
+       */
+      createIndex(fieldsSpec, options = {}) {
+        const fields = normalizeIndexFields(fieldsSpec);
+        const name = options.name || fields.map(([fieldPath, direction]) => `${fieldPath}_${direction}`).join('_');
+        const existing = this._indexes.get(name);
+        if (existing) {
+          if (existing.unique !== !!options.unique || existing.sparse !== !!options.sparse) {
+            throw new Error(`DB: Index '${name}' already exists on '${this.name}' with different options.`);
+          }
+          return name;
         }
-      }
-      return true;
-    }
 
-    class Collection {
-      constructor(name) {
-        this.name = name;
-        initializeDbStore(); // Ensure main DB object exists
-        // Ensure collection array is initialized in the store
-        if (!storeData[DB_STORAGE_KEY][this.name] || !Array.isArray(storeData[DB_STORAGE_KEY][this.name])) {
-          storeData[DB_STORAGE_KEY][this.name] = [];
-          // console.log(`Collection '${this.name}' initialized in DB store.`); // Debug log
+        const index = new Index(name, fields, options);
+        const taken = new Set();
+        for (const doc of this.documents) {
+          if (index.unique && this._holdsUniqueKeys(doc, index)) {
+            for (const [key, keyValue] of index.keysFor(doc)) {
+              if (taken.has(key)) throw new DuplicateKeyError(this.name, name, keyValue);
+              taken.add(key);
+            }
+          }
+          index.add(doc);
         }
-        // This provides a direct reference to the array in storeData for in-place modifications.
-        this.documents = storeData[DB_STORAGE_KEY][this.name];
+        this._indexes.set(name, index);
+        return name;
       }
 
-      _save() {
-        saveStore(); 
-        // console.log(`DB: Collection '${this.name}' changes saved.`); // Debug log
+      dropIndex(name) {
+        if (name === '_id_') throw new Error('DB: The _id index cannot be dropped.');
+        return this._indexes.delete(name);
+      }
+
+      listIndexes() {
+        return [...this._indexes.values()].map(index => index.describe());
       }
 
-      insert(docOrArray) {
+      /**
+       * Inserts one document or an array of them (all or nothing). With { keepManagedFields: true },
+       * _createdAt/_updatedAt/_version values already present are kept, as when importing data.
+       */
+      insert(docOrArray, options = {}) {
         const toInsert = Array.isArray(docOrArray) ? docOrArray : [docOrArray];
-        const insertedItems = [];
-        let changed = false;
+        const newDocs = [];
+        const now = new Date().toISOString();
         for (const doc of toInsert) {
           if (typeof doc !== 'object' || doc === null) {
             console.warn(`DB: Cannot insert non-object into collection '${this.name}'. Skipping:`, JSON.stringify(doc)); // Keep warning
@@ -2028,127 +5925,301 @@ export default function envjs() {
           if (typeof newDoc._id === 'undefined') { // Allow users to provide their own _id
             newDoc._id = generateId();
           }
+          this._stampInsert(newDoc, now, options.keepManagedFields);
+          newDocs.push(newDoc);
+        }
+        this._validate(newDocs, { applyDefaults: true });
+        this._assertUnique(newDocs); // All or nothing: an invalid or duplicate document rejects the whole batch
+
+        if (newDocs.length > 0) this._beforeWrite();
+        const insertedItems = [];
+        for (const newDoc of newDocs) {
           this.documents.push(newDoc);
+          this._indexDocument(newDoc);
           insertedItems.push(JSON.parse(JSON.stringify(newDoc))); // Return a deep copy
-          changed = true;
         }
-        if (changed) this._save();
+        if (newDocs.length > 0) {
+          this._save(newDocs.map(doc => ({ op: 'insert', doc })), () => this._undoAppend(newDocs));
+          this._notify(newDocs.map(doc => ({ type: 'insert', doc })));
+        }
         return Array.isArray(docOrArray) ? insertedItems : (insertedItems[0] || null);
       }
 
-      find(query = {}) {
+      /**
+       * Runs a query with optional { sort, skip, limit, projection, withDeleted }.
+       * Only the requested page is deep-copied, and without a sort the scan stops once the page is full.
+       * @private
+       */
+      _runQuery(query = {}, options = {}) {
+        const sortFields = normalizeSort(options.sort);
+        const skip = validateCount(options.skip, 'skip');
+        const limit = validateCount(options.limit, 'limit'); // 0 means no limit
+        const candidates = this._plan(query).docs;
+
+        let matched;
+        if (sortFields.length === 0 && limit > 0) {
+          matched = [];
+          for (const doc of candidates) {
+            if (this._matches(doc, query, options)) matched.push(doc);
+            if (matched.length >= skip + limit) break;
+          }
+        } else {
+          matched = sortDocuments(candidates.filter(doc => this._matches(doc, query, options)), sortFields);
+        }
+
+        const page = matched.slice(skip, limit > 0 ? skip + limit : undefined);
         // Return deep copies to prevent external modification of stored documents
-        return this.documents.filter(doc => matchesQuery(doc, query)).map(doc => JSON.parse(JSON.stringify(doc)));
+        return page.map(doc => projectDocument(JSON.parse(JSON.stringify(doc)), options.projection));
+      }
+
+      find(query = {}, options = {}) {
+        return this._runQuery(query, options);
+      }
+
+      findOne(query = {}, options = {}) {
+        return this._runQuery(query, { ...options, limit: 1 })[0] || null;
+      }
+
+      /**
+       * Runs an aggregation pipeline, e.g. aggregate([{ $match: {...} }, { $group: { _id: '$city', n: { $sum: 1 } } }]).
+       * A leading $match is answered through the query planner, so it can use indexes.
+       * Pass { withDeleted: true } to include soft-deleted documents.
+       */
+      aggregate(pipeline, options = {}) {
+        if (!Array.isArray(pipeline)) throw new Error('DB: aggregate requires an array of stages.');
+        const first = pipeline[0];
+        const visibility = { withDeleted: options.withDeleted };
+        if (isPlainObject(first) && Object.keys(first).length === 1 && '$match' in first) {
+          return runPipeline(this._runQuery(first.$match, visibility), pipeline.slice(1), this._db);
+        }
+        return runPipeline(this._runQuery({}, visibility), pipeline, this._db);
       }
 
-      findOne(query = {}) {
-        const foundDoc = this.documents.find(doc => matchesQuery(doc, query));
-        return foundDoc ? JSON.parse(JSON.stringify(foundDoc)) : null; // Return a deep copy
+      // Returns a chainable cursor, e.g. users.cursor({ active: true }).sort({ age: -1 }).skip(20).limit(10).toArray()
+      cursor(query = {}, options = {}) {
+        return new Cursor(this, query, options);
       }
 
+      /**
+       * Updates matching documents. Options: multi, upsert, withDeleted, and expectedVersion
+       * (with versioning on, throws VersionConflictError unless every matched document is at that _version).
+       */
       update(query, updateDataOrFn, options = { multi: false, upsert: false }) {
         let updatedCount = 0;
         const updatedResultDocs = [];
-        let docFound = false;
-
-        for (let i = this.documents.length - 1; i >= 0; i--) {
-          if (matchesQuery(this.documents[i], query)) {
-            docFound = true;
-            const originalDocCopy = JSON.parse(JSON.stringify(this.documents[i])); // Deep copy for the update function
-            let modifiedDoc;
+        const now = new Date().toISOString();
+        if (options.expectedVersion !== undefined && !this._features.versioning) {
+          throw new Error(`DB: expectedVersion requires versioning to be enabled on '${this.name}'.`);
+        }
+        const useOperators = typeof updateDataOrFn !== 'function' && isUpdateOperatorObject(updateDataOrFn);
+        const applyUpdate = (docCopy) => {
+          if (typeof updateDataOrFn === 'function') return updateDataOrFn(docCopy); // Pass deep copy to function
+          if (useOperators) return applyUpdateOperators(docCopy, updateDataOrFn);
+          return { ...docCopy, ...updateDataOrFn }; // Plain object: shallow merge
+        };
 
-            if (typeof updateDataOrFn === 'function') {
-              modifiedDoc = updateDataOrFn(originalDocCopy); // Pass deep copy to function
-            } else {
-              // Simple field set, not a MongoDB-style update operator ($set, $inc) processor yet
-              modifiedDoc = { ...originalDocCopy, ...updateDataOrFn }; 
+        // Compute every change before touching the collection so an invalid operator leaves it unchanged
+        const changes = [];
+        const candidates = this._plan(query).docs;
+        for (let i = candidates.length - 1; i >= 0; i--) {
+          const original = candidates[i];
+          if (this._matches(original, query, options)) {
+            if (options.expectedVersion !== undefined && original._version !== options.expectedVersion) {
+              throw new VersionConflictError(this.name, original._id, options.expectedVersion, original._version);
             }
+            const originalDocCopy = JSON.parse(JSON.stringify(original)); // Deep copy for the update
+            const modifiedDoc = applyUpdate(originalDocCopy);
             
-            // Ensure _id is not lost if the updateDataOrFn accidentally removes it
-            if (originalDocCopy._id && (typeof modifiedDoc._id === 'undefined' || modifiedDoc._id !== originalDocCopy._id)) {
-                modifiedDoc._id = originalDocCopy._id;
+            // Ensure _id is not lost if the update accidentally removes or changes it
+            if (original._id && (typeof modifiedDoc._id === 'undefined' || modifiedDoc._id !== original._id)) {
+                modifiedDoc._id = original._id;
             }
+            this._stampUpdate(modifiedDoc, original, now);
 
-            this.documents[i] = modifiedDoc; // Update in place
-            updatedResultDocs.push(JSON.parse(JSON.stringify(modifiedDoc)));
-            updatedCount++;
+            changes.push({ original, doc: modifiedDoc });
             if (!options.multi) break; 
           }
         }
 
-        if (!docFound && options.upsert) {
-            let newDoc = {};
-            if (typeof updateDataOrFn === 'function') {
-                // If it's an upsert and the update is a function, it's tricky.
-                // We'll assume the query forms the base, and the function might add to it.
-                // This part might need more sophisticated handling for complex $operator style updates.
-                console.warn(`DB: Upsert with a function on '${this.name}'. Query forms base, function modifies. Review if result is as expected.`); // Keep warning
-                const baseForFunc = { ...query }; 
-                newDoc = updateDataOrFn(baseForFunc);
-                // Merge query fields into the doc returned by function, if not already there
-                for(const qKey in query) {
-                    if(typeof newDoc[qKey] === 'undefined') newDoc[qKey] = query[qKey];
-                }
-            } else {
-                newDoc = { ...query, ...updateDataOrFn }; 
-            }
-            if (typeof newDoc._id === 'undefined') newDoc._id = generateId();
-            
-            this.documents.push(newDoc);
-            updatedResultDocs.push(JSON.parse(JSON.stringify(newDoc)));
+        let upsertDoc = null;
+        if (changes.length === 0 && options.upsert) {
+            // Seed the new document from the query's equality fields, then apply the update on top
+            upsertDoc = applyUpdate(upsertBaseFromQuery(query));
+            if (typeof upsertDoc._id === 'undefined') upsertDoc._id = generateId();
+            this._stampInsert(upsertDoc, now);
+        }
+
+        if (upsertDoc) this._validate([upsertDoc], { applyDefaults: true });
+        this._validate(changes.map(change => change.doc));
+        const newDocs = changes.map(change => change.doc).concat(upsertDoc ? [upsertDoc] : []);
+        this._assertUnique(newDocs, changes.map(change => change.original));
+        if (newDocs.length > 0) this._beforeWrite();
+
+        this._swapDocuments(new Map(changes.map(({ original, doc }) => [original, doc]))); // Update in place
+        for (const { original, doc } of changes) {
+          this._indexDocument(doc, original);
+          updatedResultDocs.push(JSON.parse(JSON.stringify(doc)));
+          updatedCount++;
+        }
+
+        if (upsertDoc) {
+            this.documents.push(upsertDoc);
+            this._indexDocument(upsertDoc);
+            updatedResultDocs.push(JSON.parse(JSON.stringify(upsertDoc)));
             updatedCount++;
         }
 
-        if (updatedCount > 0) this._save();
+        if (updatedCount > 0) {
+          this._save(changes.map(({ doc }) => ({ op: 'update', doc })).concat(upsertDoc ? [{ op: 'insert', doc: upsertDoc }] : []), () => {
+            if (upsertDoc) this._undoAppend([upsertDoc]);
+            this._undoReplace(changes);
+          });
+          this._notify(changes.map(({ original, doc }) => ({ type: 'update', before: original, after: doc }))
+            .concat(upsertDoc ? [{ type: 'insert', doc: upsertDoc }] : []));
+        }
         return { updatedCount, updatedDocs: updatedResultDocs };
       }
 
+      /**
+       * Removes matching documents. With softDelete on, documents are only marked with _deletedAt
+       * (reported to watchers as removals) unless { hard: true } is passed.
+       */
       remove(query, options = { multi: false }) {
-        let removedCount = 0;
-        for (let i = this.documents.length - 1; i >= 0; i--) {
-          if (matchesQuery(this.documents[i], query)) {
-            this.documents.splice(i, 1); // Remove in place
-            removedCount++;
+        if (this._features.softDelete && !options.hard) return this._softRemove(query, options);
+        const removed = [];
+        const candidates = this._plan(query).docs;
+        for (let i = candidates.length - 1; i >= 0; i--) {
+          const doc = candidates[i];
+          if (this._matches(doc, query, options)) {
+            removed.push(doc);
+            if (!options.multi) break;
+          }
+        }
+        if (removed.length > 0) {
+          this._beforeWrite();
+          const positions = this._spliceDocuments(removed); // Remove in place
+          for (const doc of removed) this._unindexDocument(doc);
+          this._save(removed.map(doc => ({ op: 'remove', id: doc._id })), () => {
+            this._unspliceDocuments(positions);
+            for (const doc of removed) {
+              for (const index of this._indexes.values()) index.add(doc); // Keeps its original sequence
+            }
+          });
+          this._notify(removed.map(doc => ({ type: 'remove', doc })));
+        }
+        return { removedCount: removed.length };
+      }
+
+      /** @private */
+      _softRemove(query, options) {
+        const now = new Date().toISOString();
+        const changes = [];
+        const candidates = this._plan(query).docs;
+        for (let i = candidates.length - 1; i >= 0; i--) {
+          const original = candidates[i];
+          if (original._deletedAt === undefined && matchesQuery(original, query)) {
+            const doc = { ...original };
+            this._stampUpdate(doc, original, now);
+            doc._deletedAt = now;
+            changes.push({ original, doc });
+            if (!options.multi) break;
+          }
+        }
+        this._replaceDocuments(changes, ({ doc }) => ({ type: 'remove', doc }));
+        return { removedCount: changes.length };
+      }
+
+      // Brings soft-deleted documents matching the query back (reported to watchers as updates)
+      restore(query = {}, options = { multi: false }) {
+        if (!this._features.softDelete) throw new Error(`DB: restore requires softDelete to be enabled on '${this.name}'.`);
+        const now = new Date().toISOString();
+        const changes = [];
+        for (const original of this._plan(query).docs) {
+          if (original._deletedAt !== undefined && matchesQuery(original, query)) {
+            const doc = { ...original };
+            this._stampUpdate(doc, original, now);
+            delete doc._deletedAt;
+            changes.push({ original, doc });
             if (!options.multi) break;
           }
         }
-        if (removedCount > 0) this._save();
-        return { removedCount };
+        this._assertUnique(changes.map(({ doc }) => doc), changes.map(({ original }) => original));
+        this._replaceDocuments(changes, ({ original, doc }) => ({ type: 'update', before: original, after: doc }));
+        return { restoredCount: changes.length };
       }
 
-      count(query = {}) {
-        if (!query || typeof query !== 'object' || Object.keys(query).length === 0) return this.documents.length;
-        return this.documents.filter(doc => matchesQuery(doc, query)).length;
+      count(query = {}, options = {}) {
+        const emptyQuery = !query || typeof query !== 'object' || Object.keys(query).length === 0;
+        if (emptyQuery && !(this._features.softDelete && !options.withDeleted)) return (this._committedDocuments() || this.documents).length;
+        return this._plan(query).docs.filter(doc => this._matches(doc, query, options)).length;
       }
 
       clear() {
         const numRemoved = this.documents.length;
         if (numRemoved > 0) {
+          this._beforeWrite();
+          const removed = this.documents.slice();
           this.documents.length = 0; // Clear the array in place
-          this._save();
+          for (const index of this._indexes.values()) index.clear();
+          this._save([{ op: 'clear' }], () => {
+            this.documents.push(...removed);
+            this._rebuildIndexes();
+          });
+          this._notify(removed.map(doc => ({ type: 'remove', doc })));
         }
         return { numRemoved };
       }
     }
 
-    const collectionsCache = new Map();
+    const defaultDatabase = new Database(createStoreEngine());
+    const openDatabases = new Map();
+    primaryStore.on('reload', () => defaultDatabase._reload());
 
-    function getCollection(name) {
-      if (typeof name !== 'string' || !name.trim()) {
-        throw new Error('DB: Collection name must be a non-empty string.');
-      }
-      // Convert to a consistent case, e.g., lowercase, to avoid duplicate collections with different casing
-      const collectionName = name.trim().toLowerCase(); 
-      if (!collectionsCache.has(collectionName)) {
-        // console.log(`DB: Creating new collection instance for '${collectionName}'`); // Debug log
-        collectionsCache.set(collectionName, new Collection(collectionName));
+    /**
+     * Opens a database on its own append-only log instead of the key/value store.
+     * @param {string} target - A .jsonl file, or a directory that will hold envjs-db.jsonl.
+     * @param {object} [options]
+     * @param {number} [options.compactThreshold=1000] - Minimum number of stale log records before automatic compaction.
+     * @param {boolean} [options.migrateFromStore=false] - Move collections from the key/value store into a new, empty log.
+     * @returns {Database} Opening the same path again returns the same database until it is closed.
+     */
+    function openDatabase(target, options = {}) {
+      const filePath = resolveLogPath(target);
+      if (openDatabases.has(filePath)) return openDatabases.get(filePath);
+
+      const engine = createLogEngine(filePath, options);
+      const db = new Database(engine);
+      if (options.migrateFromStore && engine.collectionNames().length === 0) {
+        initializeDbStore();
+        primaryStore.assertWritable(); // The store is emptied below; fail before the log is written
+        const storeCollections = primaryStore.data[DB_STORAGE_KEY];
+        for (const name of Object.keys(storeCollections)) {
+          const docs = storeCollections[name].map(doc => (doc._id === undefined ? { ...doc, _id: generateId() } : doc));
+          engine.documents(name).push(...docs);
+        }
+        engine.compact();
+        primaryStore.data[DB_STORAGE_KEY] = {};
+        // Collections already handed out still point at the migrated arrays; writes through them would be lost
+        for (const collection of defaultDatabase._collections.values()) collection._movedTo = filePath;
+        defaultDatabase._collections.clear();
+        primaryStore.save([DB_STORAGE_KEY]);
+        console.log(`DB: Migrated ${Object.keys(storeCollections).length} collection(s) from the store to '${filePath}'.`);
       }
-      return collectionsCache.get(collectionName);
+      openDatabases.set(filePath, db);
+      return db;
     }
 
     return {
-      collection: getCollection,
-      _inspectRawDB: () => JSON.parse(JSON.stringify(storeData[DB_STORAGE_KEY]))
+      collection: (name, options) => defaultDatabase.collection(name, options),
+      listCollections: () => defaultDatabase.listCollections(),
+      transaction: callback => defaultDatabase.transaction(callback),
+      export: (name, options) => defaultDatabase.export(name, options),
+      import: (name, input, options) => defaultDatabase.import(name, input, options),
+      open: openDatabase,
+      DuplicateKeyError,
+      ValidationError,
+      VersionConflictError,
+      _inspectRawDB: () => JSON.parse(JSON.stringify(primaryStore.data[DB_STORAGE_KEY]))
     };
   })();
   modules.db = dbModule;
@@ -2246,6 +6317,48 @@ export default function envjs() {
       // console.log(`CLI: Command defined: ${cmdName}`);
     }
 
+    // Built-in data commands. --db points db:* commands at a log database opened with db.open().
+    function targetDatabase(options) {
+        return options.db ? modules.db.open(options.db) : modules.db;
+    }
+
+    command('db:export', {
+        description: 'Export a collection as json, jsonl or csv (to --out or stdout)',
+        args: [{ name: 'collection', required: true }],
+    }, async (cmdArgs) => {
+        const data = await targetDatabase(cmdArgs).export(cmdArgs.collection, { format: cmdArgs.format, path: cmdArgs.out });
+        if (cmdArgs.out) console.log(`Exported '${cmdArgs.collection}' to ${cmdArgs.out}`);
+        else process.stdout.write(data);
+    });
+
+    command('db:import', {
+        description: 'Import documents from a json, jsonl or csv file (--on-conflict error|skip|replace|merge|newId)',
+        args: [{ name: 'collection', required: true }, { name: 'file', required: true }],
+    }, async (cmdArgs) => {
+        const summary = await targetDatabase(cmdArgs).import(cmdArgs.collection, null, {
+            path: cmdArgs.file,
+            format: cmdArgs.format,
+            onConflict: cmdArgs['on-conflict'],
+        });
+        console.log(`Imported into '${cmdArgs.collection}': ${summary.inserted} inserted, ${summary.replaced} replaced, ${summary.merged} merged, ${summary.skipped} skipped`);
+    });
+
+    command('store:backup', {
+        description: 'Write a gzipped snapshot of the store',
+        args: [{ name: 'file', required: true }],
+    }, async (cmdArgs) => {
+        const { path: backupPath, bytes } = await modules.store.backup(cmdArgs.file);
+        console.log(`Store backed up to ${backupPath} (${bytes} bytes)`);
+    });
+
+    command('store:restore', {
+        description: 'Replace the store with a snapshot written by store:backup',
+        args: [{ name: 'file', required: true }],
+    }, async (cmdArgs) => {
+        const { path: backupPath, keys } = await modules.store.restore(cmdArgs.file);
+        console.log(`Store restored from ${backupPath} (${keys.length} keys)`);
+    });
+
     function setDefault(handler) {
         if (typeof handler !== 'function') {
             throw new Error('Default command handler must be a function.');
@@ -2343,9 +6456,101 @@ export default function envjs() {
   // --- Zero-Config Web Server ---
   const serverModule = (() => {
     let serverInstance = null;
-    const routes = []; // { method: string, pathPattern: RegExp, paramNames: string[], handler: Function }
-    const middlewares = []; // { path: string | null, handler: Function }
     let isListening = false;
+    let notFoundHandler = null;
+    const methods = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
+
+    /**
+     * An error carrying an HTTP status. Throw one from a handler, or pass it to next(), to answer with that
+     * status. `message` defaults to the status text and is only shown to clients for 4xx statuses unless
+     * `expose` says otherwise. `body` replaces the JSON error body, and `headers` are set on the response.
+     */
+    class HttpError extends Error {
+        constructor(status = 500, message, options = {}) {
+            super(message || http.STATUS_CODES[status] || 'Error');
+            this.name = new.target === HttpError ? 'HttpError' : new.target.name;
+            this.status = status;
+            this.statusCode = status;
+            this.expose = options.expose !== undefined ? options.expose : status < 500;
+            this.body = options.body;
+            this.headers = options.headers || {};
+        }
+    }
+
+    function httpErrorClass(name, status) {
+        const ErrorClass = class extends HttpError {
+            constructor(message, options) {
+                super(status, message, options);
+            }
+        };
+        Object.defineProperty(ErrorClass, 'name', { value: name });
+        return ErrorClass;
+    }
+
+    const httpErrors = {
+        BadRequest: httpErrorClass('BadRequest', 400),
+        Unauthorized: httpErrorClass('Unauthorized', 401),
+        Forbidden: httpErrorClass('Forbidden', 403),
+        NotFound: httpErrorClass('NotFound', 404),
+        MethodNotAllowed: httpErrorClass('MethodNotAllowed', 405),
+        Conflict: httpErrorClass('Conflict', 409),
+        Gone: httpErrorClass('Gone', 410),
+        UnprocessableEntity: httpErrorClass('UnprocessableEntity', 422),
+        TooManyRequests: httpErrorClass('TooManyRequests', 429),
+        InternalServerError: httpErrorClass('InternalServerError', 500),
+        NotImplemented: httpErrorClass('NotImplemented', 501),
+        ServiceUnavailable: httpErrorClass('ServiceUnavailable', 503)
+    };
+
+    // Errors from other libraries often carry a status too (e.g. err.status = 413)
+    function errorStatus(error) {
+        const status = error && (error.status || error.statusCode);
+        return Number.isInteger(status) && status >= 400 && status < 600 ? status : 500;
+    }
+
+    // JSON unless the client asks for HTML at least as strongly as for JSON, as browsers do
+    function prefersHtml(req) {
+        let html = 0;
+        let json = 0;
+        for (const part of String(req.headers.accept || '').split(',')) {
+            const [range, ...params] = part.trim().toLowerCase().split(';').map(p => p.trim());
+            const qParam = params.find(p => p.startsWith('q='));
+            const q = qParam ? parseFloat(qParam.slice(2)) || 0 : 1;
+            if (range === 'text/html' || range === 'application/xhtml+xml') html = Math.max(html, q);
+            else if (range === 'application/json' || range.endsWith('+json')) json = Math.max(json, q);
+        }
+        return html > 0 && html >= json;
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
+    // Default response for an error nothing else handled: JSON for API clients, an HTML page otherwise
+    function sendError(req, res, error) {
+        const status = errorStatus(error);
+        if (status >= 500) {
+            console.error('Server: Error handling request:', error); // Keep error log
+        }
+        if (res.headersSent) {
+            if (!res.writableEnded) res.end();
+            return;
+        }
+        const expose = error instanceof HttpError ? error.expose : status < 500;
+        const message = expose && error && error.message ? error.message : http.STATUS_CODES[status] || 'Error';
+        if (error instanceof HttpError) {
+            for (const [name, value] of Object.entries(error.headers)) res.setHeader(name, value);
+        }
+        res.setHeader('Vary', 'Accept');
+        res.statusCode = status;
+        if (prefersHtml(req)) {
+            const title = `${status} ${escapeHtml(http.STATUS_CODES[status] || 'Error')}`;
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.end(`<!DOCTYPE html>\n<html><head><title>${title}</title></head><body><h1>${title}</h1><p>${escapeHtml(message)}</p></body></html>\n`);
+            return;
+        }
+        res.json(error instanceof HttpError && error.body !== undefined ? error.body : { error: { status, message } });
+    }
 
     // Helper to parse request body
     async function parseBody(req) {
@@ -2371,45 +6576,236 @@ export default function envjs() {
       });
     }
 
-    // Helper to convert path string to RegExp and extract param names
-    function pathToRegExp(pathString) {
+    // Helper to convert a path string to a RegExp and extract param names. Understands /:name params,
+    // optional /:name? segments, inline constraints such as /:id(\\d+) (use non-capturing groups inside them)
+    // and * wildcards, captured as params['*'] or, written as /*name, under that name.
+    // A prefix pattern matches the start of a path at a segment boundary, for use() and mounted routers.
+    function pathToRegExp(pathString, prefix = false) {
         const paramNames = [];
-        const pattern = pathString.replace(/\/:(\w+)/g, (_, paramName) => {
-            paramNames.push(paramName);
-            return '([^\\/]+)'; // Capture group for parameter values
+        const source = prefix ? pathString.replace(/\/+$/, '') : pathString;
+        const token = /\/:(\w+)(?:\(((?:\\.|[^\\)])+)\))?(\?)?|(\/?)\*(\w*)|([.+?^${}()|[\]\\])/g;
+        const pattern = source.replace(token, (_, paramName, constraint, optional, slash, splatName, special) => {
+            if (paramName) {
+                paramNames.push(paramName);
+                const segment = `\\/(${constraint || '[^\\/]+'})`; // Capture group for parameter values
+                return optional ? `(?:${segment})?` : segment;
+            }
+            if (special) return `\\${special}`;
+            paramNames.push(splatName || '*');
+            return slash ? '\\/(.*)' : '(.*)';
         });
-        return { pathPattern: new RegExp(`^${pattern}$`), paramNames };
+        return { pathPattern: new RegExp(prefix ? `^${pattern}(?=\\/|$)` : `^${pattern}$`), paramNames };
     }
 
-    function addRoute(method, pathString, handler) {
-        if (typeof handler !== 'function') {
-            throw new Error('Route handler must be a function.');
+    const routerStates = new WeakMap(); // router object -> { routes, middlewares, validators }
+
+    /**
+     * Creates a router: a group of routes and middleware that can be mounted under a path prefix with
+     * server.use(prefix, router). Routers can be nested.
+     * @returns {object} The router, with use(), param(), route() and the HTTP method helpers.
+     */
+    function createRouter() {
+        const state = {
+            routes: [], // { method: string, pathPattern: RegExp, paramNames: string[], handler: Function }
+            middlewares: [], // { pathPattern: RegExp, paramNames: string[], handler: Function|null, router: object|null }
+            errorHandlers: [], // { pathPattern: RegExp, paramNames: string[], handler: Function }, (err, req, res, next)
+            validators: {} // param name -> RegExp | Function
+        };
+
+        function addRoute(method, pathString, handler) {
+            if (typeof handler !== 'function') {
+                throw new Error('Route handler must be a function.');
+            }
+            const { pathPattern, paramNames } = pathToRegExp(pathString);
+            state.routes.push({ method: method.toUpperCase(), pathPattern, paramNames, handler });
+            // console.log(`Server: Route added - ${method.toUpperCase()} ${pathString}`);
+        }
+
+        function use(pathOrHandler, handlerFnOrUndefined) {
+            let path = '/'; // Default path for middleware is all paths
+            let handler;
+
+            if (typeof pathOrHandler === 'string') {
+                path = pathOrHandler;
+                handler = handlerFnOrUndefined;
+            } else {
+                handler = pathOrHandler;
+            }
+            const isRouter = routerStates.has(handler);
+            if (typeof handler !== 'function' && !isRouter) {
+                throw new Error('Invalid arguments for server.use(). Provide a handler or router, optionally after a path.');
+            }
+            const { pathPattern, paramNames } = pathToRegExp(path, true);
+            if (!isRouter && handler.length === 4) {
+                // Four arguments mark error-handling middleware, as in Express
+                state.errorHandlers.push({ pathPattern, paramNames, handler });
+                return;
+            }
+            state.middlewares.push({
+                pathPattern,
+                paramNames,
+                handler: isRouter ? null : handler,
+                router: isRouter ? handler : null
+            });
+            // console.log(`Server: Middleware added for path ${path}`);
+        }
+
+        /**
+         * Validates a route parameter wherever it appears in this router's paths. A RegExp must match the
+         * whole value. A function receives (value, req): returning false rejects the value, and any other
+         * value except true or undefined replaces it (e.g. Number to convert ids). A rejected value makes
+         * the path not match, so the request falls through to later routes or a 404.
+         * @param {string} name - The parameter name.
+         * @param {RegExp|Function} validator - The pattern or function checking the value.
+         */
+        function param(name, validator) {
+            if (!(validator instanceof RegExp) && typeof validator !== 'function') {
+                throw new Error(`Validator for param "${name}" must be a RegExp or a function.`);
+            }
+            state.validators[name] = validator;
+        }
+
+        const router = { use, param, route: addRoute };
+        methods.forEach(method => {
+            router[method] = (pathString, handler) => addRoute(method, pathString, handler);
+        });
+        routerStates.set(router, state);
+        return router;
+    }
+
+    // Matches a route or middleware path and runs the router's param validators.
+    // Returns { matched, params } or null when the path or a parameter does not match.
+    function matchLayer(state, layer, pathname, req) {
+        const match = layer.pathPattern.exec(pathname);
+        if (!match) return null;
+        const params = {};
+        for (let i = 0; i < layer.paramNames.length; i++) {
+            const name = layer.paramNames[i];
+            let value = match[i + 1];
+            if (value !== undefined) {
+                try {
+                    value = decodeURIComponent(value);
+                } catch (e) {
+                    // Keep malformed percent-encoding as it was sent
+                }
+            }
+            const validator = state.validators[name];
+            if (validator && value !== undefined) {
+                if (validator instanceof RegExp) {
+                    const full = validator.exec(value);
+                    if (!full || full[0] !== value) return null;
+                } else {
+                    const result = validator(value, req);
+                    if (result === false) return null;
+                    if (result !== true && result !== undefined) value = result;
+                }
+            }
+            params[name] = value;
         }
-        const { pathPattern, paramNames } = pathToRegExp(pathString);
-        routes.push({ method: method.toUpperCase(), pathPattern, paramNames, handler });
-        // console.log(`Server: Route added - ${method.toUpperCase()} ${pathString}`);
+        return { matched: match[0], params };
     }
 
-    function use(pathOrHandler, handlerFnOrUndefined) {
-        let path = '/'; // Default path for middleware is all paths
-        let handler;
+    // Runs a router's middleware and then its routes against `pathname`, which is relative to the
+    // router's mount point. Errors go through the router's error middleware, then up to done(error).
+    // If nothing handles the request, unmatched(req, res) runs (only given for the root router),
+    // otherwise done() lets the parent router carry on.
+    // `allowed` collects the methods of routes whose path matched, for 405 responses.
+    async function dispatch(state, req, res, pathname, allowed, unmatched, done) {
+        const baseUrl = req.baseUrl;
+        let middlewareIndex = 0;
+        let errorHandlerIndex = 0;
 
-        if (typeof pathOrHandler === 'function') {
-            handler = pathOrHandler;
-        } else if (typeof pathOrHandler === 'string' && typeof handlerFnOrUndefined === 'function') {
-            path = pathOrHandler;
-            handler = handlerFnOrUndefined;
-        } else {
-            throw new Error('Invalid arguments for server.use(). Provide a handler or path and handler.');
+        async function nextErrorHandler(error) {
+            if (errorHandlerIndex >= state.errorHandlers.length) {
+                return done(error);
+            }
+            const layer = state.errorHandlers[errorHandlerIndex++];
+            let match;
+            try {
+                match = matchLayer(state, layer, pathname, req);
+            } catch (err) {
+                match = null; // A failing validator just means this handler does not apply
+            }
+            if (!match) {
+                return nextErrorHandler(error);
+            }
+            try {
+                // next() and next(err) both pass the error on; a handler that has dealt with it responds
+                await layer.handler(error, req, res, err => nextErrorHandler(err || error));
+            } catch (err) {
+                return nextErrorHandler(err);
+            }
+        }
+
+        async function next(error) {
+            if (error) {
+                return nextErrorHandler(error);
+            }
+            if (middlewareIndex < state.middlewares.length) {
+                const layer = state.middlewares[middlewareIndex++];
+                let match;
+                try {
+                    match = matchLayer(state, layer, pathname, req);
+                } catch (err) {
+                    return next(err);
+                }
+                if (!match) {
+                    return next(); // Path doesn't match, skip to next middleware
+                }
+                Object.assign(req.params, match.params);
+                try {
+                    if (layer.router) {
+                        req.baseUrl = baseUrl + match.matched;
+                        await dispatch(routerStates.get(layer.router), req, res, pathname.slice(match.matched.length) || '/', allowed, null, err => {
+                            req.baseUrl = baseUrl;
+                            return next(err);
+                        });
+                    } else {
+                        await layer.handler(req, res, next);
+                    }
+                } catch (err) {
+                    next(err); // Pass error to next error handler or default handler
+                }
+                return;
+            }
+            // All middleware processed, try to match a route
+            for (const route of state.routes) {
+                let match;
+                try {
+                    match = matchLayer(state, route, pathname, req);
+                } catch (err) {
+                    return nextErrorHandler(err);
+                }
+                if (!match) continue;
+                if (route.method !== req.method && !(req.method === 'HEAD' && route.method === 'GET')) {
+                    allowed.add(route.method);
+                    if (route.method === 'GET') allowed.add('HEAD');
+                    continue;
+                }
+                Object.assign(req.params, match.params);
+                try {
+                    return await route.handler(req, res);
+                } catch (routeError) {
+                    return nextErrorHandler(routeError);
+                }
+            }
+            if (!unmatched) {
+                return done();
+            }
+            try {
+                await unmatched(req, res);
+            } catch (err) {
+                return nextErrorHandler(err);
+            }
         }
-        middlewares.push({ path, handler });
-        // console.log(`Server: Middleware added for path ${path}`);
+        await next(); // Start middleware chain
     }
 
     const requestListener = async (req, res) => {
         // Augment req and res
         req.query = urlParse(req.url, true).query; // Using url.parse from envjs
         req.params = {}; // Will be populated by router
+        req.baseUrl = ''; // Mount path of the router handling the request
 
         res.status = (code) => {
             res.statusCode = code;
@@ -2447,55 +6843,36 @@ export default function envjs() {
             req.body = {};
         }
 
-        let middlewareIndex = 0;
-        async function next(error) {
-            if (error) {
-                console.error('Server: Error in middleware chain:', error); // Keep error log
-                res.status(500).send('Internal Server Error');
-                return;
+        const allowed = new Set();
+        const unmatched = async () => {
+            if (allowed.size > 0) {
+                // The path exists, but not for this method
+                throw new httpErrors.MethodNotAllowed(undefined, { headers: { Allow: [...allowed].join(', ') } });
             }
-            if (middlewareIndex < middlewares.length) {
-                const { path: mwPath, handler: mwHandler } = middlewares[middlewareIndex++];
-                // Check if middleware path matches request path
-                if (req.url.startsWith(mwPath)) { 
-                    try {
-                        await mwHandler(req, res, next);
-                    } catch (err) {
-                        next(err); // Pass error to next error handler or default handler
-                    }
-                } else {
-                    next(); // Path doesn't match, skip to next middleware
-                }
-            } else {
-                // All middleware processed, try to match a route
-                for (const route of routes) {
-                    if (route.method === req.method) {
-                        const match = route.pathPattern.exec(urlParse(req.url).pathname);
-                        if (match) {
-                            route.paramNames.forEach((name, index) => {
-                                req.params[name] = match[index + 1];
-                            });
-                            try {
-                                return await route.handler(req, res);
-                            } catch (routeError) {
-                                console.error('Server: Error in route handler:', routeError.message, routeError.stack); // Keep error log
-                                if (!res.writableEnded) {
-                                    res.status(500).send('Internal Server Error');
-                                }
-                                return;
-                            }
-                        }
-                    }
-                }
-                // No route matched
-                if (!res.writableEnded) {
-                    res.status(404).send('Not Found');
-                }
+            if (notFoundHandler) {
+                return notFoundHandler(req, res);
             }
-        }
-        await next(); // Start middleware chain
+            throw new httpErrors.NotFound(`Cannot ${req.method} ${urlParse(req.url).pathname}`);
+        };
+        await dispatch(routerStates.get(rootRouter), req, res, urlParse(req.url).pathname, allowed, unmatched, error => {
+            if (error) {
+                sendError(req, res, error);
+            }
+        });
     };
 
+    /**
+     * Replaces the default 404 response for requests no route matched. Throwing from the handler (or
+     * throwing an HttpError) sends that error through the error middleware instead.
+     * @param {Function|null} handler - (req, res) => void, or null to restore the default.
+     */
+    function notFound(handler) {
+        if (handler !== null && typeof handler !== 'function') {
+            throw new Error('Not-found handler must be a function or null.');
+        }
+        notFoundHandler = handler;
+    }
+
     function listen(port, hostOrCallback, callbackOrUndefined) {
         if (isListening && serverInstance) {
             console.warn('Server is already listening. Close it first or use a different instance.'); // Keep warning
@@ -2504,7 +6881,7 @@ export default function envjs() {
             return serverInstance;
         }
 
-        let portNum = port || process.env.PORT || 3000;
+        let portNum = port ?? (process.env.PORT || 3000); // 0 picks a free port
         let hostName = 'localhost';
         let cb = () => {};
 
@@ -2560,17 +6937,314 @@ export default function envjs() {
         });
     }
 
-    // Define HTTP method helpers
-    const methods = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
-    const serverApi = { listen, close, use, route: addRoute };
-    methods.forEach(method => {
-        serverApi[method] = (pathString, handler) => addRoute(method, pathString, handler);
-    });
+    // Routes and middleware registered on the server itself live on the root router
+    const rootRouter = createRouter();
+    const serverApi = { listen, close, notFound, router: createRouter, ...rootRouter, HttpError, ...httpErrors };
 
     return serverApi;
   })();
   modules.server = serverModule;
 
+  // --- Configuration loader (config) ---
+  const configModule = (() => {
+    const CONFIG_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+    const BOOLEAN_STRINGS = { true: true, false: false, '1': true, '0': false, yes: true, no: false, on: true, off: false };
+    let current = null; // { values, sources } from the last load()
+
+    /**
+     * Thrown by load() when the merged configuration does not match the schema.
+     * `errors` lists every problem as { key, message, source }.
+     */
+    class ConfigError extends Error {
+      constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(e => `  - ${e.key}: ${e.message}${e.source ? ` (from ${e.source})` : ''}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+      }
+    }
+
+    // A schema node is a leaf when it declares a type; anything else is a group of nested keys
+    function isLeaf(node) {
+      return node !== null && typeof node === 'object' && typeof node.type === 'string';
+    }
+
+    function schemaLeaves(schema, prefix = [], leaves = []) {
+      for (const [key, node] of Object.entries(schema || {})) {
+        if (isLeaf(node)) {
+          if (!CONFIG_TYPES.includes(node.type)) throw new Error(`Config: Unknown type '${node.type}' for '${[...prefix, key].join('.')}'.`);
+          leaves.push({ keys: [...prefix, key], spec: node });
+        } else if (node !== null && typeof node === 'object') {
+          schemaLeaves(node, [...prefix, key], leaves);
+        } else {
+          throw new Error(`Config: Schema entry '${[...prefix, key].join('.')}' must be an object.`);
+        }
+      }
+      return leaves;
+    }
+
+    // "logLevel" -> "LOG_LEVEL"; nested keys are joined with "__": db.host -> DB__HOST
+    function envNameFor(keys, prefix) {
+      return prefix + keys.map(key => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase()).join('__');
+    }
+
+    function isPlainObject(value) {
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Deep-merges a source into the config, recording which source set each leaf
+    function mergeLayer(target, sources, layer, sourceName, prefix = []) {
+      for (const [key, value] of Object.entries(layer)) {
+        const keyPath = [...prefix, key].join('.');
+        if (isPlainObject(value) && (isPlainObject(target[key]) || target[key] === undefined)) {
+          if (target[key] === undefined) target[key] = {};
+          mergeLayer(target[key], sources, value, sourceName, [...prefix, key]);
+        } else {
+          target[key] = copyConfigValue(value);
+          sources[keyPath] = sourceName;
+        }
+      }
+    }
+
+    // The merged values are frozen, so nothing in them may be shared with a layer (the store's live data, the caller's defaults)
+    function copyConfigValue(value) {
+      if (Array.isArray(value)) return value.map(copyConfigValue);
+      if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copyConfigValue(item)]));
+      return value;
+    }
+
+    function setIn(target, keys, value) {
+      let node = target;
+      for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(node[key])) node[key] = {};
+        node = node[key];
+      }
+      node[keys[keys.length - 1]] = value;
+    }
+
+    function getIn(target, keys) {
+      let node = target;
+      for (const key of keys) {
+        if (node === null || typeof node !== 'object' || !(key in node)) return undefined;
+        node = node[key];
+      }
+      return node;
+    }
+
+    // Values from env vars and .env files are strings; convert them to the declared type where unambiguous
+    function coerce(value, spec) {
+      switch (spec.type) {
+        case 'string':
+          if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value) };
+          return typeof value === 'string' ? { value } : { error: 'expected a string' };
+        case 'number':
+        case 'integer': {
+          const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+          if (typeof number !== 'number' || Number.isNaN(number)) return { error: `expected a number, got ${JSON.stringify(value)}` };
+          if (spec.type === 'integer' && !Number.isInteger(number)) return { error: `expected an integer, got ${JSON.stringify(value)}` };
+          return { value: number };
+        }
+        case 'boolean':
+          if (typeof value === 'boolean') return { value };
+          if (typeof value === 'string' && value.toLowerCase() in BOOLEAN_STRINGS) return { value: BOOLEAN_STRINGS[value.toLowerCase()] };
+          return { error: `expected a boolean, got ${JSON.stringify(value)}` };
+        case 'array': {
+          let list = value;
+          if (typeof value === 'string') {
+            if (value.trim().startsWith('[')) {
+              try {
+                list = JSON.parse(value);
+              } catch (e) {
+                return { error: 'expected a JSON array or a comma-separated list' };
+              }
+            } else {
+              list = value.trim() === '' ? [] : value.split(',').map(item => item.trim());
+            }
+          }
+          if (!Array.isArray(list)) return { error: 'expected an array' };
+          if (!spec.items) return { value: list };
+          const items = [];
+          for (let i = 0; i < list.length; i++) {
+            const item = coerce(list[i], spec.items);
+            if (item.error) return { error: `item ${i}: ${item.error}` };
+            items.push(item.value);
+          }
+          return { value: items };
+        }
+        case 'object': {
+          let object = value;
+          if (typeof value === 'string') {
+            try {
+              object = JSON.parse(value);
+            } catch (e) {
+              return { error: 'expected a JSON object' };
+            }
+          }
+          return isPlainObject(object) ? { value: object } : { error: 'expected an object' };
+        }
+      }
+      return { value };
+    }
+
+    function checkConstraints(value, spec) {
+      if (spec.enum && !spec.enum.includes(value)) return `must be one of ${spec.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`;
+      if (spec.min !== undefined && typeof value === 'number' && value < spec.min) return `must be at least ${spec.min}, got ${value}`;
+      if (spec.max !== undefined && typeof value === 'number' && value > spec.max) return `must be at most ${spec.max}, got ${value}`;
+      if (spec.pattern && typeof value === 'string' && !new RegExp(spec.pattern).test(value)) return `must match ${spec.pattern}`;
+      return null;
+    }
+
+    function readConfigFile(filePath) {
+      const text = fs.readFileSync(filePath, 'utf8');
+      if (/\.ya?ml$/i.test(filePath)) return parseYamlLite(text);
+      const parsed = JSON.parse(text);
+      if (!isPlainObject(parsed)) throw new Error('expected a JSON object');
+      return parsed;
+    }
+
+    function deepFreeze(value) {
+      if (value !== null && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+      }
+      return value;
+    }
+
+    /**
+     * Builds the configuration from every source, validates it and remembers it for get().
+     * Sources, lowest precedence first: schema defaults and options.defaults, config files (in order),
+     * .env files (in order), the store (under options.storeKey), then environment variables.
+     * @param {object} [options]
+     * @param {object} [options.schema] - Nested keys; leaves are { type, default, required, enum, min, max,
+     *   pattern, items, env, secret }. type is string, number, integer, boolean, array or object; env names
+     *   the variable to read instead of the derived one; secret keeps the value out of error messages.
+     * @param {object} [options.defaults] - Extra defaults, merged over the schema's.
+     * @param {string[]} [options.files] - JSON or YAML (.yml/.yaml) files; missing files are skipped.
+     * @param {string[]} [options.envFiles=['.env']] - .env files; missing files are skipped. Their variables
+     *   are mapped like environment variables but never copied into process.env. Empty values count as unset.
+     * @param {string|false} [options.storeKey='config'] - Store key holding overrides, or false to skip the store.
+     * @param {string} [options.envPrefix=''] - Prefix of environment variables: with 'APP_', APP_DB__HOST sets db.host.
+     * @param {object} [options.env=process.env] - The environment to read.
+     * @param {boolean} [options.strict=false] - Also report keys the schema does not declare.
+     * @returns {object} The deep-frozen configuration.
+     * @throws {ConfigError} Listing every missing or invalid key, and every unreadable file.
+     */
+    function load(options = {}) {
+      const {
+        schema = {}, defaults = {}, files = [], envFiles = ['.env'], storeKey = 'config',
+        envPrefix = '', env = process.env, strict = false
+      } = options;
+      const leaves = schemaLeaves(schema);
+      const errors = [];
+      const values = {};
+      const sources = {};
+
+      const schemaDefaults = {};
+      for (const { keys, spec } of leaves) {
+        if (spec.default !== undefined) setIn(schemaDefaults, keys, JSON.parse(JSON.stringify(spec.default)));
+      }
+      mergeLayer(values, sources, schemaDefaults, 'default');
+      mergeLayer(values, sources, defaults, 'defaults');
+
+      for (const file of files) {
+        const filePath = path.resolve(file);
+        if (!fs.existsSync(filePath)) continue;
+        try {
+          mergeLayer(values, sources, readConfigFile(filePath), file);
+        } catch (err) {
+          errors.push({ key: file, message: `could not be read: ${err.message}`, source: null });
+        }
+      }
+
+      // .env files and the environment only reach keys the schema declares, by their variable names
+      const applyVariables = (variables, label) => {
+        for (const { keys, spec } of leaves) {
+          const name = spec.env || envNameFor(keys, envPrefix);
+          if (variables[name] === undefined || variables[name] === '') continue; // Empty counts as unset, so lower layers still apply
+          setIn(values, keys, variables[name]);
+          sources[keys.join('.')] = `${label} ${name}`;
+        }
+      };
+      for (const file of envFiles) {
+        const filePath = path.resolve(file);
+        if (!fs.existsSync(filePath)) continue;
+        try {
+          const variables = parseDotEnv(fs.readFileSync(filePath, 'utf8'), {
+            expand: true,
+            lookup: (name, parsed) => (parsed[name] !== undefined ? parsed[name] : env[name])
+          });
+          applyVariables(variables, file);
+        } catch (err) {
+          errors.push({ key: file, message: `could not be read: ${err.message}`, source: null });
+        }
+      }
+      if (storeKey !== false) {
+        const stored = modules.store.get(storeKey);
+        if (isPlainObject(stored)) mergeLayer(values, sources, stored, `store:${storeKey}`);
+      }
+      applyVariables(env, 'environment');
+
+      for (const { keys, spec } of leaves) {
+        const keyPath = keys.join('.');
+        const raw = getIn(values, keys);
+        const source = sources[keyPath] || null;
+        if (raw === undefined || raw === null || raw === '') {
+          if (spec.required) {
+            errors.push({ key: keyPath, message: `is required (set ${spec.env || envNameFor(keys, envPrefix)})`, source: null });
+          }
+          if (raw === '') setIn(values, keys, undefined);
+          continue;
+        }
+        const { value, error } = coerce(raw, spec);
+        let problem = error || checkConstraints(value, spec);
+        if (problem && spec.secret) problem = problem.replace(/, got .*$/, ''); // Never echo a secret's value
+        if (problem) errors.push({ key: keyPath, message: problem, source });
+        else setIn(values, keys, value);
+      }
+
+      if (strict) {
+        const declared = new Set(leaves.map(({ keys }) => keys.join('.')));
+        for (const keyPath of Object.keys(sources)) {
+          if (!declared.has(keyPath) && !leaves.some(({ keys }) => keyPath.startsWith(`${keys.join('.')}.`))) {
+            errors.push({ key: keyPath, message: 'is not declared in the schema', source: sources[keyPath] });
+          }
+        }
+      }
+
+      if (errors.length > 0) throw new ConfigError(errors);
+      current = { values: deepFreeze(values), sources, leaves };
+      return current.values;
+    }
+
+    function assertLoaded() {
+      if (!current) throw new Error('Config: Call config.load() first.');
+    }
+
+    return {
+      load,
+      /**
+       * Reads a value from the last loaded configuration.
+       * @param {string} keyPath - Dot-separated key, e.g. "db.host".
+       * @param {any} [defaultValue] - Returned when the key is unset.
+       * @returns {any} The value.
+       */
+      get(keyPath, defaultValue) {
+        assertLoaded();
+        const value = getIn(current.values, keyPath.split('.'));
+        return value === undefined ? defaultValue : value;
+      },
+      /**
+       * Tells which source set each key, e.g. { 'db.host': 'environment APP_DB__HOST', port: 'default' }.
+       * @returns {object} Key paths mapped to source names.
+       */
+      sources() {
+        assertLoaded();
+        return { ...current.sources };
+      },
+      ConfigError
+    };
+  })();
+  modules.config = configModule;
+
   // Initialize the monitor after all modules are defined
   if (modules.monitor && !modules.monitor._monitoring) {
       modules._initMonitor.call(modules); // Use .call to set 'this' correctly
@@ -2681,13 +7355,14 @@ export default function envjs() {
      * This is a convenience alias for `env.use('scheduler').cron()`.
      * @param {string} cronExpression - The CRON string.
      * @param {function} callback - The function to call.
-     * @param {string} [id] - Optional unique ID for the schedule.
+     * @param {string|object} [idOrOptions] - Optional unique ID for the schedule, or options such as `{ id, timezone }`.
      * @returns {string|null} The ID of the scheduled task.
      * @example
      * env.schedule('0 0 * * *', () => console.log('Daily cron job run!'));
+     * env.schedule('30 2 * * *', () => console.log('Nightly in Berlin'), { timezone: 'Europe/Berlin' });
      */
-    schedule(cronExpression, callback, id) {
-        return modules.scheduler.cron(cronExpression, callback, id);
+    schedule(cronExpression, callback, idOrOptions) {
+        return modules.scheduler.cron(cronExpression, callback, idOrOptions);
     },
     /**
      * Access the persistent JSON storage.
@@ -2765,6 +7440,16 @@ export default function envjs() {
      * app.get('/', (req, res) => res.send('Hello World!'));
      * app.listen(3000);
      */
-    server: modules.server
+    server: modules.server,
+    /**
+     * Accesses the configuration loader.
+     * This is a convenience alias for `env.use('config')`.
+     * @example
+     * const config = env.config.load({
+     *   schema: { port: { type: 'number', default: 3000 }, db: { host: { type: 'string', required: true } } },
+     *   envPrefix: 'APP_',
+     * });
+     */
+    config: modules.config
   };
 }
@@ -174,6 +174,139 @@ store.delete('user.profile.age');
 console.log('Store - User Age after delete:', store.get('user.profile.age', 'Not specified'));
 console.log('Store data after delete:', store.all());
 
+// Independent named stores; the file only appears on the first write
+const cacheStore = store.open('test-cache');
+console.log('Store - Named store file before first write exists:', env.use('file').existsSync(cacheStore.path));
+cacheStore.set('hits', 1);
+console.log('Store - Named store value:', cacheStore.get('hits'), '| kept out of the main store:', store.get('hits', 'absent'));
+const sameCacheStore = store.open(cacheStore.path);
+try {
+  store.open('test-readonly', { readOnly: true }).set('x', 1);
+} catch (e) {
+  console.log('Store - Expected read-only error:', e.message);
+}
+// A file that exists but cannot be read (here a directory in its place) is never saved over
+env.use('file').makeDirSync('.envjs-store.test-unreadable.json');
+try {
+  store.open('test-unreadable').set('x', 1);
+} catch (e) {
+  console.log('Store - Expected unreadable-file error:', e.message);
+}
+env.use('file').removeDirSync('.envjs-store.test-unreadable.json');
+console.log('Store - Same file shares data:', sameCacheStore.get('hits'));
+env.use('file').deleteFileSync(cacheStore.path);
+
+// Debounced store: several sets become one write, forced early with flush()
+const batchedStore = store.open('test-batched', { debounce: 1000 });
+batchedStore.set('a', 1);
+batchedStore.set('b', 2);
+console.log('Store - Debounced file written before flush:', env.use('file').existsSync(batchedStore.path));
+batchedStore.flush();
+console.log('Store - Debounced file after flush:', JSON.parse(env.use('file').readFileSync(batchedStore.path)));
+env.use('file').deleteFileSync(batchedStore.path);
+
+// Debounced writes survive SIGTERM: a child process with a pending write is stopped before the debounce fires
+(async () => {
+  const signalStorePath = env.use('path').resolve('.envjs-store.test-signal.json');
+  const signalScript = `
+    import envjs from ${JSON.stringify(new URL('./index.js', import.meta.url).href)};
+    envjs({ store: { path: ${JSON.stringify(signalStorePath)}, debounce: 60000 } }).use('store').set('pending', true);
+    setInterval(() => {}, 1000);
+    console.log('ready');
+  `;
+  await new Promise((resolve, reject) => {
+    const child = env.use('child_process').spawn(process.execPath, ['--input-type=module', '-e', signalScript]);
+    child.stdout.on('data', data => {
+      if (String(data).includes('ready')) child.kill('SIGTERM');
+    });
+    child.on('error', reject);
+    child.on('exit', resolve);
+  });
+  console.log('Store - Debounced write flushed on SIGTERM:', JSON.parse(env.use('file').readFileSync(signalStorePath)).pending);
+  env.use('file').deleteFileSync(signalStorePath);
+})().catch(e => console.error('Store signal flush test failed:', e));
+
+// Another process writing the same file: reload() merges its changes in (envjs({ store: { watch: true } }) does it automatically)
+const sharedStore = store.open('test-shared');
+sharedStore.set('fromHere', 1);
+const sharedOnDisk = JSON.parse(env.use('file').readFileSync(sharedStore.path));
+env.use('file').writeFileSync(sharedStore.path, JSON.stringify({ ...sharedOnDisk, fromElsewhere: 2 }));
+console.log('Store - Reload picked up external change:', sharedStore.reload(), '| values:', sharedStore.get('fromHere'), sharedStore.get('fromElsewhere'));
+env.use('file').deleteFileSync(sharedStore.path);
+
+// Real concurrent writers: three child processes setting keys and incrementing one counter in the same file
+(async () => {
+  const concurrentPath = env.use('path').resolve('.envjs-store.test-concurrent.json');
+  const writerScript = `
+    import envjs from ${JSON.stringify(new URL('./index.js', import.meta.url).href)};
+    const shared = envjs({ store: { path: ${JSON.stringify(concurrentPath)} } }).use('store');
+    for (let i = 0; i < 20; i++) {
+      shared.set(\`writer\${process.argv[1]}.key\${i}\`, i);
+      shared.increment('count');
+    }
+    process.exit(0);
+  `;
+  const writers = [1, 2, 3].map(id => new Promise((resolve, reject) => {
+    const child = env.use('child_process').spawn(process.execPath, ['--input-type=module', '-e', writerScript, String(id)], { stdio: 'ignore' });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`writer ${id} exited with ${code}`))));
+  }));
+  await Promise.all(writers);
+  const written = JSON.parse(env.use('file').readFileSync(concurrentPath));
+  const keyCounts = [1, 2, 3].map(id => Object.keys(written[`writer${id}`] || {}).length);
+  console.log('Store - Keys from three concurrent writer processes:', keyCounts, '| counter:', written.count);
+  env.use('file').deleteFileSync(concurrentPath);
+})().catch(e => console.error('Store concurrent writer test failed:', e));
+
+// Encrypted values and the secrets namespace
+const vault = store.open('test-vault', { encryptionKey: env.use('crypto').randomBytes(32) });
+vault.secret.set('api.token', 'tok_123');
+vault.set('smtp.password', 'hunter2', { encrypt: true });
+console.log('Store - Secret read back:', vault.secret.get('api.token'), '| names:', vault.secret.list());
+console.log('Store - Plaintext kept off disk:', !env.use('file').readFileSync(vault.path).includes('tok_123'));
+console.log('Store - Values re-encrypted by rekey:', vault.rekey(env.use('crypto').randomBytes(32).toString('hex')));
+console.log('Store - Encrypted value after rekey:', vault.get('smtp.password'));
+env.use('file').deleteFileSync(vault.path);
+
+// Array paths, change listeners, ttl and atomic updates
+store.set('servers[0].host', '10.0.0.1');
+console.log('Store - Array path written as an array:', Array.isArray(store.all().servers), store.get('servers[0].host'));
+const stopSettings = store.onChange('settings', (value, previous, change) => {
+  console.log('Store - onChange(settings):', change.type, change.keyPath, previous, '->', value);
+});
+store.set('settings.theme', 'light');
+store.set('settings.theme', 'light'); // Unchanged, so no event
+stopSettings();
+// A whole-store listener still gets full old and new values; an element listener sees the splice move it up
+store.set('queue', ['first', 'second', 'third']);
+const stopAll = store.onChange((value, previous, change) => {
+  console.log('Store - onChange(*):', change.type, change.keyPath, previous.queue, '->', value.queue);
+});
+const stopQueueItem = store.onChange('queue[1]', (value, previous) => console.log('Store - onChange(queue[1]):', previous, '->', value));
+store.delete('queue[0]');
+stopAll();
+stopQueueItem();
+store.delete('queue');
+store.set('session.token', 'abc', { ttl: 100 });
+console.log('Store - TTL key before expiry:', store.get('session.token'));
+setTimeout(() => console.log('Store - TTL key after expiry:', store.get('session.token', 'expired')), 200);
+// Expiring array elements: the later element's ttl follows it when the earlier one is spliced out
+store.set('ttlList', ['a', 'b', 'c']);
+store.set('ttlList[0]', 'A', { ttl: 50 });
+store.set('ttlList[1]', 'B', { ttl: 8000 }); // Generous gaps: the sections below keep the event loop busy
+setTimeout(() => {
+  console.log('Store - TTL list after the first element expired:', store.get('ttlList'));
+  setTimeout(() => {
+    const onDisk = JSON.parse(env.use('file').readFileSync(store.path)).ttlList;
+    console.log('Store - TTL list after both expired (memory, disk):', store.get('ttlList'), onDisk);
+    store.delete('ttlList');
+  }, 8000);
+}, 2000);
+store.delete('servers');
+console.log('Store - Increment:', store.increment('stats.visits'), store.increment('stats.visits', 2));
+console.log('Store - Update:', store.update('stats.tags', (tags = []) => [...tags, 'new']));
+store.delete('stats');
+
 // Test deleting a non-existent key
 store.delete('non.existent.key');
 
@@ -202,6 +335,57 @@ const taskId3 = scheduler.every(2000, () => {
     console.log('Scheduler: Task 3 (every 2000ms) is running!');
 }, 'numericTask');
 
+// Scheduler run events, retries with backoff, timeouts and overlap control
+scheduler.on('failure', ({ id, attempt, error, willRetry }) => {
+  console.log(`Scheduler event - failure: ${id} (attempt ${attempt}, will retry: ${willRetry}): ${error.message}`);
+});
+scheduler.on('success:flakyTask', ({ attempt, result }) => {
+  console.log(`Scheduler event - flakyTask succeeded on attempt ${attempt} with result: ${result}`);
+});
+let flakyAttempts = 0;
+scheduler.once('1s', async () => {
+  flakyAttempts++;
+  if (flakyAttempts < 3) throw new Error(`Flaky failure #${flakyAttempts}`);
+  return 'recovered';
+}, { id: 'flakyTask', retries: 3, retryDelay: 100, backoff: 2 });
+scheduler.once('1s', () => new Promise(resolve => setTimeout(resolve, 1000)), { id: 'slowTask', timeout: '200ms' });
+// A throwing listener is logged; it neither re-runs a successful job nor escapes as an unhandled rejection
+let listenerJobRuns = 0;
+scheduler.on('success:successListenerTask', () => { throw new Error('Bug in a success listener'); });
+scheduler.once('1s', () => ++listenerJobRuns, { id: 'successListenerTask', retries: 2, retryDelay: 50 });
+scheduler.on('failure:failureListenerTask', () => { throw new Error('Bug in a failure listener'); });
+scheduler.once('1s', () => { throw new Error('Expected failure'); }, { id: 'failureListenerTask' });
+setTimeout(() => console.log(`Scheduler - successListenerTask ran ${listenerJobRuns} time(s) despite its throwing listener.`), 2500);
+let overlapStarts = 0;
+scheduler.every(100, async () => {
+  overlapStarts++;
+  await new Promise(resolve => setTimeout(resolve, 350)); // Longer than the interval
+}, { id: 'overlapTask', overlap: 'skip', jitter: 10 });
+setTimeout(() => {
+  scheduler.stop('overlapTask');
+  console.log(`Scheduler - overlapTask started ${overlapStarts} time(s) in 1s with overlap 'skip'.`);
+}, 1000);
+
+// Job introspection and pause/resume/runNow
+let controlledRuns = 0;
+scheduler.every('1h', () => { controlledRuns++; return controlledRuns; }, 'controlledTask');
+scheduler.pause('controlledTask');
+console.log('Scheduler - controlledTask state after pause:', scheduler.info('controlledTask').state);
+scheduler.runNow('controlledTask').then(() => {
+  const info = scheduler.info('controlledTask');
+  console.log(`Scheduler - controlledTask after runNow: runCount=${info.runCount}, lastRun set: ${info.lastRun !== null}, state=${info.state}`);
+  scheduler.resume('controlledTask');
+  console.log('Scheduler - controlledTask info after resume:', scheduler.info('controlledTask'));
+  scheduler.stop('controlledTask');
+});
+// A runNow that the overlap policy skips resolves false
+scheduler.every('1h', () => new Promise(resolve => setTimeout(resolve, 100)), { id: 'busyTask', overlap: 'skip' });
+Promise.all([scheduler.runNow('busyTask'), scheduler.runNow('busyTask')]).then(results => {
+  console.log(`Scheduler - busyTask runNow results: ${results.join(', ')}; runCount=${scheduler.info('busyTask').runCount}`);
+  scheduler.stop('busyTask');
+});
+console.log('Scheduler - info for unknown task:', scheduler.info('noSuchTask'));
+
 // List scheduled tasks
 console.log('Current scheduled tasks:', scheduler.list());
 
@@ -659,12 +843,33 @@ console.log('env.state - Data after delete:', env.state.get('aliasTest.data', 'D
 
 // 13. Test env.schedule() alias
 console.log('\n--- Testing env.schedule() alias ---');
-const scheduleAliasId = env.schedule('*/1 * * * *', () => { // Simplified cron: runs if minute matches
+const scheduleAliasId = env.schedule('*/1 * * * *', () => { // Runs at the start of every minute
   console.log('Scheduler (env.schedule alias): Task is running!');
 }, 'aliasScheduleTask');
-console.log(`env.schedule - Scheduled task with ID: ${scheduleAliasId}. Will run based on (simplified) cron.`);
+console.log(`env.schedule - Scheduled task with ID: ${scheduleAliasId}. Will run based on cron.`);
 // Allow it to run once or twice, then stop it later in the script if needed.
 
+// Compute upcoming cron fire times without waiting for them
+const cronFrom = new Date(2024, 0, 1, 0, 0, 0); // Monday, Jan 1st 2024 00:00 local time
+console.log('Scheduler - Next weekday 09:30 runs:', scheduler.nextRuns('30 9 * * MON-FRI', 3, { from: cronFrom }).map(d => d.toString()));
+console.log('Scheduler - Next */15 runs:', scheduler.nextRuns('*/15 * * * *', 3, { from: cronFrom }).map(d => d.toString()));
+console.log('Scheduler - Next six-field (every 20s) runs:', scheduler.nextRuns('*/20 * * * * *', 3, { from: cronFrom }).map(d => d.toString()));
+console.log('Scheduler - Next @monthly runs:', scheduler.nextRuns('@monthly', 2, { from: cronFrom }).map(d => d.toString()));
+// Timezone-aware schedules: 02:30 in Berlin on the spring-forward and fall-back days fires exactly once
+console.log('Scheduler - Berlin 02:30 around spring DST:', scheduler.nextRuns('30 2 * * *', 2, { from: '2024-03-30T12:00:00Z', timezone: 'Europe/Berlin' }).map(d => d.toISOString()));
+console.log('Scheduler - Berlin 02:30 around autumn DST:', scheduler.nextRuns('30 2 * * *', 2, { from: '2024-10-26T12:00:00Z', timezone: 'Europe/Berlin' }).map(d => d.toISOString()));
+console.log('Scheduler - New York weekday 09:00:', scheduler.nextRuns('0 9 * * MON-FRI', 2, { from: '2024-01-01T00:00:00Z', timezone: 'America/New_York' }).map(d => d.toISOString()));
+try {
+  scheduler.nextRuns('0 9 * * *', 1, { timezone: 'Mars/Olympus' });
+} catch (error) {
+  console.error('Scheduler - Caught expected error for invalid timezone:', error.message);
+}
+try {
+  scheduler.nextRuns('61 * * * *');
+} catch (error) {
+  console.error('Scheduler - Caught expected error for invalid cron expression:', error.message);
+}
+
 
 // 14. Test Task Runner (env.task and env.tasks)
 console.log('\n--- Testing Task Runner (env.task and env.tasks) ---');
@@ -716,8 +921,8 @@ env.task('errorTask', async () => {
   }
 
   // Schedule a task using env.tasks.schedule()
-  const taskScheduleId = env.tasks.schedule('simpleTask', '*/2 * * * *', 'scheduledSimpleTask'); // Simplified cron
-  console.log(`Task Runner - Scheduled 'simpleTask' (ID: ${taskScheduleId}). Will run based on (simplified) cron.`);
+  const taskScheduleId = env.tasks.schedule('simpleTask', '*/2 * * * *', 'scheduledSimpleTask'); // Every two minutes
+  console.log(`Task Runner - Scheduled 'simpleTask' (ID: ${taskScheduleId}). Will run based on cron.`);
 
   // Attempt to schedule a non-existent task
   try {
@@ -726,6 +931,18 @@ env.task('errorTask', async () => {
   } catch (error) {
     console.error('Task Runner - Caught expected error for scheduling nonExistentTask:', error.message);
   }
+
+  // Persistent jobs: recorded in the store and re-armed by scheduler.restore() after a restart
+  const persistentId = env.use('scheduler').every('1h', 'simpleTask', { id: 'persistentSimpleTask', persist: true, misfire: 'all' });
+  console.log('Task Runner - Persisted job record:', env.state.get(`__schedulerJobs__.${persistentId}`));
+  // Simulate a process that was down for 2.5 hours: stop the in-memory job and rewind its recorded next run
+  const persistedRecord = env.state.get(`__schedulerJobs__.${persistentId}`);
+  env.use('scheduler').stop(persistentId);
+  env.state.set(`__schedulerJobs__.${persistentId}`, { ...persistedRecord, nextRun: Date.now() - 1.5 * 60 * 60 * 1000 });
+  const restoredIds = await env.use('scheduler').restore(); // Misfire policy 'all' runs simpleTask twice
+  console.log('Task Runner - Restored persistent jobs:', restoredIds);
+  console.log('Task Runner - Next run after restore:', new Date(env.state.get(`__schedulerJobs__.${persistentId}.nextRun`)).toISOString());
+  env.use('scheduler').stop(persistentId); // Also removes it from the persistent job table
 })();
 
 
@@ -772,6 +989,34 @@ env.task('errorTask', async () => {
   const devsAge30 = users.find({ age: 30, tags: ['dev', 'js'] });
   console.log('DB: Devs aged 30 with exact tags [dev, js]:', devsAge30);
 
+  // Query operators and dot-notation
+  console.log('\nDB: Finding documents with query operators...');
+  console.log('DB: Users older than 25:', users.find({ age: { $gt: 25 } }).map(u => u.name));
+  console.log('DB: Users aged 24-30:', users.find({ age: { $gte: 24, $lte: 30 } }).map(u => u.name));
+  console.log('DB: Users tagged js:', users.find({ tags: 'js' }).map(u => u.name));
+  console.log('DB: Users in Paris or Berlin:', users.find({ city: { $in: ['Paris', 'Berlin'] } }).map(u => u.name));
+  console.log('DB: Users not in New York:', users.find({ city: { $nin: ['New York'] } }).map(u => u.name));
+  console.log('DB: Users whose name starts with a vowel:', users.find({ name: { $regex: '^[aeiou]', $options: 'i' } }).map(u => u.name));
+  console.log('DB: Users aged 24 or in Berlin:', users.find({ $or: [{ age: 24 }, { city: 'Berlin' }] }).map(u => u.name));
+  console.log('DB: Users not older than 25:', users.find({ age: { $not: { $gt: 25 } } }).map(u => u.name));
+  try {
+    users.find({ age: { $not: 25 } });
+  } catch (err) {
+    console.log('DB: $not with a plain value rejected:', err.message);
+  }
+  console.log('DB: Users with a "status" field:', users.count({ status: { $exists: true } }));
+  console.log('DB: Users with a tag starting with "p":', users.find({ tags: { $elemMatch: { $regex: '^p' } } }).map(u => u.name));
+  const profiles = env.db.collection('profiles');
+  profiles.clear();
+  profiles.insert([{ profile: { name: { first: 'Ada' } } }, { profile: { name: { first: 'Linus' } } }]);
+  console.log('DB: Dot-notation match on profile.name.first:', profiles.findOne({ 'profile.name.first': 'Linus' }));
+  profiles.clear();
+  try {
+    users.find({ age: { $between: [20, 30] } });
+  } catch (error) {
+    console.error('DB: Caught expected error for unsupported operator:', error.message);
+  }
+
   // Find one document
   console.log('\nDB: Finding one document...');
   const firstBob = users.findOne({ name: 'Bob' });
@@ -812,6 +1057,99 @@ env.task('errorTask', async () => {
   console.log('DB: David upsert (existing) result:', davidUpsertExisting);
   console.log('DB: David after upsert (age should be 25):', users.findOne({ name: 'David' }));
 
+  console.log('\nDB: Testing update operators...');
+  users.update({ name: 'David' }, {
+    $inc: { age: 1, 'stats.logins': 1 },
+    $set: { 'profile.theme': 'dark' },
+    $push: { tags: { $each: ['ops', 'beta'] } }
+  });
+  console.log('DB: David after $inc/$set/$push:', users.findOne({ name: 'David' }));
+  users.update({ name: 'David' }, {
+    $addToSet: { tags: { $each: ['ops', 'admin'] } },
+    $pull: { tags: 'beta' },
+    $rename: { 'profile.theme': 'profile.colorScheme' },
+    $max: { age: 20 },
+    $unset: { 'stats.logins': '' }
+  });
+  console.log('DB: David after $addToSet/$pull/$rename/$max/$unset:', users.findOne({ name: 'David' }));
+  users.update({ name: 'David' }, { $set: { 'slots.0.owner': 'david', 'tags.0': 'lead' } });
+  const { slots, tags: davidTags } = users.findOne({ name: 'David' });
+  console.log('DB: Missing path with a numeric part becomes an object; existing array is indexed:', slots, davidTags);
+  const yaraUpsert = users.update({ name: 'Yara', city: { $in: ['Oslo'] } }, { $set: { age: 33 }, $inc: { visits: 1 } }, { upsert: true });
+  console.log('DB: Yara operator upsert (seeded from equality fields only):', yaraUpsert.updatedDocs);
+  try {
+    users.update({ name: 'David' }, { $inc: { name: 1 } });
+  } catch (e) {
+    console.error('DB: Expected error for $inc on a string field:', e.message);
+  }
+
+  console.log('\nDB: Testing sort, projection, skip and limit...');
+  console.log('DB: Users by age (desc), names only:', users.find({ age: { $exists: true } }, { sort: { age: -1, name: 1 }, projection: { name: 1, age: 1, _id: 0 } }));
+  console.log('DB: Second page of 2 users by name:', users.find({}, { sort: { name: 1 }, skip: 2, limit: 2, projection: { name: 1, _id: 0 } }));
+  console.log('DB: Oldest user:', users.findOne({}, { sort: { age: -1 }, projection: { name: 1 } }));
+
+  console.log('\nDB: Testing cursors...');
+  const userCursor = users.cursor({ age: { $gte: 20 } }).sort({ age: 1 }).skip(1).limit(3).project({ name: 1, age: 1, _id: 0 });
+  console.log('DB: Cursor page:', userCursor.toArray());
+  console.log('DB: Cursor total (ignores skip/limit):', userCursor.count());
+  for await (const user of users.cursor().sort({ name: -1 }).limit(2).project({ name: 1, _id: 0 })) {
+    console.log('DB: Async-iterated user:', user);
+  }
+  try {
+    users.find({}, { projection: { name: 1, age: 0 } });
+  } catch (e) {
+    console.error('DB: Expected error for mixed projection:', e.message);
+  }
+
+  console.log('\nDB: Testing indexes...');
+  const accounts = env.db.collection('accounts');
+  accounts.clear();
+  accounts.insert([
+    { email: 'ada@example.com', plan: 'pro', seats: 5 },
+    { email: 'linus@example.com', plan: 'free', seats: 1 },
+    { email: 'grace@example.com', plan: 'pro', seats: 12 }
+  ]);
+  console.log('DB: Created indexes:', accounts.createIndex('email', { unique: true }), accounts.createIndex('seats'));
+  console.log('DB: Indexes:', accounts.listIndexes().map(index => index.name));
+  console.log('DB: Plan for email lookup:', accounts.explain({ email: 'grace@example.com' }));
+  console.log('DB: Plan for seats range:', accounts.explain({ seats: { $gte: 5 } }));
+  console.log('DB: Accounts with 5+ seats:', accounts.find({ seats: { $gte: 5 } }, { sort: { seats: 1 }, projection: { email: 1, _id: 0 } }));
+  try {
+    accounts.insert({ email: 'ada@example.com', plan: 'free' });
+  } catch (e) {
+    console.error(`DB: Expected ${e.name} (code ${e.code}):`, e.message);
+  }
+  try {
+    const existingAccount = accounts.findOne({ email: 'linus@example.com' });
+    accounts.insert({ _id: existingAccount._id, email: 'copy@example.com' });
+  } catch (e) {
+    console.error('DB: Expected duplicate _id error:', e instanceof env.db.DuplicateKeyError, e.message);
+  }
+  accounts.clear();
+
+  console.log('\nDB: Testing aggregation...');
+  console.log('DB: Users per city:', users.aggregate([
+    { $group: { _id: '$city', count: { $sum: 1 }, avgAge: { $avg: '$age' }, names: { $push: '$name' } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]));
+  console.log('DB: Average age per tag:', users.aggregate([
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', avgAge: { $avg: '$age' }, oldest: { $max: '$age' } } },
+    { $sort: { _id: 1 } },
+    { $limit: 3 }
+  ]));
+  const orders = env.db.collection('orders');
+  orders.clear();
+  const aliceDoc = users.findOne({ name: 'Alice' });
+  orders.insert([{ userId: aliceDoc._id, total: 40 }, { userId: aliceDoc._id, total: 15 }]);
+  console.log('DB: Alice with her orders ($lookup):', JSON.stringify(users.aggregate([
+    { $match: { name: 'Alice' } },
+    { $lookup: { from: 'orders', localField: '_id', foreignField: 'userId', as: 'orders' } },
+    { $project: { name: 1, orderTotals: '$orders.total', _id: 0 } }
+  ])));
+  console.log('DB: Users aged 30+ ($count):', users.aggregate([{ $match: { age: { $gte: 30 } } }, { $count: 'total' }]));
+  orders.clear();
+
   console.log('\nDB: Counting documents...');
   console.log('DB: Total users:', users.count());
   console.log('DB: Users in Paris:', users.count({ city: 'Paris' }));
@@ -851,9 +1189,398 @@ env.task('errorTask', async () => {
   console.log('DB: users.findOne({}):', users.findOne({}));
   console.log('DB: users.findOne():', users.findOne());
 
+  // Databases on their own append-only log file
+  console.log('\nDB: Testing db.open with an append-only log...');
+  const logDbDir = 'test_db_log';
+  const logDb = env.db.open(logDbDir, { compactThreshold: 10 });
+  const events = logDb.collection('events');
+  events.insert([{ type: 'signup', user: 'ada' }, { type: 'login', user: 'ada' }]);
+  for (let i = 0; i < 15; i++) events.update({ type: 'login' }, { $inc: { count: 1 } });
+  events.remove({ type: 'signup' });
+  const logFs = env.use('file');
+  const logFile = env.use('path').join(logDbDir, 'envjs-db.jsonl');
+  console.log('DB: Log lines after churn (auto-compacted):', logFs.readFileSync(logFile).trim().split('\n').length);
+  logDb.compact();
+  console.log('DB: Log after manual compaction:', logFs.readFileSync(logFile).trim());
+  logDb.close();
+  const reopenedDb = env.db.open(logDbDir);
+  console.log('DB: Events after reopening the log:', reopenedDb.collection('events').find({}, { projection: { _id: 0 } }));
+  console.log('DB: Log collections kept out of the store:', !('events' in env.db._inspectRawDB()));
+  reopenedDb.close();
+  // A crash mid-append leaves a last line without its newline; reopening cuts it off before appending again
+  logFs.writeFileSync(logFile, logFs.readFileSync(logFile) + '{"op":"insert","c":"events","doc":{"_id":"torn"');
+  const tornDb = env.db.open(logDbDir);
+  tornDb.collection('events').insert({ _id: 'after-crash', type: 'logout' });
+  tornDb.close();
+  const afterTornDb = env.db.open(logDbDir);
+  console.log('DB: Events after a torn line and another insert:', afterTornDb.collection('events').find().map(e => e._id));
+  afterTornDb.close();
+  // A write the log cannot take (here its path became a directory) throws and changes nothing in memory
+  const failingDb = env.db.open(logDbDir);
+  const failingEvents = failingDb.collection('events');
+  const logContents = logFs.readFileSync(logFile);
+  logFs.deleteFileSync(logFile);
+  logFs.makeDirSync(logFile);
+  try {
+    failingEvents.insert({ _id: 'never-written' });
+  } catch (e) {
+    console.error('DB: Expected write failure:', e.code, '| in memory:', failingEvents.count({ _id: 'never-written' }));
+  }
+  logFs.removeDirSync(logFile);
+  logFs.writeFileSync(logFile, logContents);
+  failingDb.close();
+  logFs.deleteFileSync(logFile);
+  logFs.removeDirSync(logDbDir);
+
+  // Transactions
+  console.log('\nDB: Testing transactions...');
+  const inventory = env.db.collection('inventory');
+  const shipped = env.db.collection('shipped');
+  inventory.clear();
+  shipped.clear();
+  inventory.insert([{ _id: 'sku-1', item: 'widget', qty: 5 }, { _id: 'sku-2', item: 'gadget', qty: 0 }]);
+  const movedItem = await env.db.transaction(async (tx) => {
+    const item = tx.collection('inventory').findOne({ _id: 'sku-1' });
+    tx.collection('inventory').remove({ _id: 'sku-1' });
+    tx.collection('shipped').insert({ ...item, shippedAt: '2024-01-01' });
+    return item.item;
+  });
+  console.log(`DB: Moved '${movedItem}' in one transaction:`, inventory.count(), 'in inventory,', shipped.count(), 'shipped');
+  try {
+    await env.db.transaction(async (tx) => {
+      tx.collection('inventory').update({ _id: 'sku-2' }, { $inc: { qty: -1 } });
+      const gadget = tx.collection('inventory').findOne({ _id: 'sku-2' });
+      if (gadget.qty < 0) throw new Error('Out of stock');
+    });
+  } catch (e) {
+    console.error('DB: Expected transaction failure:', e.message);
+  }
+  console.log('DB: Gadget qty after rollback (should be 0):', inventory.findOne({ _id: 'sku-2' }).qty);
+  // Code outside an open transaction sees committed documents and cannot write into it
+  let releaseTransaction;
+  const openTransaction = env.db.transaction(async (tx) => {
+    tx.collection('inventory').insert({ _id: 'sku-3', item: 'gizmo', qty: 1 });
+    await new Promise(resolve => { releaseTransaction = resolve; });
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  console.log('DB: Uncommitted gizmo visible outside the transaction:', inventory.count({ _id: 'sku-3' }));
+  try {
+    inventory.insert({ _id: 'sku-4', item: 'outsider', qty: 1 });
+  } catch (e) {
+    console.error('DB: Expected error writing outside the transaction:', e.message);
+  }
+  const queuedTransaction = env.db.transaction(async (tx) => tx.collection('inventory').count({ _id: 'sku-3' }));
+  releaseTransaction();
+  await openTransaction;
+  console.log('DB: Queued transaction ran after the first committed, seeing gizmo:', await queuedTransaction);
+  inventory.clear();
+  shipped.clear();
+
+  // Schema validation
+  console.log('\nDB: Testing schema validation...');
+  const members = env.db.collection('members', {
+    schema: {
+      type: 'object',
+      required: ['email', 'age'],
+      additionalProperties: false,
+      properties: {
+        email: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+$' },
+        age: { type: 'integer', minimum: 0 },
+        role: { enum: ['member', 'admin'], default: 'member' },
+        address: { type: 'object', properties: { city: { type: 'string' }, country: { type: 'string', default: 'NL' } } },
+        tags: { type: 'array', items: { type: 'string' }, default: [] }
+      }
+    }
+  });
+  members.clear();
+  console.log('DB: Inserted with defaults:', members.insert({ email: 'ada@example.com', age: 36, address: { city: 'London' } }));
+  try {
+    members.insert({ email: 'not-an-email', age: '36', nickname: 'ada', tags: [1] });
+  } catch (e) {
+    console.error(`DB: Expected ${e.name}:`, e.errors);
+  }
+  try {
+    members.update({ email: 'ada@example.com' }, { $inc: { age: -40 } });
+  } catch (e) {
+    console.error('DB: Expected validation error on update:', e.message);
+  }
+  console.log('DB: Member unchanged after rejected update:', members.findOne({}, { projection: { _id: 0 } }));
+  members.clear();
+
+  // Change streams
+  console.log('\nDB: Testing watch...');
+  const tickets = env.db.collection('tickets');
+  tickets.clear();
+  const allTicketChanges = tickets.watch(change => console.log(`DB: [watch] ${change.type} ${change.documentId}`));
+  const urgentTickets = tickets.watch({ priority: 'urgent' });
+  urgentTickets
+    .on('insert', ({ doc }) => console.log('DB: [urgent] new ticket:', doc.title))
+    .on('update', ({ before, after }) => console.log(`DB: [urgent] '${after.title}' priority ${before.priority} -> ${after.priority}`))
+    .on('remove', ({ doc }) => console.log('DB: [urgent] removed:', doc.title));
+  tickets.insert([{ _id: 't1', title: 'Server down', priority: 'urgent' }, { _id: 't2', title: 'Typo on homepage', priority: 'low' }]);
+  tickets.update({ _id: 't1' }, { $set: { priority: 'normal' } });
+  tickets.remove({ _id: 't2' });
+  await env.db.transaction(async (tx) => {
+    tx.collection('tickets').insert({ _id: 't3', title: 'Payments failing', priority: 'urgent' });
+    console.log('DB: Inside transaction, no watch events yet');
+  });
+  urgentTickets.close();
+  allTicketChanges.close();
+  tickets.clear(); // No watchers left, so nothing is reported
+
+  // Timestamps, versioning and soft delete
+  console.log('\nDB: Testing timestamps, versioning and soft delete...');
+  const notes = env.db.collection('notes', { timestamps: true, versioning: true, softDelete: true });
+  notes.clear();
+  const note = notes.insert({ title: 'Draft' });
+  console.log('DB: New note:', note);
+  const editedNote = notes.update({ _id: note._id }, { $set: { title: 'Final' } }, { expectedVersion: 1 }).updatedDocs[0];
+  console.log('DB: Edited note version/updatedAt:', editedNote._version, editedNote._updatedAt >= editedNote._createdAt);
+  try {
+    notes.update({ _id: note._id }, { $set: { title: 'Stale edit' } }, { expectedVersion: 1 });
+  } catch (e) {
+    console.error(`DB: Expected ${e.name}:`, e.message);
+  }
+  notes.remove({ _id: note._id });
+  console.log('DB: Notes visible after soft delete:', notes.count(), '| with deleted:', notes.count({}, { withDeleted: true }));
+  console.log('DB: Deleted note is marked:', !!notes.findOne({ _id: note._id }, { withDeleted: true })._deletedAt);
+  console.log('DB: Restore result:', notes.restore({ _id: note._id }), '| visible again:', notes.count());
+  notes.remove({}, { multi: true, hard: true, withDeleted: true });
+  console.log('DB: Notes after hard remove:', notes.count({}, { withDeleted: true }));
+  // Soft-deleted documents free their unique keys; restoring checks them again
+  const clubMembers = env.db.collection('clubMembers', { softDelete: true });
+  clubMembers.clear();
+  clubMembers.createIndex('email', { unique: true });
+  const firstMember = clubMembers.insert({ email: 'kim@example.com', plan: 'free' });
+  clubMembers.remove({ email: 'kim@example.com' });
+  const secondMember = clubMembers.insert({ email: 'kim@example.com', plan: 'pro' });
+  console.log('DB: Re-inserted a soft-deleted email:', secondMember.plan);
+  clubMembers.remove({ email: 'kim@example.com' });
+  const upsertedMember = clubMembers.update({ email: 'kim@example.com' }, { $set: { plan: 'team' } }, { upsert: true });
+  console.log('DB: Upsert over soft-deleted emails only:', upsertedMember.updatedDocs[0].plan, clubMembers.count(), '| with deleted:', clubMembers.count({}, { withDeleted: true }));
+  try {
+    clubMembers.restore({ _id: firstMember._id });
+  } catch (e) {
+    console.error(`DB: Expected ${e.name} restoring a taken email:`, e.message);
+  }
+  clubMembers.remove({}, { multi: true, hard: true, withDeleted: true });
+
+  // Export, import and store backups
+  console.log('\nDB: Testing export/import and store backup/restore...');
+  const books = env.db.collection('books');
+  books.clear();
+  books.insert([{ _id: 'b1', title: 'Dune, Part "One"', tags: ['sf'], meta: { year: 1965 } }, { _id: 'b2', title: 'Emma' }]);
+  console.log('DB: Books as CSV:\n' + await env.db.export('books', { format: 'csv' }));
+  const exportDir = 'test_db_exports';
+  const exportFile = env.use('path').join(exportDir, 'books.jsonl');
+  await env.db.export('books', { path: exportFile });
+  books.update({ _id: 'b2' }, { $set: { title: 'Emma (edited)' } });
+  console.log('DB: Import with skip:', await env.db.import('books', null, { path: exportFile, onConflict: 'skip' }));
+  console.log('DB: Import with replace:', await env.db.import('books', null, { path: exportFile, onConflict: 'replace' }));
+  console.log('DB: b2 title after replace:', books.findOne({ _id: 'b2' }).title);
+  try {
+    await env.db.import('books', [{ _id: 'b3' }, { _id: 'b1' }]);
+  } catch (e) {
+    console.log('DB: Conflicting import rejected:', e instanceof env.db.DuplicateKeyError, '| b3 not imported:', books.count({ _id: 'b3' }) === 0);
+  }
+  const backupFile = env.use('path').join(exportDir, 'store-backup.json.gz');
+  console.log('DB: Store backup bytes > 0:', (await store.backup(backupFile)).bytes > 0);
+  books.clear();
+  await store.restore(backupFile);
+  console.log('DB: Books after store restore:', books.count());
+  books.clear();
+  logFs.deleteFileSync(exportFile);
+  logFs.deleteFileSync(backupFile);
+  logFs.removeDirSync(exportDir);
+
+  // Migrating the store's collections to a log: handles taken before refuse writes that would be lost
+  const drafts = env.db.collection('drafts');
+  drafts.insert({ _id: 'n1', text: 'moved' });
+  const migratedDir = 'test_db_migrated';
+  const migratedDb = env.db.open(migratedDir, { migrateFromStore: true });
+  try {
+    drafts.insert({ _id: 'n2' });
+  } catch (e) {
+    console.log('DB: Expected error writing through a handle from before the migration:', e.message);
+  }
+  console.log('DB: Drafts in the log:', migratedDb.collection('drafts').find().map(d => d._id), '| collections left in the store:', Object.keys(env.db._inspectRawDB()).length);
+  migratedDb.close();
+  logFs.deleteFileSync(env.use('path').join(migratedDir, 'envjs-db.jsonl'));
+  logFs.removeDirSync(migratedDir);
+
   console.log('\n--- DB Module Test Finished within test.js ---');
 })().catch(err => console.error('DB Test Block Error:', err));
 
+// 16. Test Config Module
+console.log('\n--- Testing config module ---');
+{
+  const configFs = env.use('file');
+  const configDir = 'test_config';
+  configFs.makeDirSync(configDir, { recursive: true });
+  configFs.writeFileSync(`${configDir}/app.yaml`, 'port: 8080\ndb:\n  host: localhost\n  pool: 5\nfeatures: [search, export]\n');
+  configFs.writeFileSync(`${configDir}/.env`, 'APP_DB__HOST=db.internal\nAPP_DEBUG=yes\n');
+  const configSchema = {
+    port: { type: 'integer', min: 1, max: 65535 },
+    debug: { type: 'boolean', default: false },
+    features: { type: 'array', items: { type: 'string' } },
+    db: {
+      host: { type: 'string', required: true },
+      pool: { type: 'integer', default: 10 },
+      password: { type: 'string', secret: true },
+    },
+  };
+  const config = env.config.load({
+    schema: configSchema,
+    files: [`${configDir}/app.yaml`],
+    envFiles: [`${configDir}/.env`],
+    envPrefix: 'APP_',
+    env: { APP_PORT: '9090' },
+    storeKey: false,
+  });
+  console.log('Config - Loaded:', config);
+  console.log('Config - Sources:', env.config.sources());
+  console.log('Config - get("db.host"):', env.config.get('db.host'));
+  const emptyVariables = env.config.load({
+    schema: configSchema,
+    files: [`${configDir}/app.yaml`],
+    envFiles: [],
+    envPrefix: 'APP_',
+    env: { APP_PORT: '', APP_DEBUG: '' }, // Empty counts as unset: the file's port and the default debug stay
+    storeKey: false,
+  });
+  console.log('Config - Empty variables keep lower layers:', emptyVariables.port, emptyVariables.debug);
+  // The loaded config is frozen, but the store's data and the caller's defaults it was built from stay writable
+  store.set('testConfig', { hosts: ['a', 'b'] });
+  const configDefaults = { regions: ['eu'] };
+  env.config.load({
+    schema: { hosts: { type: 'array' }, regions: { type: 'array' } },
+    defaults: configDefaults,
+    envFiles: [],
+    env: {},
+    storeKey: 'testConfig',
+  });
+  store.set('testConfig.hosts[0]', 'x');
+  configDefaults.regions.push('us');
+  console.log('Config - Layers still writable after load:', store.get('testConfig.hosts'), configDefaults.regions, env.config.get('hosts'));
+  store.delete('testConfig');
+  try {
+    env.config.load({
+      schema: { ...configSchema, apiKey: { type: 'string', required: true } },
+      files: [`${configDir}/app.yaml`],
+      envFiles: [],
+      envPrefix: 'APP_',
+      env: { APP_PORT: 'eighty', APP_DEBUG: 'maybe' },
+      storeKey: false,
+    });
+  } catch (e) {
+    console.log('Config - Expected ConfigError:', e instanceof env.config.ConfigError, e.errors.map(err => err.key));
+    console.log(e.message);
+  }
+  configFs.deleteFileSync(`${configDir}/app.yaml`);
+  configFs.deleteFileSync(`${configDir}/.env`);
+  configFs.removeDirSync(configDir);
+}
+
+// 17. Test process.loadEnv and process.requireEnv
+console.log('\n--- Testing process.loadEnv and process.requireEnv ---');
+{
+  const envFs = env.use('file');
+  const envDir = 'test_dotenv';
+  envFs.makeDirSync(envDir, { recursive: true });
+  envFs.writeFileSync(`${envDir}/.env`, [
+    '# Shared defaults',
+    'export ENVJS_TEST_HOST=localhost',
+    'ENVJS_TEST_PORT=3000 # inline comment',
+    'ENVJS_TEST_URL=http://${ENVJS_TEST_HOST}:${ENVJS_TEST_PORT}',
+    'ENVJS_TEST_LEVEL=${ENVJS_TEST_UNSET:-info}',
+    "ENVJS_TEST_LITERAL='${ENVJS_TEST_HOST}'",
+    "ENVJS_TEST_DIR='C:\\new\\tmp'",
+    'ENVJS_TEST_DIR_COPY="${ENVJS_TEST_DIR}" # Backslashes in the substituted value stay as they are',
+    'ENVJS_TEST_CERT="-----BEGIN-----',
+    'abc\\tdef',
+    '-----END-----"',
+  ].join('\n'));
+  envFs.writeFileSync(`${envDir}/.env.local`, 'ENVJS_TEST_PORT=4000\n');
+  process.env.ENVJS_TEST_HOST = 'example.com'; // Already set: kept unless override is passed
+  const loadedEnv = processInfo.loadEnv([`${envDir}/.env`, `${envDir}/.env.local`, `${envDir}/.env.missing`]);
+  console.log('loadEnv - Files read:', loadedEnv.files.map(f => pathUtil.basename(f)));
+  console.log('loadEnv - Parsed:', loadedEnv.parsed);
+  console.log('loadEnv - ENVJS_TEST_HOST kept:', process.env.ENVJS_TEST_HOST);
+  processInfo.loadEnv(`${envDir}/.env`, { override: true });
+  console.log('loadEnv - ENVJS_TEST_HOST with override:', process.env.ENVJS_TEST_HOST);
+  console.log('requireEnv:', processInfo.requireEnv(['ENVJS_TEST_HOST', 'ENVJS_TEST_PORT']));
+  try {
+    processInfo.requireEnv(['ENVJS_TEST_HOST', 'ENVJS_TEST_MISSING_A', 'ENVJS_TEST_MISSING_B']);
+  } catch (e) {
+    console.log('requireEnv - Expected error:', e.message, e.missing);
+  }
+  for (const name of Object.keys(loadedEnv.parsed)) delete process.env[name];
+  envFs.deleteFileSync(`${envDir}/.env`);
+  envFs.deleteFileSync(`${envDir}/.env.local`);
+  envFs.removeDirSync(envDir);
+}
+
+// 18. Test env.server routers, wildcard/optional params and 405 responses
+(async () => {
+  console.log('\n--- Testing server routers ---');
+  const server = env.server;
+  const api = server.router();
+  api.use((req, res, next) => {
+    res.setHeader('X-Api-Base', req.baseUrl);
+    next();
+  });
+  api.param('id', Number);
+  api.get('/users/:id(\\d+)', (req, res) => res.json({ id: req.params.id, type: typeof req.params.id }));
+  api.post('/users/:id(\\d+)', (req, res) => res.status(201).json({ created: req.params.id }));
+  api.get('/posts/:slug/:page?', (req, res) => res.json(req.params));
+  const v2 = server.router();
+  v2.get('/ping', (req, res) => res.json({ baseUrl: req.baseUrl }));
+  api.use('/v2', v2);
+  server.use('/api', api);
+  server.get('/static/*', (req, res) => res.json({ file: req.params['*'] }));
+
+  // Typed HTTP errors and error-handling middleware
+  api.get('/orders/:orderId', (req, res) => {
+    throw new server.NotFound(`Order ${req.params.orderId} not found`);
+  });
+  api.get('/teapot', (req, res) => {
+    throw new server.HttpError(418, "I'm a teapot", { body: { error: 'teapot' } });
+  });
+  api.get('/admin', (req, res) => {
+    throw new server.Forbidden();
+  });
+  api.use((err, req, res, next) => {
+    if (err instanceof server.Forbidden) return res.status(403).json({ error: 'forbidden', handledBy: 'api error middleware' });
+    next(err);
+  });
+
+  const httpServer = await server.listen(0);
+  const base = `http://localhost:${httpServer.address().port}`;
+  const requests = [
+    ['GET', '/api/users/42'],
+    ['GET', '/api/users/abc'],
+    ['GET', '/api/posts/intro'],
+    ['GET', '/api/posts/intro/2'],
+    ['GET', '/api/v2/ping'],
+    ['GET', '/static/css/site.css'],
+    ['DELETE', '/api/users/42'],
+    ['GET', '/api/orders/7'],
+    ['GET', '/api/teapot'],
+    ['GET', '/api/admin'],
+    ['GET', '/missing'],
+    ['GET', '/missing', 'text/html'],
+  ];
+  for (const [method, url, accept] of requests) {
+    const response = await fetch(base + url, { method, headers: accept ? { accept } : {} });
+    console.log(`Server - ${method} ${url}${accept ? ` (${accept})` : ''}:`, response.status, response.headers.get('allow') || '', await response.text());
+  }
+  server.notFound((req, res) => res.status(404).json({ notFound: req.url }));
+  const customNotFound = await fetch(`${base}/missing`);
+  console.log('Server - Custom 404:', customNotFound.status, await customNotFound.text());
+  server.notFound(null);
+  await server.close();
+})().catch(e => console.error('Server router test failed:', e));
+
 
 // Keep the process alive for a bit to let scheduled tasks and monitor run
 // In a real application, your server or other logic would keep the process running.